@@ -0,0 +1,434 @@
+// Survey analytics: per-question statistics, band distribution, trends over
+// time, reliability (Cronbach's alpha, item-total correlations), cohort
+// comparisons by intake field and progress across rounds
+const QuestionTypes = require('./question-types');
+const Intake = require('./intake');
+
+// Groups of submissions smaller than this aren't reported on their own, so
+// people in a small cohort can't be picked out
+const MIN_COHORT_SIZE = Number(process.env.MIN_COHORT_SIZE) || 5;
+
+function round(value, digits = 2) {
+    if (value === null || !Number.isFinite(value)) return null;
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Sample variance (n - 1), as used by Cronbach's alpha
+function variance(values) {
+    if (values.length < 2) return 0;
+    const avg = mean(values);
+    return values.reduce((sum, v) => sum + (v - avg) * (v - avg), 0) / (values.length - 1);
+}
+
+function pearson(xs, ys) {
+    const meanX = mean(xs);
+    const meanY = mean(ys);
+    let covariance = 0;
+    let sumX = 0;
+    let sumY = 0;
+    xs.forEach((x, i) => {
+        covariance += (x - meanX) * (ys[i] - meanY);
+        sumX += (x - meanX) * (x - meanX);
+        sumY += (ys[i] - meanY) * (ys[i] - meanY);
+    });
+    return sumX > 0 && sumY > 0 ? covariance / Math.sqrt(sumX * sumY) : null;
+}
+
+// count, mean, median, standard deviation, min and max - or null without values
+function describe(values) {
+    if (values.length === 0) return null;
+    return {
+        count: values.length,
+        mean: round(mean(values)),
+        median: round(median(values)),
+        stdDev: round(Math.sqrt(variance(values))),
+        min: Math.min(...values),
+        max: Math.max(...values)
+    };
+}
+
+// YYYY-MM-DD of a submission. Times are stored as ISO strings; anything else
+// counts as no date.
+function responseDay(response) {
+    return typeof response.timestamp === 'string' ? response.timestamp.substring(0, 10) : '';
+}
+
+// Checks the from/to filters, which must be days that exist, as YYYY-MM-DD.
+// Returns an error message or null.
+function dateRangeError(from, to) {
+    const invalid = [from, to].find(day => day !== undefined && day !== '' && !Intake.isDate(day));
+    return invalid === undefined ? null : `Dates must be days given as YYYY-MM-DD - ${invalid} is not one`;
+}
+
+// How a submission matches a lower-case search: 'details' through the name,
+// email or employee ID, 'intake' only through an intake answer, or null
+function searchMatch(response, search) {
+    const includes = value => String(value || '').toLowerCase().includes(search);
+    const user = response.userData || {};
+    if ([user.name, user.email, user.employeeId].some(includes)) return 'details';
+    if (Object.values(response.intake || {}).some(includes)) return 'intake';
+    return null;
+}
+
+// Same filters as the admin panel's response list, plus a date range.
+// filters: { search, band, version, locale, round, from, to, intake } - from/to are
+// YYYY-MM-DD and inclusive; intake is a list of { field, value } segments,
+// where value is a cohort as Intake.cohortOf() names it.
+// Responses must already carry `band`, `surveyVersion` and `locale`.
+function filterResponses(responses, filters) {
+    const search = (filters.search || '').toLowerCase();
+    const segments = filters.intake || [];
+    return responses.filter(response => {
+        const day = responseDay(response);
+        return (!search || searchMatch(response, search) !== null) &&
+            segments.every(({ field, value }) => Intake.cohortOf(field, response) === value) &&
+            (!filters.band || (response.band && response.band.id === filters.band)) &&
+            (!filters.version || response.surveyVersion === Number(filters.version)) &&
+            (!filters.locale || response.locale === filters.locale) &&
+            (!filters.round || response.round === filters.round) &&
+            (!filters.from || day >= filters.from) &&
+            (!filters.to || (day !== '' && day <= filters.to));
+    });
+}
+
+// Whether filtered submissions were picked by intake answers: by a segment, or
+// by a search that some of them only match through an intake answer
+function selectsByIntake(responses, filters) {
+    const search = (filters.search || '').toLowerCase();
+    return (filters.intake || []).length > 0 ||
+        (!!search && responses.some(response => searchMatch(response, search) === 'intake'));
+}
+
+// Whether reporting on filtered submissions could point to the people in them:
+// fewer than minSize picked by intake answers (see selectsByIntake)
+function isSmallSegment(responses, filters, minSize = MIN_COHORT_SIZE) {
+    return selectsByIntake(responses, filters) && responses.length > 0 && responses.length < minSize;
+}
+
+// Questions to report on: those of the given versions, newest wording first.
+// Answers are matched to questions by id.
+function collectQuestions(versions) {
+    const questions = [];
+    [...versions].sort((a, b) => b.version - a.version).forEach(version => {
+        version.questions.forEach(question => {
+            if (!questions.some(q => q.id === question.id)) {
+                questions.push(question);
+            }
+        });
+    });
+    return questions;
+}
+
+function countBy(labels, indexes) {
+    return labels.map((label, i) => ({ label, count: indexes.filter(index => index === i).length }));
+}
+
+function questionStats(question, responses) {
+    const type = QuestionTypes.getType(question);
+    const answers = responses
+        .map(r => (r.answers || []).find(a => a.questionId === question.id))
+        .filter(Boolean);
+    const optionTexts = (question.options || []).map(opt => opt.text);
+
+    let distribution = [];
+    let values = [];
+
+    if (type === 'single') {
+        distribution = countBy(optionTexts, answers.map(a => a.selectedOptionIndex));
+        values = answers.map(a => a.score).filter(Number.isFinite);
+    } else if (type === 'multi') {
+        distribution = countBy(optionTexts, answers.flatMap(a => a.selectedOptionIndexes || []));
+        values = answers.map(a => (a.selectedOptionIndexes || []).length);
+    } else if (type === 'ranking') {
+        // Average position of each option, 1 = ranked first
+        distribution = optionTexts.map((label, i) => {
+            const positions = answers
+                .map(a => (a.ranking || []).indexOf(i))
+                .filter(position => position !== -1)
+                .map(position => position + 1);
+            return { label, count: positions.length, averageRank: positions.length ? round(mean(positions)) : null };
+        });
+    } else if (type === 'scale') {
+        values = answers.map(a => a.value).filter(Number.isFinite);
+        const steps = [];
+        for (let v = question.min; v <= question.max + 1e-9 && steps.length <= 100; v += question.step) {
+            steps.push(round(v, 6));
+        }
+        distribution = steps.map(step => ({
+            label: String(step),
+            count: values.filter(v => Math.abs(v - step) < 1e-9).length
+        }));
+    } else {
+        values = answers.map(a => String(a.value || '').length);
+    }
+
+    return {
+        questionId: question.id,
+        text: question.text,
+        type,
+        scored: QuestionTypes.isScored(question),
+        answered: answers.length,
+        skipped: responses.length - answers.length,
+        distribution,
+        // Scores for scored single choice, values for scales, number of
+        // selections for multiple choice and answer length for free text
+        stats: describe(values)
+    };
+}
+
+function bandDistribution(responses, bands) {
+    return [...bands].sort((a, b) => a.min - b.min).map(band => ({
+        id: band.id,
+        label: band.label,
+        color: band.color,
+        count: responses.filter(r => r.band && r.band.id === band.id).length
+    }));
+}
+
+// Submissions per day with their average percentage
+function trend(responses) {
+    const days = new Map();
+    responses.forEach(response => {
+        const day = responseDay(response);
+        if (!day) return;
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push(response.percentage);
+    });
+    return [...days.keys()].sort().map(day => ({
+        date: day,
+        count: days.get(day).length,
+        meanPercentage: round(mean(days.get(day)), 1)
+    }));
+}
+
+// Submissions per language with their average percentage
+function localeBreakdown(responses) {
+    const locales = [...new Set(responses.map(r => r.locale))].sort();
+    return locales.map(locale => {
+        const percentages = responses.filter(r => r.locale === locale).map(r => r.percentage).filter(Number.isFinite);
+        return {
+            locale,
+            count: responses.filter(r => r.locale === locale).length,
+            meanPercentage: percentages.length ? round(mean(percentages), 1) : null
+        };
+    });
+}
+
+// Cronbach's alpha over the scored questions, using only submissions that
+// answered all of them. Weak questions show a low (or negative) corrected
+// item-total correlation and raise alpha when left out.
+function reliability(questions, responses) {
+    const items = questions.filter(q => QuestionTypes.isScored(q));
+    const rows = responses
+        .map(r => items.map(q => {
+            const answer = (r.answers || []).find(a => a.questionId === q.id);
+            return answer && Number.isFinite(answer.score) ? answer.score : null;
+        }))
+        .filter(row => row.every(score => score !== null));
+
+    const result = {
+        itemCount: items.length,
+        completeResponses: rows.length,
+        alpha: null,
+        items: items.map(q => ({ questionId: q.id, text: q.text, itemTotalCorrelation: null, alphaIfDeleted: null }))
+    };
+    if (items.length < 2 || rows.length < 2) {
+        return result;
+    }
+
+    const alphaOf = columns => {
+        const k = columns.length;
+        const totals = rows.map(row => columns.reduce((sum, c) => sum + row[c], 0));
+        const totalVariance = variance(totals);
+        if (k < 2 || totalVariance === 0) return null;
+        const itemVariance = columns.reduce((sum, c) => sum + variance(rows.map(row => row[c])), 0);
+        return (k / (k - 1)) * (1 - itemVariance / totalVariance);
+    };
+
+    const allColumns = items.map((q, i) => i);
+    result.alpha = round(alphaOf(allColumns), 3);
+    result.items.forEach((item, i) => {
+        const others = allColumns.filter(c => c !== i);
+        const restTotals = rows.map(row => others.reduce((sum, c) => sum + row[c], 0));
+        item.itemTotalCorrelation = round(pearson(rows.map(row => row[i]), restTotals), 3);
+        item.alphaIfDeleted = round(alphaOf(others), 3);
+    });
+    return result;
+}
+
+// responses: already filtered, with `band`, `surveyVersion` and `locale`
+function buildAnalytics({ questions, bands, responses }) {
+    return {
+        responseCount: responses.length,
+        percentage: describe(responses.map(r => r.percentage).filter(Number.isFinite)),
+        bands: bandDistribution(responses, bands),
+        trend: trend(responses),
+        locales: localeBreakdown(responses),
+        questions: questions.map(q => questionStats(q, responses)),
+        reliability: reliability(questions, responses)
+    };
+}
+
+// Average percentage, band shares and dimension averages of one group of submissions
+function cohortSummary(responses, bands, dimensions) {
+    return {
+        count: responses.length,
+        percentage: describe(responses.map(r => r.percentage).filter(Number.isFinite)),
+        bands: bandDistribution(responses, bands).map(band => ({
+            ...band,
+            share: responses.length ? round(band.count / responses.length * 100, 1) : null
+        })),
+        dimensions: dimensions.map(dimension => {
+            const percentages = responses
+                .map(r => (r.dimensionScores || []).find(d => d.dimensionId === dimension.id))
+                .filter(score => score && Number.isFinite(score.percentage))
+                .map(score => score.percentage);
+            return {
+                id: dimension.id,
+                name: dimension.name,
+                meanPercentage: percentages.length ? round(mean(percentages), 1) : null
+            };
+        })
+    };
+}
+
+// Submissions side by side per answer to an intake field (dates by year, see
+// Intake.cohortOf). Cohorts with fewer than minSize submissions are suppressed.
+// When that would hide just one cohort, the next smallest is hidden too, so the
+// hidden one can't be worked out from the overall figures.
+// responses: already filtered, with `band` and named `dimensionScores`
+function compareCohorts({ field, responses, bands, dimensions, minSize = MIN_COHORT_SIZE }) {
+    const groups = new Map();
+    // Every choice of a dropdown gets a column, answered or not
+    if (field.type === 'select') {
+        field.options.forEach(option => groups.set(option, []));
+    }
+    responses.forEach(response => {
+        const cohort = Intake.cohortOf(field, response);
+        if (!groups.has(cohort)) groups.set(cohort, []);
+        groups.get(cohort).push(response);
+    });
+
+    const values = [...groups.keys()].filter(value => value !== Intake.NOT_ANSWERED);
+    if (field.type !== 'select') values.sort();
+    if (groups.has(Intake.NOT_ANSWERED)) values.push(Intake.NOT_ANSWERED);
+
+    // Empty cohorts give nobody away
+    const small = values.filter(value => groups.get(value).length > 0 && groups.get(value).length < minSize);
+    const suppressed = new Set(small);
+    if (small.length === 1) {
+        const next = values
+            .filter(value => !suppressed.has(value) && groups.get(value).length > 0)
+            .sort((a, b) => groups.get(a).length - groups.get(b).length)[0];
+        if (next !== undefined) suppressed.add(next);
+    }
+
+    return {
+        minCohortSize: minSize,
+        overall: cohortSummary(responses, bands, dimensions),
+        cohorts: values.map(value => (suppressed.has(value) ?
+            { value, suppressed: true, count: null, percentage: null, bands: null, dimensions: null } :
+            { value, suppressed: false, ...cohortSummary(groups.get(value), bands, dimensions) }))
+    };
+}
+
+// Every respondent's scores over time, and how the average changed from one
+// round to the next. Respondents are told apart by respondentKey(response)
+// (e.g. the employee ID); the change between two rounds covers the people with
+// a submission in both, using their latest in each. Attempts are ordered by
+// receivedAt(response), the time the server got them.
+// rounds: the schedule's rounds in order; responses: with `band`
+function roundProgress({ rounds, responses, respondentKey, respondentName, receivedAt }) {
+    const byRespondent = new Map();
+    responses.forEach(response => {
+        const key = respondentKey(response);
+        if (!key) return;
+        if (!byRespondent.has(key)) byRespondent.set(key, []);
+        byRespondent.get(key).push(response);
+    });
+    const byTime = (a, b) => String(receivedAt(a)).localeCompare(String(receivedAt(b)));
+
+    // Latest percentage per respondent in a round
+    const latestIn = roundId => {
+        const scores = new Map();
+        byRespondent.forEach((attempts, key) => {
+            const inRound = attempts.filter(r => r.round === roundId).sort(byTime);
+            if (inRound.length > 0) scores.set(key, inRound[inRound.length - 1].percentage);
+        });
+        return scores;
+    };
+    const latest = rounds.map(period => latestIn(period.id));
+
+    const changes = rounds.slice(1).map((next, i) => {
+        const before = latest[i];
+        const after = latest[i + 1];
+        const paired = [...after.keys()].filter(key => before.has(key));
+        const differences = paired.map(key => after.get(key) - before.get(key));
+        return {
+            from: { id: rounds[i].id, name: rounds[i].name },
+            to: { id: next.id, name: next.name },
+            respondents: paired.length,
+            fromMean: paired.length ? round(mean(paired.map(key => before.get(key))), 1) : null,
+            toMean: paired.length ? round(mean(paired.map(key => after.get(key))), 1) : null,
+            meanChange: paired.length ? round(mean(differences), 1) : null,
+            improved: differences.filter(d => d > 0).length,
+            declined: differences.filter(d => d < 0).length,
+            unchanged: differences.filter(d => d === 0).length
+        };
+    });
+
+    return {
+        rounds: rounds.map((period, i) => {
+            const percentages = responses.filter(r => r.round === period.id).map(r => r.percentage).filter(Number.isFinite);
+            return {
+                id: period.id,
+                name: period.name,
+                opensAt: period.opensAt,
+                closesAt: period.closesAt,
+                count: percentages.length,
+                respondents: latest[i].size,
+                meanPercentage: percentages.length ? round(mean(percentages), 1) : null
+            };
+        }),
+        changes,
+        // People who took the survey more than once, with the change from their first attempt to their latest
+        respondents: [...byRespondent.entries()]
+            .filter(([, attempts]) => attempts.length > 1)
+            .map(([key, attempts]) => {
+                const sorted = [...attempts].sort(byTime);
+                const first = sorted[0];
+                const last = sorted[sorted.length - 1];
+                return {
+                    key,
+                    name: respondentName(last),
+                    attempts: sorted.map(r => ({ id: r.id, round: r.round || null, timestamp: receivedAt(r), percentage: r.percentage, band: r.band })),
+                    change: round(last.percentage - first.percentage, 1)
+                };
+            })
+            .sort((a, b) => String(a.name).localeCompare(String(b.name)))
+    };
+}
+
+module.exports = {
+    MIN_COHORT_SIZE,
+    describe,
+    dateRangeError,
+    filterResponses,
+    selectsByIntake,
+    isSmallSegment,
+    collectQuestions,
+    buildAnalytics,
+    compareCohorts,
+    roundProgress
+};
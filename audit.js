@@ -0,0 +1,143 @@
+// Audit log of admin changes
+// Every route that changes a survey, its questions, submissions, invitations
+// or translations, or the admin accounts and webhooks, records who did it,
+// when, what it acted on and the values before and after. Entries are only
+// ever added: nothing edits or deletes them, except that erasing a person's
+// data (see privacy.js) blanks their name, email and employee ID here too.
+// Changes the server makes on its own, like applying retention policies, are
+// recorded with SYSTEM_USER as the actor.
+//
+// An entry: { id, at, actor, role, action, surveyId, target: { type, id, label }, before, after }
+// surveyId is null for changes outside a survey (users, webhooks); before is
+// null for things that were created and after for things that were deleted.
+
+const ACTIONS = {
+    'survey.created': 'Survey created',
+    'survey.updated': 'Survey details changed',
+    'survey.cloned': 'Survey cloned',
+    'survey.archived': 'Survey archived',
+    'survey.unarchived': 'Survey reopened',
+    'survey.published': 'Version published',
+    'survey.replaced': 'Questions and bands replaced',
+    'survey.imported': 'Definition imported',
+    'question.created': 'Question added',
+    'question.updated': 'Question changed',
+    'question.deleted': 'Question deleted',
+    'question.restored': 'Question restored',
+    'questions.imported': 'Questions imported from CSV',
+    'bands.updated': 'Result bands changed',
+    'dimensions.updated': 'Dimensions changed',
+    'intake.updated': 'Intake fields changed',
+    'translations.updated': 'Translation saved',
+    'translations.deleted': 'Translation deleted',
+    'policy.updated': 'Response policy changed',
+    'privacy.updated': 'Privacy policy changed',
+    'schedule.updated': 'Schedule changed',
+    'invitations.created': 'Invitations created',
+    'invitations.sent': 'Invitations marked as sent',
+    'invitation.deleted': 'Invitation deleted',
+    'response.deleted': 'Submission deleted',
+    'response.restored': 'Submission restored',
+    'responses.anonymized': 'Old submissions anonymized',
+    'responses.expired': 'Old submissions deleted',
+    'subject.exported': 'Personal data exported',
+    'subject.erased': 'Personal data erased',
+    'trash.purged': 'Deleted permanently from the trash',
+    'user.created': 'Admin account created',
+    'user.deleted': 'Admin account deleted',
+    'webhook.created': 'Webhook added',
+    'webhook.updated': 'Webhook changed',
+    'webhook.deleted': 'Webhook deleted'
+};
+
+const SYSTEM_USER = { username: 'system', role: 'system' };
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Values are copied, so later changes to the objects don't reach the log
+function snapshot(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function createEntry(user, action, { surveyId = null, target = null, before = null, after = null } = {}) {
+    return {
+        at: new Date().toISOString(),
+        actor: user.username,
+        role: user.role,
+        action,
+        surveyId,
+        target,
+        before: snapshot(before),
+        after: snapshot(after)
+    };
+}
+
+// What a deleted or restored submission looks like in the log. The answers
+// stay in the trash, which is where a restore takes them from.
+function responseSummary(response) {
+    const user = response.userData || {};
+    return {
+        id: response.id,
+        name: user.name,
+        employeeId: user.employeeId,
+        percentage: response.percentage,
+        timestamp: response.timestamp
+    };
+}
+
+function parseTime(value, endOfDay) {
+    // A date on its own covers that whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const day = new Date(`${value}T00:00:00.000Z`);
+        if (endOfDay) day.setUTCDate(day.getUTCDate() + 1);
+        return day.toISOString();
+    }
+    const time = new Date(value);
+    return isNaN(time) ? null : time.toISOString();
+}
+
+// Filters for storage.listAuditEntries() from a query string:
+// surveyId, actor, action, from and to (ISO times or dates), before (an entry
+// id, for the next page) and limit. Returns { filters } or { error }.
+function parseQuery(query) {
+    const filters = {
+        surveyId: query.surveyId || undefined,
+        actor: query.actor || undefined,
+        action: query.action || undefined,
+        limit: DEFAULT_LIMIT
+    };
+    if (filters.action && !ACTIONS[filters.action]) {
+        return { error: `Unknown action: ${filters.action}` };
+    }
+    for (const field of ['from', 'to']) {
+        if (query[field]) {
+            filters[field] = parseTime(query[field], field === 'to');
+            if (!filters[field]) {
+                return { error: `${field} must be a date such as 2024-05-31` };
+            }
+        }
+    }
+    if (query.before !== undefined) {
+        filters.before = Number(query.before);
+        if (!Number.isInteger(filters.before) || filters.before < 1) {
+            return { error: 'before must be an entry id' };
+        }
+    }
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return { error: 'limit must be a positive whole number' };
+        }
+        filters.limit = Math.min(limit, MAX_LIMIT);
+    }
+    return { filters };
+}
+
+module.exports = {
+    ACTIONS,
+    SYSTEM_USER,
+    createEntry,
+    responseSummary,
+    parseQuery
+};
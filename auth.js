@@ -0,0 +1,139 @@
+// Admin accounts, login sessions and role checks for the management API
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERS_FILE = path.join(__dirname, 'users.json');
+
+// Roles in increasing order of access - each role can do everything the ones before it can
+// viewer: read surveys and results, editor: change surveys and questions, owner: delete data and manage users
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// How long a login stays valid
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+
+// Active sessions by token. Kept in memory, so a restart logs everyone out.
+const sessions = new Map();
+
+// Helper function to read admin accounts
+async function readUsers() {
+    try {
+        const data = await fs.readFile(USERS_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (err) {
+        return [];
+    }
+}
+
+// Helper function to write admin accounts
+async function writeUsers(users) {
+    try {
+        await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2), 'utf8');
+        return true;
+    } catch (err) {
+        console.error('❌ Error writing users:', err.message);
+        return false;
+    }
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = await scrypt(password, salt, 64);
+    return { salt, passwordHash: hash.toString('hex') };
+}
+
+async function verifyPassword(password, user) {
+    const { passwordHash } = await hashPassword(password, user.salt);
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const actual = Buffer.from(passwordHash, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Account details that are safe to send to the browser
+function publicUser(user) {
+    return { username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+async function createUser(users, username, password, role) {
+    const { salt, passwordHash } = await hashPassword(password);
+    const user = { username, role, salt, passwordHash, createdAt: new Date().toISOString() };
+    users.push(user);
+    return user;
+}
+
+function createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    sessions.set(token, { username: user.username, role: user.role, expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+function destroySession(token) {
+    sessions.delete(token);
+}
+
+// Log out every session of a user, e.g. after their account was removed
+function destroyUserSessions(username) {
+    for (const [token, session] of sessions) {
+        if (session.username === username) {
+            sessions.delete(token);
+        }
+    }
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+function getSession(token) {
+    const session = token && sessions.get(token);
+    if (!session) {
+        return null;
+    }
+    if (session.expiresAt < Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+    return session;
+}
+
+function hasRole(userRole, requiredRole) {
+    return ROLES.indexOf(userRole) >= ROLES.indexOf(requiredRole);
+}
+
+// Middleware: 401 without a valid session, 403 when the role is too low.
+// Sets req.user = { username, role } for the route handlers.
+function requireRole(requiredRole) {
+    return (req, res, next) => {
+        const session = getSession(getBearerToken(req));
+        if (!session) {
+            console.log(`🔒 Unauthenticated ${req.method} ${req.originalUrl}`);
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (!hasRole(session.role, requiredRole)) {
+            console.log(`🔒 ${session.username} (${session.role}) needs ${requiredRole} for ${req.method} ${req.originalUrl}`);
+            return res.status(403).json({ error: `This action requires the ${requiredRole} role` });
+        }
+        req.user = { username: session.username, role: session.role };
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    USERS_FILE,
+    readUsers,
+    writeUsers,
+    verifyPassword,
+    publicUser,
+    createUser,
+    createSession,
+    destroySession,
+    destroyUserSessions,
+    getBearerToken,
+    hasRole,
+    requireRole
+};
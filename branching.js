@@ -0,0 +1,255 @@
+// Display rules: which questions a respondent is shown
+// A question's showIf rule decides whether it is asked at all, and its endIf
+// rule ends the survey after it. Rules look at answers to earlier questions and
+// at the respondent's details. Consecutive questions with the same block name
+// are shown together on one page.
+// Shared by server.js (checks submissions) and the admin/survey pages
+//
+// Rule: { match: 'all' | 'any', conditions: [condition, ...] }
+// Condition: { source: 'answer', questionId, operator, value }
+//         or { source: 'respondent', field, operator, value }
+
+// In the browser question-types.js is loaded first and sets window.QuestionTypes.
+// Named differently from that global (and from scoring.js's copy) to avoid a clash.
+const ruleQuestionTypes = typeof module !== 'undefined' && module.exports ?
+    require('./question-types') :
+    window.QuestionTypes;
+
+const Branching = {
+    // value: what the condition compares with - an option index, a number or text
+    OPERATORS: {
+        answered: { label: 'is answered', value: null },
+        not_answered: { label: 'is not answered', value: null },
+        equals: { label: 'is', value: 'same' },
+        not_equals: { label: 'is not', value: 'same' },
+        includes: { label: 'includes', value: 'option' },
+        excludes: { label: 'does not include', value: 'option' },
+        ranked_first: { label: 'has first', value: 'option' },
+        greater_than: { label: 'is more than', value: 'number' },
+        less_than: { label: 'is less than', value: 'number' },
+        contains: { label: 'contains', value: 'text' },
+        ends_with: { label: 'ends with', value: 'text' }
+    },
+
+    OPERATORS_BY_TYPE: {
+        single: ['answered', 'not_answered', 'equals', 'not_equals'],
+        multi: ['answered', 'not_answered', 'includes', 'excludes'],
+        ranking: ['answered', 'not_answered', 'ranked_first'],
+        scale: ['answered', 'not_answered', 'equals', 'not_equals', 'greater_than', 'less_than'],
+        text: ['answered', 'not_answered', 'equals', 'not_equals', 'contains'],
+        textarea: ['answered', 'not_answered', 'contains']
+    },
+
+    // Respondent details rules can use, and how they can be compared
+    RESPONDENT_FIELDS: {
+        name: 'Name',
+        email: 'Email',
+        employeeId: 'Employee ID'
+    },
+    RESPONDENT_OPERATORS: ['equals', 'not_equals', 'contains', 'ends_with'],
+
+    MAX_CONDITIONS: 20,
+    MAX_TEXT_LENGTH: 200,
+
+    operatorsFor: function(question) {
+        return Branching.OPERATORS_BY_TYPE[ruleQuestionTypes.getType(question)] || [];
+    },
+
+    // What an operator compares with on this question: 'option', 'number', 'text' or null
+    valueKind: function(question, operator) {
+        const kind = Branching.OPERATORS[operator] && Branching.OPERATORS[operator].value;
+        if (kind !== 'same') return kind || null;
+        const type = ruleQuestionTypes.getType(question);
+        if (type === 'single') return 'option';
+        if (type === 'scale') return 'number';
+        return 'text';
+    },
+
+    // Raw answer values by question id, from submitted answer payloads
+    answerValues: function(answers) {
+        const values = new Map();
+        (Array.isArray(answers) ? answers : []).forEach(answer => {
+            if (answer && answer.questionId !== undefined) {
+                values.set(answer.questionId,
+                    answer.selectedOptionIndex !== undefined ? answer.selectedOptionIndex : answer.value);
+            }
+        });
+        return values;
+    },
+
+    _sameText: function(a, b) {
+        return String(a === undefined || a === null ? '' : a).trim().toLowerCase() ===
+            String(b).trim().toLowerCase();
+    },
+
+    _compareText: function(operator, actual, expected) {
+        const text = String(actual === undefined || actual === null ? '' : actual).trim().toLowerCase();
+        const target = String(expected).trim().toLowerCase();
+        switch (operator) {
+            case 'equals': return text === target;
+            case 'not_equals': return text !== target;
+            case 'contains': return text.includes(target);
+            case 'ends_with': return text.endsWith(target);
+            default: return false;
+        }
+    },
+
+    // Conditions other than "is not answered" never match a question that wasn't answered
+    evaluateCondition: function(condition, questionsById, values, respondent) {
+        if (condition.source === 'respondent') {
+            return Branching._compareText(condition.operator, (respondent || {})[condition.field], condition.value);
+        }
+
+        const question = questionsById.get(condition.questionId);
+        const value = values.get(condition.questionId);
+        const answered = !!question && ruleQuestionTypes.isAnswered(question, value);
+        if (condition.operator === 'answered') return answered;
+        if (condition.operator === 'not_answered') return !answered;
+        if (!answered) return false;
+
+        switch (Branching.valueKind(question, condition.operator) === 'text' ? 'text' : condition.operator) {
+            case 'text': return Branching._compareText(condition.operator, value, condition.value);
+            case 'equals': return Math.abs(value - condition.value) < 1e-9;
+            case 'not_equals': return Math.abs(value - condition.value) >= 1e-9;
+            case 'includes': return value.includes(condition.value);
+            case 'excludes': return !value.includes(condition.value);
+            case 'ranked_first': return value[0] === condition.value;
+            case 'greater_than': return value > condition.value;
+            case 'less_than': return value < condition.value;
+            default: return false;
+        }
+    },
+
+    evaluateRule: function(rule, questionsById, values, respondent) {
+        const matches = rule.conditions.map(c => Branching.evaluateCondition(c, questionsById, values, respondent));
+        return rule.match === 'any' ? matches.some(Boolean) : matches.every(Boolean);
+    },
+
+    // The questions a respondent with these answers (Map of question id -> raw
+    // value) is shown, in order. Answers to skipped questions don't count towards
+    // later rules, and an endIf rule that matches stops the survey after its question.
+    visibleQuestions: function(questions, values, respondent) {
+        const questionsById = new Map(questions.map(q => [q.id, q]));
+        const shownValues = new Map();
+        const shown = [];
+
+        for (const question of questions) {
+            if (question.showIf && !Branching.evaluateRule(question.showIf, questionsById, shownValues, respondent)) {
+                continue;
+            }
+            shown.push(question);
+            if (values.has(question.id)) {
+                shownValues.set(question.id, values.get(question.id));
+            }
+            if (question.endIf && Branching.evaluateRule(question.endIf, questionsById, shownValues, respondent)) {
+                break;
+            }
+        }
+        return shown;
+    },
+
+    // Group questions into pages: [{ block, questions }]. A question without a
+    // block gets a page of its own.
+    pages: function(questions) {
+        const pages = [];
+        questions.forEach(question => {
+            const last = pages[pages.length - 1];
+            if (question.block && last && last.block === question.block) {
+                last.questions.push(question);
+            } else {
+                pages.push({ block: question.block || '', questions: [question] });
+            }
+        });
+        return pages;
+    },
+
+    _checkValue: function(kind, value, question) {
+        if (kind === null) return value === undefined || value === null;
+        if (kind === 'option') return Number.isInteger(value) && value >= 0 && value < (question.options || []).length;
+        if (kind === 'number') return Number.isFinite(value);
+        return typeof value === 'string' && value.trim() !== '' && value.length <= Branching.MAX_TEXT_LENGTH;
+    },
+
+    // Returns an error message, or null when the rule fits. `earlier` holds the
+    // questions its conditions may refer to.
+    validateRule: function(rule, earlier) {
+        if (!rule || typeof rule !== 'object' || !['all', 'any'].includes(rule.match)) {
+            return 'a rule must match "all" or "any" of its conditions';
+        }
+        if (!Array.isArray(rule.conditions) || rule.conditions.length === 0 ||
+            rule.conditions.length > Branching.MAX_CONDITIONS) {
+            return `a rule needs 1 to ${Branching.MAX_CONDITIONS} conditions`;
+        }
+
+        for (const [i, condition] of rule.conditions.entries()) {
+            const label = `condition ${i + 1}`;
+            if (!condition || typeof condition !== 'object') {
+                return `${label} is invalid`;
+            }
+            if (condition.source === 'respondent') {
+                if (!Branching.RESPONDENT_FIELDS[condition.field]) {
+                    return `${label} uses an unknown respondent detail`;
+                }
+                if (!Branching.RESPONDENT_OPERATORS.includes(condition.operator)) {
+                    return `${label} can't compare respondent details that way`;
+                }
+                if (!Branching._checkValue('text', condition.value)) {
+                    return `${label} needs text to compare with`;
+                }
+            } else if (condition.source === 'answer') {
+                const question = earlier.find(q => q.id === condition.questionId);
+                if (!question) {
+                    return `${label} must refer to an earlier question`;
+                }
+                if (!Branching.operatorsFor(question).includes(condition.operator)) {
+                    return `${label} can't compare that question's answer that way`;
+                }
+                const kind = Branching.valueKind(question, condition.operator);
+                if (!Branching._checkValue(kind, condition.value, question)) {
+                    return kind === null ? `${label} doesn't take a value` :
+                        kind === 'option' ? `${label} needs one of the question's options` :
+                            kind === 'number' ? `${label} needs a number` :
+                                `${label} needs text to compare with`;
+                }
+            } else {
+                return `${label} must look at an answer or a respondent detail`;
+            }
+        }
+        return null;
+    },
+
+    // Check every question's rules against the questions before it.
+    // showIf may use earlier questions; endIf may also use its own question.
+    // Returns an error message or null.
+    validateRules: function(questions) {
+        for (const [index, question] of questions.entries()) {
+            const showError = question.showIf && Branching.validateRule(question.showIf, questions.slice(0, index));
+            if (showError) {
+                return `Question ${index + 1}: display rule - ${showError}`;
+            }
+            const endError = question.endIf && Branching.validateRule(question.endIf, questions.slice(0, index + 1));
+            if (endError) {
+                return `Question ${index + 1}: end survey rule - ${endError}`;
+            }
+        }
+        return null;
+    },
+
+    // Positions (1-based) of the questions whose rules refer to any of these question ids
+    dependentQuestions: function(questions, questionIds) {
+        const usesAny = rule => !!rule && rule.conditions.some(c => c.source === 'answer' && questionIds.includes(c.questionId));
+        return questions
+            .map((question, index) => ({ question, position: index + 1 }))
+            .filter(({ question }) => !questionIds.includes(question.id) && (usesAny(question.showIf) || usesAny(question.endIf)))
+            .map(({ position }) => position);
+    }
+};
+
+// Make Branching available in the browser
+if (typeof window !== 'undefined') {
+    window.Branching = Branching;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Branching;
+}
@@ -10,7 +10,13 @@ const CONFIG = {
         DATA: '/api/data',
         QUESTIONS: '/api/questions',
         RESPONSES: '/api/responses',
-        SURVEY_RESPONSES: '/api/survey-responses'
+        SURVEY_RESPONSES: '/api/survey-responses',
+        SURVEYS: '/api/surveys',
+        AUTH: '/api/auth',
+        USERS: '/api/users',
+        WEBHOOKS: '/api/webhooks',
+        AUDIT: '/api/audit',
+        PRIVACY: '/api/privacy'
     },
     
     // Helper function to build full API URLs
@@ -24,10 +30,22 @@ const CONFIG = {
         get QUESTIONS() { return CONFIG.getApiUrl(CONFIG.ENDPOINTS.QUESTIONS); },
         get RESPONSES() { return CONFIG.getApiUrl(CONFIG.ENDPOINTS.RESPONSES); },
         get SURVEY_RESPONSES() { return CONFIG.getApiUrl(CONFIG.ENDPOINTS.SURVEY_RESPONSES); },
+        get SURVEYS() { return CONFIG.getApiUrl(CONFIG.ENDPOINTS.SURVEYS); },
+        get USERS() { return CONFIG.getApiUrl(CONFIG.ENDPOINTS.USERS); },
+        get WEBHOOKS() { return CONFIG.getApiUrl(CONFIG.ENDPOINTS.WEBHOOKS); },
+        get AUDIT() { return CONFIG.getApiUrl(CONFIG.ENDPOINTS.AUDIT); },
+        get PRIVACY() { return CONFIG.getApiUrl(CONFIG.ENDPOINTS.PRIVACY); },
         
         // Dynamic URLs that need parameters
         QUESTION_BY_ID: (id) => `${CONFIG.getApiUrl(CONFIG.ENDPOINTS.QUESTIONS)}/${id}`,
         SURVEY_RESPONSE_BY_ID: (id) => `${CONFIG.getApiUrl(CONFIG.ENDPOINTS.SURVEY_RESPONSES)}/${id}`,
+        AUTH: (action) => `${CONFIG.getApiUrl(CONFIG.ENDPOINTS.AUTH)}/${action}`,
+        USER_BY_NAME: (username) => `${CONFIG.getApiUrl(CONFIG.ENDPOINTS.USERS)}/${encodeURIComponent(username)}`,
+        // e.g. WEBHOOK('/3/test'), WEBHOOK('/deliveries?status=failed')
+        WEBHOOK: (path) => `${CONFIG.getApiUrl(CONFIG.ENDPOINTS.WEBHOOKS)}${path}`,
+
+        // Survey-scoped URLs, e.g. SURVEY('default', '/questions')
+        SURVEY: (surveyId, path = '') => `${CONFIG.getApiUrl(CONFIG.ENDPOINTS.SURVEYS)}/${encodeURIComponent(surveyId)}${path}`,
     }
 };
 
@@ -0,0 +1,46 @@
+// Create or reset an admin account
+// Usage: npm run create-admin -- <username> [viewer|editor|owner]
+// The password is read from ADMIN_PASSWORD, or asked for on the terminal.
+const readline = require('readline');
+const auth = require('./auth');
+
+function askPassword() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question('Password: ', answer => {
+            rl.close();
+            resolve(answer);
+        });
+    });
+}
+
+async function main() {
+    const [username, role = 'owner'] = process.argv.slice(2);
+
+    if (!username) {
+        console.error('Usage: npm run create-admin -- <username> [viewer|editor|owner]');
+        process.exit(1);
+    }
+    if (!auth.ROLES.includes(role)) {
+        console.error(`❌ Role must be one of: ${auth.ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    const password = process.env.ADMIN_PASSWORD || await askPassword();
+    if (password.length < 8) {
+        console.error('❌ Password must be at least 8 characters');
+        process.exit(1);
+    }
+
+    // Replace an existing account with the same name
+    const users = (await auth.readUsers()).filter(u => u.username !== username);
+    await auth.createUser(users, username, password, role);
+
+    if (await auth.writeUsers(users)) {
+        console.log(`✅ Saved ${role} account "${username}" to ${auth.USERS_FILE}`);
+    } else {
+        process.exit(1);
+    }
+}
+
+main();
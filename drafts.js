@@ -0,0 +1,120 @@
+// Drafts of partially completed surveys
+// The survey page saves a draft as the respondent answers and the draft is
+// removed when they submit. Drafts opened from an invitation link are keyed by
+// the invitation, so the same link resumes them on any device; other drafts get
+// a resume token of their own. Answers are stored by question id, so a draft
+// still fits after a new version of the survey is published.
+const Invitations = require('./invitations');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Drafts untouched for this long are deleted
+const DRAFT_EXPIRY_DAYS = Number(process.env.DRAFT_EXPIRY_DAYS) || 30;
+// ...and count as abandoned (instead of in progress) after this long
+const DRAFT_ABANDONED_HOURS = Number(process.env.DRAFT_ABANDONED_HOURS) || 24;
+
+const MAX_TEXT_LENGTH = 10000;
+
+function invitationDraftKey(invitation) {
+    return `invitation:${invitation.id}`;
+}
+
+function generateResumeToken() {
+    return Invitations.generateToken();
+}
+
+function isResumeToken(token) {
+    return typeof token === 'string' && /^[A-Za-z0-9_-]{32}$/.test(token);
+}
+
+// Drafts last updated before this time (ISO string) have expired
+function expiryCutoff(now = Date.now()) {
+    return new Date(now - DRAFT_EXPIRY_DAYS * DAY_MS).toISOString();
+}
+
+function isExpired(draft, now = Date.now()) {
+    return draft.updatedAt < expiryCutoff(now);
+}
+
+function expiresAt(draft) {
+    return new Date(new Date(draft.updatedAt).getTime() + DRAFT_EXPIRY_DAYS * DAY_MS).toISOString();
+}
+
+function isDraftValue(value) {
+    if (value === null || Number.isFinite(value)) return true;
+    if (typeof value === 'string') return value.length <= MAX_TEXT_LENGTH;
+    return Array.isArray(value) && value.length <= 100 && value.every(Number.isInteger);
+}
+
+// Returns an error message, or null when the draft can be saved
+function validateDraft({ userData, intake, answers, currentQuestionId }) {
+    if (!userData || typeof userData !== 'object' ||
+        !['name', 'email', 'employeeId'].every(field => userData[field] === undefined || typeof userData[field] === 'string')) {
+        return 'Invalid respondent details';
+    }
+    // Intake answers are only checked against the fields on submission
+    if (intake !== undefined && (!intake || typeof intake !== 'object' || Array.isArray(intake) ||
+        !Object.values(intake).every(value => typeof value === 'string' && value.length <= MAX_TEXT_LENGTH))) {
+        return 'Invalid intake answers';
+    }
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        return 'Answers must be an object keyed by question id';
+    }
+    const entries = Object.entries(answers);
+    if (entries.length > 500 || !entries.every(([id, value]) => /^\d+$/.test(id) && isDraftValue(value))) {
+        return 'Invalid draft answers';
+    }
+    if (currentQuestionId !== null && currentQuestionId !== undefined && !Number.isInteger(currentQuestionId)) {
+        return 'Invalid current question';
+    }
+    return null;
+}
+
+// What the survey page gets back when resuming
+function publicDraft(draft) {
+    return {
+        userData: draft.userData,
+        intake: draft.intake || {},
+        answers: draft.answers,
+        currentQuestionId: draft.currentQuestionId,
+        updatedAt: draft.updatedAt,
+        expiresAt: expiresAt(draft)
+    };
+}
+
+// In-progress and abandoned counts, and the question abandoned drafts stopped at.
+// questions: every question the survey has had (see Analytics.collectQuestions)
+function draftStats(drafts, questions, now = Date.now()) {
+    const current = drafts.filter(d => !isExpired(d, now));
+    const abandonedBefore = new Date(now - DRAFT_ABANDONED_HOURS * HOUR_MS).toISOString();
+    const abandoned = current.filter(d => d.updatedAt < abandonedBefore);
+
+    const dropOff = questions.map((question, index) => ({
+        questionId: question.id,
+        position: index + 1,
+        text: question.text,
+        count: abandoned.filter(d => d.currentQuestionId === question.id).length
+    }));
+
+    return {
+        inProgress: current.length - abandoned.length,
+        abandoned: abandoned.length,
+        abandonedAfterHours: DRAFT_ABANDONED_HOURS,
+        expireAfterDays: DRAFT_EXPIRY_DAYS,
+        dropOff
+    };
+}
+
+module.exports = {
+    DRAFT_EXPIRY_DAYS,
+    DRAFT_ABANDONED_HOURS,
+    invitationDraftKey,
+    generateResumeToken,
+    isResumeToken,
+    expiryCutoff,
+    isExpired,
+    validateDraft,
+    publicDraft,
+    draftStats
+};
@@ -0,0 +1,161 @@
+// Export submissions as CSV (RFC 4180), XLSX or newline-delimited JSON.
+// Answers are matched to columns by question id, so submissions to different
+// survey versions line up even when questions were added, removed or reordered.
+const ExcelJS = require('exceljs');
+const QuestionTypes = require('./question-types');
+const Schedule = require('./schedule');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+function questionKey(question) {
+    return `Q${question.id}`;
+}
+
+// Column definitions: { header, value(response) }
+// survey: the survey (for intake fields, rounds and dimensions), questions: from Analytics.collectQuestions
+function buildColumns(survey, questions) {
+    const columns = [
+        { header: 'Response ID', value: r => r.id },
+        { header: 'Name', value: r => r.userData && r.userData.name },
+        { header: 'Email', value: r => r.userData && r.userData.email },
+        { header: 'Employee ID', value: r => r.userData && r.userData.employeeId },
+        ...survey.intakeFields.map(field => ({ header: field.label, value: r => r.intake && r.intake[field.id] })),
+        { header: 'Submitted At', value: r => r.timestamp },
+        { header: 'Version', value: r => r.surveyVersion },
+        ...(survey.schedule.rounds.length ? [{ header: 'Round', value: r => Schedule.roundName(survey.schedule, r.round) }] : []),
+        { header: 'Language', value: r => r.locale },
+        { header: 'Total Score', value: r => r.totalScore },
+        { header: 'Max Score', value: r => r.maxScore },
+        { header: 'Percentage', value: r => r.percentage },
+        { header: 'Band', value: r => r.band && r.band.label }
+    ];
+
+    survey.dimensions.forEach(dimension => {
+        const score = r => (r.dimensionScores || []).find(d => d.dimensionId === dimension.id);
+        columns.push(
+            { header: `${dimension.name} %`, value: r => score(r) && score(r).percentage },
+            { header: `${dimension.name} Band`, value: r => score(r) && score(r).band && score(r).band.label }
+        );
+    });
+
+    questions.forEach(question => {
+        const answer = r => (r.answers || []).find(a => a.questionId === question.id);
+        columns.push({
+            header: `${questionKey(question)}: ${question.text}`,
+            // Answers saved before question types only have selectedOptionText
+            value: r => answer(r) && (answer(r).answerText !== undefined ? answer(r).answerText : answer(r).selectedOptionText)
+        });
+        if (QuestionTypes.isScored(question)) {
+            columns.push({ header: `${questionKey(question)} Score`, value: r => answer(r) && answer(r).score });
+        }
+    });
+
+    return columns;
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return `${values.map(csvField).join(',')}\r\n`;
+}
+
+// Write a header row and value rows as CSV
+function writeCsvTable(out, headers, rows) {
+    // The BOM makes Excel read the file as UTF-8
+    out.write('\ufeff');
+    out.write(csvLine(headers));
+    rows.forEach(row => out.write(csvLine(row)));
+    out.end();
+}
+
+function writeCsv(out, columns, responses) {
+    writeCsvTable(out, columns.map(c => c.header), responses.map(r => columns.map(c => c.value(r))));
+}
+
+function writeNdjson(out, responses) {
+    responses.forEach(r => out.write(`${JSON.stringify(r)}\n`));
+    out.end();
+}
+
+async function writeXlsx(out, columns, questions, responses, survey) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useSharedStrings: false });
+
+    const sheet = workbook.addWorksheet('Responses', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(c => ({ header: c.header, width: Math.min(40, Math.max(12, c.header.length)) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+    responses.forEach(r => {
+        sheet.addRow(columns.map(c => {
+            const value = c.value(r);
+            return value === undefined ? null : value;
+        })).commit();
+    });
+    sheet.commit();
+
+    const keySheet = workbook.addWorksheet('Question Key', { views: [{ state: 'frozen', ySplit: 1 }] });
+    keySheet.columns = [
+        { header: 'Key', width: 10 },
+        { header: 'Question ID', width: 14 },
+        { header: 'Question', width: 80 },
+        { header: 'Type', width: 28 },
+        { header: 'Scored', width: 8 },
+        { header: 'Reverse Scored', width: 15 },
+        { header: 'Dimensions', width: 30 },
+        { header: 'Versions', width: 12 }
+    ];
+    keySheet.getRow(1).font = { bold: true };
+    keySheet.getRow(1).commit();
+    questions.forEach(question => {
+        const type = QuestionTypes.getType(question);
+        keySheet.addRow([
+            questionKey(question),
+            question.id,
+            question.text,
+            QuestionTypes.TYPES[type] ? QuestionTypes.TYPES[type].label : type,
+            QuestionTypes.isScored(question) ? 'Yes' : 'No',
+            question.reverseScored ? 'Yes' : 'No',
+            (question.dimensions || [])
+                .map(id => (survey.dimensions.find(d => d.id === id) || { name: id }).name)
+                .join(', '),
+            survey.versions
+                .filter(v => v.questions.some(q => q.id === question.id))
+                .map(v => v.version)
+                .join(', ')
+        ]).commit();
+    });
+    keySheet.commit();
+
+    await workbook.commit();
+}
+
+// Write the export to `out` (the HTTP response)
+async function writeExport(format, out, { survey, questions, responses }) {
+    const columns = buildColumns(survey, questions);
+    if (format === 'csv') {
+        writeCsv(out, columns, responses);
+    } else if (format === 'xlsx') {
+        await writeXlsx(out, columns, questions, responses, survey);
+    } else {
+        writeNdjson(out, responses);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    writeCsvTable,
+    writeExport
+};
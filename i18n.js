@@ -0,0 +1,428 @@
+// Translations: interface strings of the survey page and per-locale survey text
+// A survey is written in its defaultLocale. survey.translations holds the other
+// locales as flat { key: text } maps, e.g. translations.fr['question.17.text'].
+// Keys (see translationEntries):
+//   survey.title, survey.description
+//   question.<id>.text, question.<id>.option.<index>, question.<id>.minLabel/maxLabel
+//   block.<name>
+//   band.<id>.label/text/recommendations, dimension.<id>.name,
+//   dimension.<id>.band.<bandId>.label/text/recommendations
+//   intake.<fieldId>.label, intake.<fieldId>.option.<index>
+//   ui.<key> - overrides or adds interface strings (UI_STRINGS) for the locale
+// Missing keys fall back to the survey's own text. Submissions store answers in
+// the default locale, so results line up across languages.
+// Shared by server.js and the admin/survey pages
+
+const I18n = {
+    DEFAULT_LOCALE: 'en',
+    LOCALE_PATTERN: /^[a-z]{2,3}(-[A-Za-z0-9]{2,4})?$/,
+    MAX_TEXT_LENGTH: 10000,
+
+    // Interface strings of index.html and the result reports. {name} marks a value filled in by format().
+    UI_STRINGS: {
+        en: {
+            introHeading: 'Please answer each question honestly and select one of the following options.',
+            introText: 'There are no right or wrong answers. This tool is meant to help you reflect on your interviewing habits.',
+            language: 'Language:',
+            detailsHeading: 'Please fill in your details',
+            nameLabel: 'Name:',
+            emailLabel: 'Email ID:',
+            employeeIdLabel: 'Employee ID:',
+            startSurvey: 'Start Survey',
+            questionsHeading: 'Survey Questions',
+            previous: 'Previous',
+            next: 'Next',
+            submit: 'Submit Survey',
+            saving: 'Saving your survey response...',
+            takeAgain: 'Take Survey Again',
+            questionNumber: 'Question {number} of {total}',
+            optional: '(optional)',
+            selectCount: 'Select {count} option(s).',
+            selectRange: 'Select {min} to {max} option(s).',
+            rankHint: 'Put the options in order, most important first.',
+            anonymousNotice: 'This survey is anonymous: your name, email and employee ID are not stored with your answers.',
+            draftNotice: 'You have an unfinished response from {date} ({count} question(s) answered). Start Survey continues where you left off.',
+            startOver: 'Start over',
+            draftSavedInvitation: 'Progress saved. Open your invitation link again to continue later.',
+            draftSavedLink: 'Progress saved. To continue on another device, open {link}',
+            draftSaveFailed: 'Your progress could not be saved right now.',
+            surveyNotFound: 'This survey could not be found. Please check the link you were given.',
+            surveyClosed: 'This survey is closed and no longer accepting responses.',
+            surveyUnpublished: 'This survey has not been published yet.',
+            surveyNotOpen: 'This survey opens on {date}.',
+            surveyBetweenRounds: 'The next round of this survey opens on {date}.',
+            invitationInvalid: 'This invitation link is not valid. Please check the link you were given.',
+            invitationRequired: 'This survey can only be taken from the invitation link you were sent.',
+            fillAllFields: 'Please fill in all fields',
+            invalidEmail: 'Please enter a valid email address',
+            invalidDetail: 'Please check your answer to "{label}"',
+            choosePlaceholder: 'Please choose',
+            answerRequired: 'Please answer all required questions before submitting.',
+            thankYou: 'Thank you, {name}!',
+            defaultResult: 'Thank you for completing the survey!',
+            resultsByArea: 'Your results by area',
+            scoreChange: 'Since your last attempt on {date}, your score went from {previous}% to {current}% ({change} points).',
+            scoreChangeRound: 'Since your last attempt in the "{round}" round, your score went from {previous}% to {current}% ({change} points).',
+            queuedOffline: 'You appear to be offline. Your response is stored on this device and will be sent automatically when the connection returns - please revisit this page if you close it.',
+            queuedSent: 'Your response has now been sent. Thank you!',
+            notSaved: 'Your response could not be saved: {error}',
+            submitFailed: 'There was an error saving your response. Please try again.',
+            downloadReport: 'Download your report (PDF)',
+            viewReport: 'View it in the browser',
+            reportHeading: 'Your personal report',
+            reportSubmitted: 'Submitted on {date}',
+            reportScore: 'Score: {score} of {max} ({percentage}%)',
+            reportResult: 'Your result',
+            reportRecommendations: 'Recommendations',
+            reportAnswers: 'Your answers',
+            reportPoints: '{score} point(s)'
+        },
+        fr: {
+            introHeading: 'Veuillez répondre honnêtement à chaque question en choisissant l\'une des options proposées.',
+            introText: 'Il n\'y a pas de bonne ou de mauvaise réponse. Cet outil vous aide à réfléchir à vos habitudes d\'entretien.',
+            language: 'Langue :',
+            detailsHeading: 'Veuillez indiquer vos coordonnées',
+            nameLabel: 'Nom :',
+            emailLabel: 'Adresse e-mail :',
+            employeeIdLabel: 'Matricule :',
+            startSurvey: 'Commencer le questionnaire',
+            questionsHeading: 'Questions',
+            previous: 'Précédent',
+            next: 'Suivant',
+            submit: 'Envoyer le questionnaire',
+            saving: 'Enregistrement de votre réponse...',
+            takeAgain: 'Répondre à nouveau',
+            questionNumber: 'Question {number} sur {total}',
+            optional: '(facultatif)',
+            selectCount: 'Choisissez {count} option(s).',
+            selectRange: 'Choisissez de {min} à {max} option(s).',
+            rankHint: 'Classez les options, de la plus importante à la moins importante.',
+            anonymousNotice: 'Ce questionnaire est anonyme : votre nom, votre e-mail et votre identifiant ne sont pas enregistrés avec vos réponses.',
+            draftNotice: 'Vous avez une réponse non terminée du {date} ({count} question(s) répondue(s)). « Commencer le questionnaire » reprend là où vous vous êtes arrêté.',
+            startOver: 'Recommencer',
+            draftSavedInvitation: 'Progression enregistrée. Ouvrez à nouveau votre lien d\'invitation pour continuer plus tard.',
+            draftSavedLink: 'Progression enregistrée. Pour continuer sur un autre appareil, ouvrez {link}',
+            draftSaveFailed: 'Votre progression n\'a pas pu être enregistrée pour le moment.',
+            surveyNotFound: 'Ce questionnaire est introuvable. Veuillez vérifier le lien que vous avez reçu.',
+            surveyClosed: 'Ce questionnaire est clos et n\'accepte plus de réponses.',
+            surveyUnpublished: 'Ce questionnaire n\'a pas encore été publié.',
+            surveyNotOpen: 'Ce questionnaire ouvre le {date}.',
+            surveyBetweenRounds: 'La prochaine session de ce questionnaire ouvre le {date}.',
+            invitationInvalid: 'Ce lien d\'invitation n\'est pas valide. Veuillez vérifier le lien que vous avez reçu.',
+            invitationRequired: 'Ce questionnaire n\'est accessible que depuis le lien d\'invitation qui vous a été envoyé.',
+            fillAllFields: 'Veuillez remplir tous les champs',
+            invalidEmail: 'Veuillez saisir une adresse e-mail valide',
+            invalidDetail: 'Veuillez vérifier votre réponse à « {label} »',
+            choosePlaceholder: 'Veuillez choisir',
+            answerRequired: 'Veuillez répondre à toutes les questions obligatoires avant d\'envoyer.',
+            thankYou: 'Merci, {name} !',
+            defaultResult: 'Merci d\'avoir répondu au questionnaire !',
+            resultsByArea: 'Vos résultats par domaine',
+            scoreChange: 'Depuis votre dernière participation le {date}, votre score est passé de {previous} % à {current} % ({change} points).',
+            scoreChangeRound: 'Depuis votre dernière participation à la session « {round} », votre score est passé de {previous} % à {current} % ({change} points).',
+            queuedOffline: 'Vous semblez hors ligne. Votre réponse est conservée sur cet appareil et sera envoyée automatiquement au retour de la connexion - revenez sur cette page si vous la fermez.',
+            queuedSent: 'Votre réponse a bien été envoyée. Merci !',
+            notSaved: 'Votre réponse n\'a pas pu être enregistrée : {error}',
+            submitFailed: 'Une erreur est survenue lors de l\'enregistrement de votre réponse. Veuillez réessayer.',
+            downloadReport: 'Télécharger votre rapport (PDF)',
+            viewReport: 'L\'afficher dans le navigateur',
+            reportHeading: 'Votre rapport personnel',
+            reportSubmitted: 'Envoyé le {date}',
+            reportScore: 'Score : {score} sur {max} ({percentage} %)',
+            reportResult: 'Votre résultat',
+            reportRecommendations: 'Recommandations',
+            reportAnswers: 'Vos réponses',
+            reportPoints: '{score} point(s)'
+        },
+        es: {
+            introHeading: 'Responda cada pregunta con sinceridad y elija una de las opciones.',
+            introText: 'No hay respuestas correctas ni incorrectas. Esta herramienta le ayuda a reflexionar sobre sus hábitos en las entrevistas.',
+            language: 'Idioma:',
+            detailsHeading: 'Introduzca sus datos',
+            nameLabel: 'Nombre:',
+            emailLabel: 'Correo electrónico:',
+            employeeIdLabel: 'ID de empleado:',
+            startSurvey: 'Comenzar la encuesta',
+            questionsHeading: 'Preguntas',
+            previous: 'Anterior',
+            next: 'Siguiente',
+            submit: 'Enviar encuesta',
+            saving: 'Guardando su respuesta...',
+            takeAgain: 'Responder de nuevo',
+            questionNumber: 'Pregunta {number} de {total}',
+            optional: '(opcional)',
+            selectCount: 'Elija {count} opción(es).',
+            selectRange: 'Elija entre {min} y {max} opciones.',
+            rankHint: 'Ordene las opciones, de la más importante a la menos importante.',
+            anonymousNotice: 'Esta encuesta es anónima: su nombre, correo y número de empleado no se guardan con sus respuestas.',
+            draftNotice: 'Tiene una respuesta sin terminar del {date} ({count} pregunta(s) respondida(s)). «Comenzar la encuesta» continúa donde lo dejó.',
+            startOver: 'Empezar de nuevo',
+            draftSavedInvitation: 'Progreso guardado. Abra de nuevo su enlace de invitación para continuar más tarde.',
+            draftSavedLink: 'Progreso guardado. Para continuar en otro dispositivo, abra {link}',
+            draftSaveFailed: 'No se ha podido guardar su progreso en este momento.',
+            surveyNotFound: 'No se ha encontrado esta encuesta. Compruebe el enlace que recibió.',
+            surveyClosed: 'Esta encuesta está cerrada y ya no acepta respuestas.',
+            surveyUnpublished: 'Esta encuesta aún no se ha publicado.',
+            surveyNotOpen: 'Esta encuesta se abre el {date}.',
+            surveyBetweenRounds: 'La próxima ronda de esta encuesta se abre el {date}.',
+            invitationInvalid: 'Este enlace de invitación no es válido. Compruebe el enlace que recibió.',
+            invitationRequired: 'Esta encuesta solo puede responderse desde el enlace de invitación que recibió.',
+            fillAllFields: 'Complete todos los campos',
+            invalidEmail: 'Introduzca un correo electrónico válido',
+            invalidDetail: 'Revise su respuesta a «{label}»',
+            choosePlaceholder: 'Elija una opción',
+            answerRequired: 'Responda todas las preguntas obligatorias antes de enviar.',
+            thankYou: '¡Gracias, {name}!',
+            defaultResult: '¡Gracias por completar la encuesta!',
+            resultsByArea: 'Sus resultados por área',
+            scoreChange: 'Desde su último intento el {date}, su puntuación pasó del {previous}% al {current}% ({change} puntos).',
+            scoreChangeRound: 'Desde su último intento en la ronda «{round}», su puntuación pasó del {previous}% al {current}% ({change} puntos).',
+            queuedOffline: 'Parece que no tiene conexión. Su respuesta se guarda en este dispositivo y se enviará automáticamente cuando vuelva la conexión; vuelva a esta página si la cierra.',
+            queuedSent: 'Su respuesta ya se ha enviado. ¡Gracias!',
+            notSaved: 'No se ha podido guardar su respuesta: {error}',
+            submitFailed: 'Se produjo un error al guardar su respuesta. Inténtelo de nuevo.',
+            downloadReport: 'Descargar su informe (PDF)',
+            viewReport: 'Verlo en el navegador',
+            reportHeading: 'Su informe personal',
+            reportSubmitted: 'Enviado el {date}',
+            reportScore: 'Puntuación: {score} de {max} ({percentage} %)',
+            reportResult: 'Su resultado',
+            reportRecommendations: 'Recomendaciones',
+            reportAnswers: 'Sus respuestas',
+            reportPoints: '{score} punto(s)'
+        },
+        de: {
+            introHeading: 'Bitte beantworten Sie jede Frage ehrlich und wählen Sie eine der Antwortmöglichkeiten.',
+            introText: 'Es gibt keine richtigen oder falschen Antworten. Dieses Werkzeug soll Ihnen helfen, über Ihre Gewohnheiten in Vorstellungsgesprächen nachzudenken.',
+            language: 'Sprache:',
+            detailsHeading: 'Bitte geben Sie Ihre Daten ein',
+            nameLabel: 'Name:',
+            emailLabel: 'E-Mail-Adresse:',
+            employeeIdLabel: 'Personalnummer:',
+            startSurvey: 'Umfrage starten',
+            questionsHeading: 'Fragen',
+            previous: 'Zurück',
+            next: 'Weiter',
+            submit: 'Umfrage absenden',
+            saving: 'Ihre Antwort wird gespeichert...',
+            takeAgain: 'Erneut teilnehmen',
+            questionNumber: 'Frage {number} von {total}',
+            optional: '(optional)',
+            selectCount: 'Wählen Sie {count} Option(en).',
+            selectRange: 'Wählen Sie {min} bis {max} Option(en).',
+            rankHint: 'Bringen Sie die Optionen in eine Reihenfolge, die wichtigste zuerst.',
+            anonymousNotice: 'Diese Umfrage ist anonym: Ihr Name, Ihre E-Mail-Adresse und Ihre Personalnummer werden nicht mit Ihren Antworten gespeichert.',
+            draftNotice: 'Sie haben eine unvollständige Antwort vom {date} ({count} Frage(n) beantwortet). „Umfrage starten“ macht dort weiter, wo Sie aufgehört haben.',
+            startOver: 'Neu beginnen',
+            draftSavedInvitation: 'Fortschritt gespeichert. Öffnen Sie Ihren Einladungslink erneut, um später weiterzumachen.',
+            draftSavedLink: 'Fortschritt gespeichert. Um auf einem anderen Gerät weiterzumachen, öffnen Sie {link}',
+            draftSaveFailed: 'Ihr Fortschritt konnte gerade nicht gespeichert werden.',
+            surveyNotFound: 'Diese Umfrage wurde nicht gefunden. Bitte prüfen Sie den erhaltenen Link.',
+            surveyClosed: 'Diese Umfrage ist geschlossen und nimmt keine Antworten mehr an.',
+            surveyUnpublished: 'Diese Umfrage wurde noch nicht veröffentlicht.',
+            surveyNotOpen: 'Diese Umfrage öffnet am {date}.',
+            surveyBetweenRounds: 'Die nächste Runde dieser Umfrage öffnet am {date}.',
+            invitationInvalid: 'Dieser Einladungslink ist ungültig. Bitte prüfen Sie den erhaltenen Link.',
+            invitationRequired: 'An dieser Umfrage kann nur über den zugesandten Einladungslink teilgenommen werden.',
+            fillAllFields: 'Bitte füllen Sie alle Felder aus',
+            invalidEmail: 'Bitte geben Sie eine gültige E-Mail-Adresse ein',
+            invalidDetail: 'Bitte prüfen Sie Ihre Angabe bei „{label}“',
+            choosePlaceholder: 'Bitte auswählen',
+            answerRequired: 'Bitte beantworten Sie vor dem Absenden alle Pflichtfragen.',
+            thankYou: 'Vielen Dank, {name}!',
+            defaultResult: 'Vielen Dank für Ihre Teilnahme an der Umfrage!',
+            resultsByArea: 'Ihre Ergebnisse nach Bereich',
+            scoreChange: 'Seit Ihrem letzten Versuch am {date} hat sich Ihr Ergebnis von {previous} % auf {current} % verändert ({change} Punkte).',
+            scoreChangeRound: 'Seit Ihrem letzten Versuch in der Runde „{round}“ hat sich Ihr Ergebnis von {previous} % auf {current} % verändert ({change} Punkte).',
+            queuedOffline: 'Sie scheinen offline zu sein. Ihre Antwort ist auf diesem Gerät gespeichert und wird automatisch gesendet, sobald die Verbindung zurück ist - öffnen Sie diese Seite erneut, falls Sie sie schließen.',
+            queuedSent: 'Ihre Antwort wurde jetzt gesendet. Vielen Dank!',
+            notSaved: 'Ihre Antwort konnte nicht gespeichert werden: {error}',
+            submitFailed: 'Beim Speichern Ihrer Antwort ist ein Fehler aufgetreten. Bitte versuchen Sie es erneut.',
+            downloadReport: 'Ihren Bericht herunterladen (PDF)',
+            viewReport: 'Im Browser ansehen',
+            reportHeading: 'Ihr persönlicher Bericht',
+            reportSubmitted: 'Gesendet am {date}',
+            reportScore: 'Punktzahl: {score} von {max} ({percentage} %)',
+            reportResult: 'Ihr Ergebnis',
+            reportRecommendations: 'Empfehlungen',
+            reportAnswers: 'Ihre Antworten',
+            reportPoints: '{score} Punkt(e)'
+        }
+    },
+
+    isLocale: function(locale) {
+        return typeof locale === 'string' && I18n.LOCALE_PATTERN.test(locale);
+    },
+
+    // Locales a survey can be taken in, its default locale first
+    surveyLocales: function(survey) {
+        const defaultLocale = survey.defaultLocale || I18n.DEFAULT_LOCALE;
+        return [defaultLocale, ...Object.keys(survey.translations || {}).filter(l => l !== defaultLocale)];
+    },
+
+    // Pick the best available locale for the requested ones (most preferred first,
+    // as in navigator.languages or "fr-CA,fr,en"): an exact match, then the same
+    // language in another region.
+    resolveLocale: function(requested, available, fallback) {
+        const wanted = (Array.isArray(requested) ? requested : String(requested || '').split(','))
+            .map(l => String(l).trim().toLowerCase())
+            .filter(Boolean);
+        const language = locale => locale.toLowerCase().split('-')[0];
+        for (const locale of wanted) {
+            const exact = available.find(l => l.toLowerCase() === locale);
+            if (exact) return exact;
+            const sameLanguage = available.find(l => language(l) === language(locale));
+            if (sameLanguage) return sameLanguage;
+        }
+        return fallback;
+    },
+
+    // Built-in interface strings for a locale (or its language), or null
+    builtInStrings: function(locale) {
+        const match = I18n.resolveLocale([locale], Object.keys(I18n.UI_STRINGS), null);
+        return match ? I18n.UI_STRINGS[match] : null;
+    },
+
+    // Interface strings for a locale: the survey's ui.* translations, then the
+    // built-in strings of the locale, then English
+    uiStrings: function(locale, translations) {
+        const strings = { ...I18n.UI_STRINGS.en, ...I18n.builtInStrings(locale) };
+        Object.entries(translations || {}).forEach(([key, text]) => {
+            if (key.startsWith('ui.') && text) strings[key.substring(3)] = text;
+        });
+        return strings;
+    },
+
+    // Fill {name} placeholders
+    format: function(text, params = {}) {
+        return String(text).replace(/\{(\w+)\}/g, (match, name) =>
+            (params[name] !== undefined ? String(params[name]) : match));
+    },
+
+    // Every translatable string of a survey: [{ key, group, source }], where source
+    // is the text in the default locale. questions: the draft questions.
+    translationEntries: function(survey, questions) {
+        const entries = [];
+        const add = (key, group, source) => {
+            if (typeof source === 'string' && source.trim()) entries.push({ key, group, source });
+        };
+
+        add('survey.title', 'Survey', survey.title);
+        add('survey.description', 'Survey', survey.description);
+
+        const blocks = [];
+        questions.forEach((question, index) => {
+            const group = `Question ${index + 1}`;
+            add(`question.${question.id}.text`, group, question.text);
+            (question.options || []).forEach((option, i) => add(`question.${question.id}.option.${i}`, group, option.text));
+            add(`question.${question.id}.minLabel`, group, question.minLabel);
+            add(`question.${question.id}.maxLabel`, group, question.maxLabel);
+            if (question.block && !blocks.includes(question.block)) {
+                blocks.push(question.block);
+                add(`block.${question.block}`, 'Blocks', question.block);
+            }
+        });
+
+        (survey.bands || []).forEach(band => {
+            add(`band.${band.id}.label`, 'Result bands', band.label);
+            add(`band.${band.id}.text`, 'Result bands', band.text);
+            add(`band.${band.id}.recommendations`, 'Result bands', band.recommendations);
+        });
+
+        (survey.dimensions || []).forEach(dimension => {
+            const group = `Dimension: ${dimension.name}`;
+            add(`dimension.${dimension.id}.name`, group, dimension.name);
+            (dimension.bands || []).forEach(band => {
+                add(`dimension.${dimension.id}.band.${band.id}.label`, group, band.label);
+                add(`dimension.${dimension.id}.band.${band.id}.text`, group, band.text);
+                add(`dimension.${dimension.id}.band.${band.id}.recommendations`, group, band.recommendations);
+            });
+        });
+
+        (survey.intakeFields || []).forEach(field => {
+            add(`intake.${field.id}.label`, 'Intake fields', field.label);
+            (field.options || []).forEach((option, i) => add(`intake.${field.id}.option.${i}`, 'Intake fields', option));
+        });
+
+        Object.entries(I18n.UI_STRINGS.en).forEach(([key, text]) => add(`ui.${key}`, 'Survey page', text));
+        return entries;
+    },
+
+    // Entries a locale has no text for. Interface strings with a built-in
+    // translation aren't missing.
+    missingEntries: function(entries, locale, strings) {
+        const builtIn = I18n.builtInStrings(locale);
+        return entries.filter(entry => !(strings || {})[entry.key] &&
+            !(entry.key.startsWith('ui.') && builtIn && builtIn[entry.key.substring(3)]));
+    },
+
+    // A copy of the survey with its texts in the given locale, plus the
+    // interface strings as `ui`. Other locales' translations are left out.
+    translateSurvey: function(survey, locale) {
+        const { translations, ...rest } = survey;
+        const strings = (translations || {})[locale] || {};
+        const text = (key, fallback) => strings[key] || fallback;
+
+        return {
+            ...rest,
+            title: text('survey.title', survey.title),
+            description: text('survey.description', survey.description),
+            questions: (survey.questions || []).map(question => {
+                const translated = { ...question, text: text(`question.${question.id}.text`, question.text) };
+                if (question.options) {
+                    translated.options = question.options.map((option, i) =>
+                        ({ ...option, text: text(`question.${question.id}.option.${i}`, option.text) }));
+                }
+                if (question.minLabel !== undefined) translated.minLabel = text(`question.${question.id}.minLabel`, question.minLabel);
+                if (question.maxLabel !== undefined) translated.maxLabel = text(`question.${question.id}.maxLabel`, question.maxLabel);
+                if (question.block) translated.block = text(`block.${question.block}`, question.block);
+                return translated;
+            }),
+            bands: (survey.bands || []).map(band => ({
+                ...band,
+                label: text(`band.${band.id}.label`, band.label),
+                text: text(`band.${band.id}.text`, band.text),
+                recommendations: text(`band.${band.id}.recommendations`, band.recommendations)
+            })),
+            dimensions: (survey.dimensions || []).map(dimension => ({
+                ...dimension,
+                name: text(`dimension.${dimension.id}.name`, dimension.name),
+                bands: (dimension.bands || []).map(band => ({
+                    ...band,
+                    label: text(`dimension.${dimension.id}.band.${band.id}.label`, band.label),
+                    text: text(`dimension.${dimension.id}.band.${band.id}.text`, band.text),
+                    recommendations: text(`dimension.${dimension.id}.band.${band.id}.recommendations`, band.recommendations)
+                }))
+            })),
+            // Choices keep their value in the default locale; optionLabels is what the page shows
+            intakeFields: (survey.intakeFields || []).map(field => {
+                const translated = { ...field, label: text(`intake.${field.id}.label`, field.label) };
+                if (field.options) {
+                    translated.optionLabels = field.options.map((option, i) => text(`intake.${field.id}.option.${i}`, option));
+                }
+                return translated;
+            }),
+            locale,
+            locales: I18n.surveyLocales(survey),
+            ui: I18n.uiStrings(locale, strings)
+        };
+    },
+
+    // Name of a language in another language, e.g. languageName('fr', 'en') -> "French"
+    languageName: function(locale, inLocale) {
+        try {
+            return new Intl.DisplayNames([inLocale || locale], { type: 'language' }).of(locale) || locale;
+        } catch (err) {
+            return locale;
+        }
+    }
+};
+
+// Make I18n available in the browser
+if (typeof window !== 'undefined') {
+    window.I18n = I18n;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
@@ -0,0 +1,187 @@
+// Intake fields: details a survey asks for on its start form besides name,
+// email and employee ID - department, region, seniority, ... - so results can
+// be segmented and cohorts compared (see Analytics.compareCohorts).
+// Shared by server.js (checks submissions and drafts) and the admin/survey pages
+//
+// Field: { id, label, type: 'select' | 'text' | 'date', required,
+//          options (select: the choices), maxLength (text), min/max (date, YYYY-MM-DD) }
+// Submissions keep the answers as intake: { fieldId: value }, apart from
+// userData, so they stay when a submission is anonymized. Choices are stored
+// in the survey's default language, like answers.
+
+const Intake = {
+    TYPES: {
+        select: 'Dropdown',
+        text: 'Text',
+        date: 'Date'
+    },
+
+    MAX_FIELDS: 20,
+    MAX_OPTIONS: 100,
+    MAX_LABEL_LENGTH: 200,
+    MAX_TEXT_LENGTH: 200,
+    ID_PATTERN: /^[A-Za-z0-9_-]{1,100}$/,
+    DATE_PATTERN: /^\d{4}-\d{2}-\d{2}$/,
+
+    // Cohort of submissions that left an optional field empty
+    NOT_ANSWERED: '(not answered)',
+
+    // A real calendar date written as YYYY-MM-DD
+    isDate: function(value) {
+        if (typeof value !== 'string' || !Intake.DATE_PATTERN.test(value)) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().startsWith(value);
+    },
+
+    // A stored field from editor or import input: only the settings of its type
+    normalizeField: function(field) {
+        const normalized = {
+            id: field.id,
+            label: String(field.label || '').trim(),
+            type: field.type,
+            required: field.required !== false
+        };
+        if (field.type === 'select') {
+            normalized.options = (field.options || []).map(option => String(option).trim());
+        } else if (field.type === 'text' && field.maxLength !== undefined && field.maxLength !== null && field.maxLength !== '') {
+            normalized.maxLength = Number(field.maxLength);
+        } else if (field.type === 'date') {
+            if (field.min) normalized.min = field.min;
+            if (field.max) normalized.max = field.max;
+        }
+        return normalized;
+    },
+
+    // Returns an error message, or null when the fields are usable
+    validateFields: function(fields) {
+        if (!Array.isArray(fields)) {
+            return 'Intake fields must be a list';
+        }
+        if (fields.length > Intake.MAX_FIELDS) {
+            return `A survey can ask for at most ${Intake.MAX_FIELDS} intake fields`;
+        }
+
+        const ids = new Set();
+        for (const [i, field] of fields.entries()) {
+            const name = `Intake field ${i + 1}`;
+            if (!field || typeof field !== 'object') {
+                return `${name} must be an object`;
+            }
+            if (typeof field.id !== 'string' || !Intake.ID_PATTERN.test(field.id)) {
+                return `${name} needs an id of letters, digits, "-" or "_"`;
+            }
+            if (ids.has(field.id)) {
+                return `Duplicate intake field id: ${field.id}`;
+            }
+            ids.add(field.id);
+            if (typeof field.label !== 'string' || !field.label.trim()) {
+                return `${name} needs a label`;
+            }
+            if (field.label.length > Intake.MAX_LABEL_LENGTH) {
+                return `${field.label}: the label must be at most ${Intake.MAX_LABEL_LENGTH} characters`;
+            }
+            if (!Intake.TYPES[field.type]) {
+                return `${field.label}: type must be one of ${Object.keys(Intake.TYPES).join(', ')}`;
+            }
+            if (typeof field.required !== 'boolean') {
+                return `${field.label}: required must be true or false`;
+            }
+
+            if (field.type === 'select') {
+                const options = field.options;
+                if (!Array.isArray(options) || options.length < 2 || options.length > Intake.MAX_OPTIONS) {
+                    return `${field.label}: a dropdown needs 2 to ${Intake.MAX_OPTIONS} choices`;
+                }
+                if (!options.every(option => typeof option === 'string' && option.trim() && option.length <= Intake.MAX_TEXT_LENGTH)) {
+                    return `${field.label}: every choice needs text of at most ${Intake.MAX_TEXT_LENGTH} characters`;
+                }
+                if (new Set(options).size !== options.length || options.includes(Intake.NOT_ANSWERED)) {
+                    return `${field.label}: choices must be different from each other`;
+                }
+            }
+            if (field.type === 'text' && field.maxLength !== undefined &&
+                (!Number.isInteger(field.maxLength) || field.maxLength < 1 || field.maxLength > Intake.MAX_TEXT_LENGTH)) {
+                return `${field.label}: the maximum length must be a whole number from 1 to ${Intake.MAX_TEXT_LENGTH}`;
+            }
+            if (field.type === 'date') {
+                for (const bound of ['min', 'max']) {
+                    if (field[bound] !== undefined && !Intake.isDate(field[bound])) {
+                        return `${field.label}: the ${bound === 'min' ? 'earliest' : 'latest'} date must look like 2024-05-31`;
+                    }
+                }
+                if (field.min && field.max && field.min > field.max) {
+                    return `${field.label}: the earliest date is after the latest`;
+                }
+            }
+        }
+        return null;
+    },
+
+    // Why a value doesn't fit a field: 'missing', 'invalid', or null when it does.
+    // Text is checked as it's stored, trimmed, so blank text counts as not given.
+    checkValue: function(field, value) {
+        if (typeof value === 'string') value = value.trim();
+        if (value === undefined || value === null || value === '') {
+            return field.required ? 'missing' : null;
+        }
+        if (typeof value !== 'string') return 'invalid';
+        if (field.type === 'select') {
+            return field.options.includes(value) ? null : 'invalid';
+        }
+        if (field.type === 'date') {
+            return Intake.isDate(value) && (!field.min || value >= field.min) && (!field.max || value <= field.max) ?
+                null : 'invalid';
+        }
+        return value.length <= (field.maxLength || Intake.MAX_TEXT_LENGTH) ? null : 'invalid';
+    },
+
+    // The values of the survey's fields, trimmed, without empty ones or ones of
+    // fields the survey doesn't have
+    cleanValues: function(fields, values) {
+        const cleaned = {};
+        fields.forEach(field => {
+            const value = values && values[field.id];
+            const text = typeof value === 'string' ? value.trim() : value;
+            if (text !== undefined && text !== null && text !== '') {
+                cleaned[field.id] = text;
+            }
+        });
+        return cleaned;
+    },
+
+    // Returns an error message, or null when the values fit the fields
+    validateValues: function(fields, values) {
+        if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+            return 'Intake answers must be an object keyed by field id';
+        }
+        for (const field of fields) {
+            const problem = Intake.checkValue(field, (values || {})[field.id]);
+            if (problem === 'missing') {
+                return `${field.label} is required`;
+            }
+            if (problem === 'invalid') {
+                return field.type === 'select' ? `${field.label} must be one of: ${field.options.join(', ')}` :
+                    field.type === 'date' ? `${field.label} must be a date${field.min ? ` from ${field.min}` : ''}${field.max ? ` up to ${field.max}` : ''}` :
+                        `${field.label} must be at most ${field.maxLength || Intake.MAX_TEXT_LENGTH} characters`;
+            }
+        }
+        return null;
+    },
+
+    // The cohort a submission's answer puts it in. Dates are grouped by year,
+    // so one person's date doesn't make a cohort of its own.
+    cohortOf: function(field, response) {
+        const value = (response.intake || {})[field.id];
+        if (value === undefined || value === null || value === '') return Intake.NOT_ANSWERED;
+        return field.type === 'date' ? String(value).substring(0, 4) : String(value);
+    }
+};
+
+// Make Intake available in the browser
+if (typeof window !== 'undefined') {
+    window.Intake = Intake;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Intake;
+}
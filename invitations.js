@@ -0,0 +1,160 @@
+// Invitation links and the per-survey response policy
+// An invitation pre-fills the respondent's details and is redeemed on submission.
+// Its status follows the timestamps: created -> sent -> opened -> completed.
+const crypto = require('crypto');
+
+// maxResponses: submissions allowed per invitation (or per employee ID on open surveys), null = no limit
+// retakeAfterDays: days a respondent must wait before taking the survey again
+const DEFAULT_RESPONSE_POLICY = {
+    requireInvitation: false,
+    maxResponses: 1,
+    retakeAfterDays: 0
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function generateToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+// Invitations to anonymous surveys don't keep completedAt, only their uses
+function invitationStatus(invitation) {
+    if (invitation.completedAt || invitation.uses > 0) return 'completed';
+    if (invitation.openedAt) return 'opened';
+    if (invitation.sentAt) return 'sent';
+    return 'created';
+}
+
+// Returns an error message, or null when the policy is usable
+function validateResponsePolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        return 'Response policy must be an object';
+    }
+    if (typeof policy.requireInvitation !== 'boolean') {
+        return 'requireInvitation must be true or false';
+    }
+    if (policy.maxResponses !== null && (!Number.isInteger(policy.maxResponses) || policy.maxResponses < 1)) {
+        return 'Maximum responses must be a whole number of at least 1, or empty for no limit';
+    }
+    if (!Number.isInteger(policy.retakeAfterDays) || policy.retakeAfterDays < 0) {
+        return 'Days before a retake must be a whole number of 0 or more';
+    }
+    return null;
+}
+
+// Whether someone with `count` earlier submissions, the last at `lastAt`
+// (ISO string), may submit again. Returns an error message or null.
+// With rounds, count covers the current round and lastAt any round.
+function checkRetake(policy, count, lastAt, now = Date.now()) {
+    if (policy.maxResponses !== null && count >= policy.maxResponses) {
+        return 'You have already completed this survey';
+    }
+    if (policy.retakeAfterDays > 0 && lastAt) {
+        const allowedFrom = new Date(lastAt).getTime() + policy.retakeAfterDays * DAY_MS;
+        if (now < allowedFrom) {
+            return `You can take this survey again from ${new Date(allowedFrom).toLocaleDateString()}`;
+        }
+    }
+    return null;
+}
+
+// Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Column names accepted in the roster's header row
+const ROSTER_COLUMNS = {
+    name: ['name', 'full name', 'fullname'],
+    email: ['email', 'e-mail', 'email address'],
+    employeeId: ['employeeid', 'employee id', 'employee_id', 'id']
+};
+
+// Roster CSV -> { invitees: [{ name, email, employeeId }] } or { error }
+function parseRoster(csv) {
+    const rows = parseCsv(String(csv || ''));
+    if (rows.length < 2) {
+        return { error: 'The roster needs a header row and at least one person' };
+    }
+
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const columnIndex = {};
+    Object.entries(ROSTER_COLUMNS).forEach(([field, names]) => {
+        columnIndex[field] = header.findIndex(h => names.includes(h));
+    });
+    if (columnIndex.name === -1 || columnIndex.employeeId === -1) {
+        return { error: 'The roster header must include "name" and "employeeId" columns' };
+    }
+
+    const invitees = [];
+    for (const [i, row] of rows.slice(1).entries()) {
+        const value = field => (columnIndex[field] === -1 ? '' : (row[columnIndex[field]] || '').trim());
+        const invitee = { name: value('name'), email: value('email'), employeeId: value('employeeId') };
+        if (!invitee.name || !invitee.employeeId) {
+            return { error: `Row ${i + 2} needs a name and an employee ID` };
+        }
+        if (invitee.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(invitee.email)) {
+            return { error: `Row ${i + 2} has an invalid email address` };
+        }
+        invitees.push(invitee);
+    }
+    return { invitees };
+}
+
+// What the survey page gets for an invitation link
+function publicInvitation(invitation) {
+    return {
+        surveyId: invitation.surveyId,
+        name: invitation.name,
+        email: invitation.email,
+        employeeId: invitation.employeeId,
+        status: invitationStatus(invitation)
+    };
+}
+
+module.exports = {
+    DEFAULT_RESPONSE_POLICY,
+    generateToken,
+    invitationStatus,
+    validateResponsePolicy,
+    checkRetake,
+    parseCsv,
+    parseRoster,
+    publicInvitation
+};
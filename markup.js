@@ -0,0 +1,34 @@
+// Formatting in admin-written texts: question and option texts and result band
+// texts and recommendations may use a few tags without attributes - bold,
+// italics, underline, line breaks, paragraphs and lists. Anything else is shown
+// as written, so an editor can't put script on the pages owners and
+// respondents open.
+// Shared by reports.js and the admin/survey pages
+
+const Markup = {
+    TAGS: ['b', 'strong', 'i', 'em', 'u', 'br', 'p', 'ul', 'ol', 'li'],
+
+    escapeHtml: function(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    // HTML for an admin-written text: escaped, with the allowed tags put back
+    toHtml: function(text) {
+        const tags = new RegExp(`&lt;(/?)(${Markup.TAGS.join('|')})\\s*/?&gt;`, 'gi');
+        return Markup.escapeHtml(text).replace(tags, (match, close, tag) => `<${close}${tag.toLowerCase()}>`);
+    }
+};
+
+// Make Markup available in the browser
+if (typeof window !== 'undefined') {
+    window.Markup = Markup;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Markup;
+}
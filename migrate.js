@@ -0,0 +1,53 @@
+// Copy the JSON storage files into the SQLite database
+// Usage: npm run migrate
+// Reads DATA_FILE / RESPONSES_FILE / INVITATIONS_FILE / DRAFTS_FILE / WEBHOOKS_FILE /
+// WEBHOOK_DELIVERIES_FILE / AUDIT_FILE / TRASH_FILE and writes SQLITE_FILE (see storage.js).
+// Rows already in the database are skipped, so it can be re-run.
+const storage = require('./storage');
+
+async function main() {
+    const source = storage.createStorage('json');
+    const target = storage.createStorage('sqlite');
+
+    try {
+        const surveys = await source.listSurveys();
+        const responses = [];
+        const invitations = [];
+        const drafts = [];
+        const trash = [];
+        for (const survey of surveys) {
+            (await source.listResponses(survey.id)).forEach(r => {
+                responses.push({ ...r, surveyId: storage.responseSurveyId(r) });
+            });
+            invitations.push(...await source.listInvitations(survey.id));
+            drafts.push(...await source.listDrafts(survey.id));
+            trash.push(...(await source.listTrash(survey.id)).reverse());
+        }
+
+        const counts = await source.countResponses();
+        const orphaned = Object.keys(counts).filter(id => !surveys.some(s => s.id === id));
+        if (orphaned.length > 0) {
+            console.log(`⚠️  Skipping submissions of unknown surveys: ${orphaned.join(', ')}`);
+        }
+
+        const webhooks = await source.listWebhooks();
+        // Oldest first, so imported deliveries keep their order
+        const deliveries = (await source.listDeliveries()).reverse();
+        const auditEntries = (await source.listAuditEntries()).reverse();
+
+        const { surveyCount, responseCount, invitationCount, draftCount, webhookCount, deliveryCount, auditCount, trashCount } =
+            target.importData(surveys, responses, invitations, drafts, webhooks, deliveries, auditEntries, trash);
+        console.log(`✅ Imported ${surveyCount} of ${surveys.length} surveys, ${responseCount} of ${responses.length} submissions, ` +
+            `${invitationCount} of ${invitations.length} invitations, ${draftCount} of ${drafts.length} drafts, ` +
+            `${webhookCount} of ${webhooks.length} webhooks, ${deliveryCount} of ${deliveries.length} webhook deliveries, ` +
+            `${auditCount} of ${auditEntries.length} audit log entries and ${trashCount} of ${trash.length} trash entries into ${target.file}`);
+        console.log('ℹ️  Start the server with STORAGE=sqlite to use the database');
+    } catch (err) {
+        console.error('❌ Migration failed, nothing was imported:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await target.close();
+    }
+}
+
+main();
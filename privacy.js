@@ -0,0 +1,206 @@
+// Privacy: anonymous surveys, retention of submissions and subject requests
+// A survey's privacyPolicy:
+//   anonymous        submissions keep no name, email, employee ID or invitation,
+//                    only salted hashes of the employee ID and email. Retake
+//                    limits and subject requests match on the hashes.
+//   retentionDays    submissions older than this are anonymized or deleted by
+//                    the hourly run in server.js; null keeps them
+//   retentionAction  'anonymize' or 'delete'
+// Anonymized submissions keep their answers, scores, version, language and
+// time, so analytics are unaffected.
+//
+// Hashes are HMAC-SHA256 keyed with PRIVACY_SALT and the survey id, so the same
+// person can't be followed from one survey to the next. Without PRIVACY_SALT
+// they stop matching when the server restarts, so anonymous mode can't be
+// turned on and subject requests are refused (see saltError).
+//
+// Invitations to an anonymous survey forget who redeemed them and when (see
+// anonymizeInvitation).
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_PRIVACY_POLICY = {
+    anonymous: false,
+    retentionDays: null,
+    retentionAction: 'anonymize'
+};
+
+const RETENTION_ACTIONS = ['anonymize', 'delete'];
+
+// What erased names, emails and employee IDs are replaced with
+const ERASED = '[erased]';
+
+const PRIVACY_SALT = process.env.PRIVACY_SALT || crypto.randomBytes(32).toString('hex');
+if (!process.env.PRIVACY_SALT) {
+    console.log('⚠️  PRIVACY_SALT is not set - anonymous surveys and subject requests are turned off');
+}
+
+// Returns an error message when hashes wouldn't survive a restart, or null
+function saltError() {
+    return process.env.PRIVACY_SALT ? null :
+        'Set PRIVACY_SALT on the server first: without it, anonymized submissions stop matching their respondents when it restarts';
+}
+
+// Employee IDs are compared as typed, emails in lower case
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function normalizeEmployeeId(employeeId) {
+    return String(employeeId || '').trim();
+}
+
+// Hash of an employee ID or (normalized) email within a survey, or null for an empty value
+function hashIdentity(surveyId, value) {
+    if (!value) return null;
+    return crypto.createHmac('sha256', PRIVACY_SALT).update(`${surveyId}:${value}`).digest('hex');
+}
+
+// Returns an error message, or null when the policy is usable
+function validatePrivacyPolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        return 'Privacy policy must be an object';
+    }
+    if (typeof policy.anonymous !== 'boolean') {
+        return 'anonymous must be true or false';
+    }
+    if (policy.retentionDays !== null && (!Number.isInteger(policy.retentionDays) || policy.retentionDays < 1)) {
+        return 'Days to keep submissions must be a whole number of at least 1, or empty to keep them';
+    }
+    if (!RETENTION_ACTIONS.includes(policy.retentionAction)) {
+        return `What happens to old submissions must be one of: ${RETENTION_ACTIONS.join(', ')}`;
+    }
+    return null;
+}
+
+function isAnonymized(response) {
+    return !!response.anonymizedAt;
+}
+
+// Take who sent a submission off it, keeping only the hashes. Changes the
+// submission in place (for storage.updateResponses) and returns it.
+function anonymizeResponse(response, surveyId, now = new Date().toISOString()) {
+    if (isAnonymized(response)) return response;
+    const user = response.userData || {};
+    response.respondentHash = hashIdentity(surveyId, normalizeEmployeeId(user.employeeId));
+    response.emailHash = hashIdentity(surveyId, normalizeEmail(user.email));
+    response.anonymizedAt = now;
+    // The invitation has the name, and submittedAt is in the respondent's local time
+    delete response.userData;
+    delete response.invitationId;
+    delete response.submittedAt;
+    return response;
+}
+
+// Take who redeemed an invitation to an anonymous survey off it: its name,
+// email and completion time would tie them to their submission. The employee
+// ID stays so the same person isn't invited twice. Changes it in place.
+function anonymizeInvitation(invitation) {
+    invitation.name = null;
+    invitation.email = null;
+    invitation.completedAt = null;
+    return invitation;
+}
+
+// Name to show for a submission in lists and logs
+function respondentName(response) {
+    return response.userData ? response.userData.name : 'Anonymous';
+}
+
+// Whether a submission was made by the given employee ID, anonymized or not.
+// An empty ID matches nobody, so submissions without one aren't taken as the same person.
+function sameRespondent(response, surveyId, employeeId) {
+    const id = typeof employeeId === 'string' ? normalizeEmployeeId(employeeId) : '';
+    if (!id) return false;
+    if (!response.userData) {
+        return response.respondentHash === hashIdentity(surveyId, id);
+    }
+    return typeof response.userData.employeeId === 'string' && normalizeEmployeeId(response.userData.employeeId) === id;
+}
+
+// Whether two submissions to a survey were made by the same employee ID, either
+// of them anonymized or not
+function sameRespondentAs(response, other, surveyId) {
+    if (other.userData) {
+        return sameRespondent(response, surveyId, other.userData.employeeId);
+    }
+    if (!other.respondentHash) return false;
+    const hash = response.userData ?
+        hashIdentity(surveyId, normalizeEmployeeId(response.userData.employeeId)) :
+        response.respondentHash;
+    return hash === other.respondentHash;
+}
+
+// The person a subject request is about, from { email, employeeId }.
+// Returns { subject } or { error }.
+function parseSubject(body) {
+    const subject = {
+        email: normalizeEmail(body && body.email),
+        employeeId: normalizeEmployeeId(body && body.employeeId)
+    };
+    if (!subject.email && !subject.employeeId) {
+        return { error: 'Enter an email address or an employee ID' };
+    }
+    return { subject };
+}
+
+// Whether a record's { email, employeeId } fields belong to the subject
+function matchesFields(fields, subject) {
+    return (!!subject.email && normalizeEmail(fields.email) === subject.email) ||
+        (!!subject.employeeId && normalizeEmployeeId(fields.employeeId) === subject.employeeId);
+}
+
+// Whether a submission (or a draft or invitation) belongs to the subject
+function matchesSubject(record, surveyId, subject) {
+    if (record.userData) return matchesFields(record.userData, subject);
+    if (isAnonymized(record)) {
+        return (!!subject.email && record.emailHash === hashIdentity(surveyId, subject.email)) ||
+            (!!subject.employeeId && record.respondentHash === hashIdentity(surveyId, subject.employeeId));
+    }
+    return matchesFields(record, subject);
+}
+
+// A copy of `value` with the name, email and employee ID of every object that
+// belongs to the subject replaced by ERASED. Used on audit entries and webhook
+// payloads, which hold copies of submissions and invitations.
+function redactSubject(value, subject) {
+    if (Array.isArray(value)) {
+        return value.map(item => redactSubject(item, subject));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => { copy[key] = redactSubject(item, subject); });
+    if (('email' in copy || 'employeeId' in copy) && matchesFields(value, subject)) {
+        ['name', 'email', 'employeeId'].forEach(field => {
+            if (field in copy) copy[field] = ERASED;
+        });
+    }
+    return copy;
+}
+
+// Submissions from before this time (ISO string) are due under the policy, or null
+function retentionCutoff(policy, now = Date.now()) {
+    return policy.retentionDays ? new Date(now - policy.retentionDays * DAY_MS).toISOString() : null;
+}
+
+module.exports = {
+    DEFAULT_PRIVACY_POLICY,
+    RETENTION_ACTIONS,
+    ERASED,
+    saltError,
+    hashIdentity,
+    validatePrivacyPolicy,
+    isAnonymized,
+    anonymizeResponse,
+    anonymizeInvitation,
+    respondentName,
+    sameRespondent,
+    sameRespondentAs,
+    parseSubject,
+    matchesSubject,
+    redactSubject,
+    retentionCutoff
+};
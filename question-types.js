@@ -0,0 +1,237 @@
+// Question types: how each kind of question is defined, answered and validated
+// Shared by server.js, scoring.js and the admin/survey pages
+
+const QuestionTypes = {
+    // Options new single-choice questions start with
+    STANDARD_OPTIONS: [
+        { text: 'Strongly aligns with me', score: 1 },
+        { text: 'Somewhat aligns with me', score: 2 },
+        { text: 'Neutral or unsure', score: 3 },
+        { text: 'Somewhat misaligned with me', score: 4 },
+        { text: 'Strongly misaligned with me', score: 5 }
+    ],
+
+    // hasOptions: the question lists options to pick from
+    // scorable: answers can count towards the total score (see isScored)
+    TYPES: {
+        single: { label: 'Single choice', hasOptions: true, scorable: true },
+        multi: { label: 'Multiple choice (checkboxes)', hasOptions: true, scorable: false },
+        ranking: { label: 'Ranking', hasOptions: true, scorable: false },
+        scale: { label: 'Numeric scale / NPS (slider)', hasOptions: false, scorable: true },
+        text: { label: 'Short text', hasOptions: false, scorable: false },
+        textarea: { label: 'Long text', hasOptions: false, scorable: false }
+    },
+
+    // Questions saved before types existed are single choice
+    getType: function(question) {
+        return question.type || 'single';
+    },
+
+    // Single choice always scores; a scale only when the admin asks for it
+    isScored: function(question) {
+        const type = QuestionTypes.getType(question);
+        if (type === 'single') return true;
+        if (type === 'scale') return question.scored === true;
+        return false;
+    },
+
+    // Build a stored question from editor input, keeping only the fields its type uses
+    normalizeQuestion: function(input) {
+        const type = input.type || 'single';
+        const question = {
+            id: input.id,
+            type,
+            text: typeof input.text === 'string' ? input.text.trim() : input.text,
+            required: input.required !== false
+        };
+
+        // Dimension ids only matter for questions that are scored
+        if (QuestionTypes.TYPES[type] && QuestionTypes.TYPES[type].scorable) {
+            question.dimensions = Array.isArray(input.dimensions) ? input.dimensions : [];
+        }
+
+        if (type === 'single' || type === 'multi' || type === 'ranking') {
+            const options = input.options || QuestionTypes.STANDARD_OPTIONS;
+            // Anything that isn't a list of options is kept as it is for validation to report
+            question.options = !Array.isArray(options) ? options : options.map(opt => {
+                if (!opt || typeof opt !== 'object') return opt;
+                return type === 'single' ? { text: opt.text, score: Number(opt.score) } : { text: opt.text };
+            });
+        }
+        if (type === 'single' || type === 'scale') {
+            question.reverseScored = input.reverseScored === true;
+        }
+        if (type === 'multi') {
+            question.minSelections = input.minSelections !== undefined ? Number(input.minSelections) : 1;
+            question.maxSelections = input.maxSelections !== undefined ? Number(input.maxSelections) :
+                (Array.isArray(question.options) ? question.options.length : 1);
+        }
+        if (type === 'scale') {
+            question.min = input.min !== undefined ? Number(input.min) : 0;
+            question.max = input.max !== undefined ? Number(input.max) : 10;
+            question.step = input.step !== undefined ? Number(input.step) : 1;
+            question.minLabel = input.minLabel || '';
+            question.maxLabel = input.maxLabel || '';
+            question.scored = input.scored === true;
+        }
+        if (type === 'text' || type === 'textarea') {
+            question.maxLength = input.maxLength !== undefined ?
+                Number(input.maxLength) :
+                (type === 'text' ? 200 : 2000);
+        }
+
+        // Page grouping and display rules, only stored when set.
+        // The rules are checked against the other questions by branching.js.
+        if (typeof input.block === 'string' && input.block.trim()) {
+            question.block = input.block.trim();
+        }
+        if (input.showIf) {
+            question.showIf = input.showIf;
+        }
+        if (input.endIf) {
+            question.endIf = input.endIf;
+        }
+
+        return question;
+    },
+
+    // Returns an error message, or null when the question definition is usable
+    validateQuestion: function(question) {
+        const type = QuestionTypes.getType(question);
+        const typeInfo = QuestionTypes.TYPES[type];
+
+        if (!typeInfo) {
+            return `Unknown question type: ${type}`;
+        }
+        if (typeof question.text !== 'string' || !question.text.trim()) {
+            return 'Question text is required';
+        }
+        if (question.block !== undefined && (typeof question.block !== 'string' || question.block.length > 100)) {
+            return 'Block name must be text of at most 100 characters';
+        }
+
+        if (typeInfo.hasOptions) {
+            if (!Array.isArray(question.options) || question.options.length < 2) {
+                return 'At least two options are required';
+            }
+            for (const [i, opt] of question.options.entries()) {
+                if (!opt || typeof opt.text !== 'string' || !opt.text.trim()) {
+                    return `Option ${i + 1} needs text`;
+                }
+                if (type === 'single' && !Number.isFinite(opt.score)) {
+                    return `Option ${i + 1} needs a numeric score`;
+                }
+            }
+        }
+
+        if (type === 'multi') {
+            const { minSelections, maxSelections } = question;
+            if (!Number.isInteger(minSelections) || !Number.isInteger(maxSelections) ||
+                minSelections < 0 || maxSelections < 1 || minSelections > maxSelections ||
+                maxSelections > question.options.length) {
+                return 'Selection limits must be whole numbers within the number of options';
+            }
+        }
+
+        if (type === 'scale') {
+            const { min, max, step } = question;
+            if (![min, max, step].every(Number.isFinite) || min >= max || step <= 0) {
+                return 'A scale needs a minimum below its maximum and a positive step';
+            }
+        }
+
+        if (type === 'text' || type === 'textarea') {
+            if (!Number.isInteger(question.maxLength) || question.maxLength < 1) {
+                return 'Maximum length must be a positive whole number';
+            }
+        }
+
+        return null;
+    },
+
+    // Whether a raw answer value (as held by the survey page) counts as answered
+    isAnswered: function(question, value) {
+        if (value === null || value === undefined) return false;
+        const type = QuestionTypes.getType(question);
+        if (type === 'multi') return Array.isArray(value) && value.length > 0;
+        if (type === 'ranking') return Array.isArray(value) && value.length > 0;
+        if (type === 'text' || type === 'textarea') return String(value).trim() !== '';
+        return true;
+    },
+
+    // Answer payload sent to the server for a raw answer value
+    toAnswerPayload: function(question, value) {
+        if (QuestionTypes.getType(question) === 'single') {
+            return { questionId: question.id, selectedOptionIndex: value };
+        }
+        return { questionId: question.id, value };
+    },
+
+    // Validate one submitted answer. Returns { error } or the answer as stored
+    // with the submission, including an `answerText` for display and exports.
+    // Scores are added by scoring.js.
+    checkAnswer: function(question, answer) {
+        const type = QuestionTypes.getType(question);
+        const base = { questionId: question.id, questionText: question.text, type };
+        const isIndex = i => Number.isInteger(i) && i >= 0 && i < (question.options || []).length;
+
+        if (type === 'single') {
+            const optionIndex = answer.selectedOptionIndex;
+            if (!isIndex(optionIndex)) {
+                return { error: `Invalid option ${optionIndex} for question ${question.id}` };
+            }
+            const optionText = question.options[optionIndex].text;
+            return { ...base, selectedOptionIndex: optionIndex, selectedOptionText: optionText, answerText: optionText };
+        }
+
+        const value = answer.value;
+
+        if (type === 'multi') {
+            if (!Array.isArray(value) || !value.every(isIndex) || new Set(value).size !== value.length) {
+                return { error: `Invalid selection for question ${question.id}` };
+            }
+            if (value.length < question.minSelections || value.length > question.maxSelections) {
+                return { error: `Question ${question.id} needs between ${question.minSelections} and ${question.maxSelections} selections` };
+            }
+            const texts = value.map(i => question.options[i].text);
+            return { ...base, selectedOptionIndexes: value, selectedOptionTexts: texts, answerText: texts.join('; ') };
+        }
+
+        if (type === 'ranking') {
+            const complete = Array.isArray(value) && value.length === question.options.length &&
+                value.every(isIndex) && new Set(value).size === value.length;
+            if (!complete) {
+                return { error: `Question ${question.id} must rank every option exactly once` };
+            }
+            const texts = value.map(i => question.options[i].text);
+            return { ...base, ranking: value, rankingTexts: texts, answerText: texts.map((t, i) => `${i + 1}. ${t}`).join('; ') };
+        }
+
+        if (type === 'scale') {
+            const onStep = Number.isFinite(value) &&
+                Math.abs((value - question.min) / question.step - Math.round((value - question.min) / question.step)) < 1e-9;
+            if (!onStep || value < question.min || value > question.max) {
+                return { error: `Question ${question.id} needs a value from ${question.min} to ${question.max}` };
+            }
+            return { ...base, value, answerText: String(value) };
+        }
+
+        // text / textarea
+        if (typeof value !== 'string') {
+            return { error: `Question ${question.id} needs a text answer` };
+        }
+        if (value.length > question.maxLength) {
+            return { error: `Answer to question ${question.id} is longer than ${question.maxLength} characters` };
+        }
+        return { ...base, value, answerText: value };
+    }
+};
+
+// Make QuestionTypes available in the browser
+if (typeof window !== 'undefined') {
+    window.QuestionTypes = QuestionTypes;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionTypes;
+}
@@ -0,0 +1,291 @@
+// Personal result reports, as HTML or PDF
+// A report shows one submission: score, band with its feedback text and
+// recommendations, the results per dimension and the answers given. It is in
+// the language the respondent took the survey in.
+// Respondents have no login, so reports are opened through signed links: an
+// HMAC of the survey, submission and expiry time. Set REPORT_SECRET to keep
+// links working across restarts.
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const I18n = require('./i18n');
+const Markup = require('./markup');
+const QuestionTypes = require('./question-types');
+const Scoring = require('./scoring');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a report link stays valid
+const REPORT_LINK_DAYS = Number(process.env.REPORT_LINK_DAYS) || 30;
+
+const REPORT_SECRET = process.env.REPORT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.REPORT_SECRET) {
+    console.log('⚠️  REPORT_SECRET is not set - report links stop working when the server restarts');
+}
+
+const FORMATS = {
+    html: 'text/html; charset=utf-8',
+    pdf: 'application/pdf'
+};
+
+function signature(surveyId, responseId, expires) {
+    return crypto.createHmac('sha256', REPORT_SECRET)
+        .update(`${surveyId}:${responseId}:${expires}`)
+        .digest('base64url');
+}
+
+// Query parameters of a new link: { expires, signature }
+function signReportLink(surveyId, responseId, now = Date.now()) {
+    const expires = now + REPORT_LINK_DAYS * DAY_MS;
+    return { expires, signature: signature(surveyId, responseId, expires) };
+}
+
+// Returns an error message, or null when the link is genuine and current
+function checkReportLink(surveyId, responseId, { expires, signature: given }, now = Date.now()) {
+    const expected = Buffer.from(signature(surveyId, responseId, String(expires)));
+    const actual = Buffer.from(String(given || ''));
+    if (!/^\d+$/.test(String(expires)) || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return 'This report link is not valid';
+    }
+    if (Number(expires) < now) {
+        return 'This report link has expired';
+    }
+    return null;
+}
+
+// Path of the HTML report; add &format=pdf for the PDF
+function reportPath(surveyId, responseId, now = Date.now()) {
+    const { expires, signature: sig } = signReportLink(surveyId, responseId, now);
+    return `/api/surveys/${encodeURIComponent(surveyId)}/reports/${responseId}?expires=${expires}&signature=${sig}`;
+}
+
+// Link details for the survey page and the admin panel
+function reportLinks(surveyId, responseId, now = Date.now()) {
+    const url = reportPath(surveyId, responseId, now);
+    return {
+        url,
+        pdfUrl: `${url}&format=pdf`,
+        expiresAt: new Date(now + REPORT_LINK_DAYS * DAY_MS).toISOString()
+    };
+}
+
+// The answer in the report's language. Submissions store option texts in the
+// survey's default language, so choice answers are looked up again.
+function answerText(question, answer) {
+    const options = question.options || [];
+    const optionText = index => (options[index] ? options[index].text : '');
+    if (answer.selectedOptionIndex !== undefined) {
+        return optionText(answer.selectedOptionIndex);
+    }
+    if (Array.isArray(answer.selectedOptionIndexes)) {
+        return answer.selectedOptionIndexes.map(optionText).join('; ');
+    }
+    if (Array.isArray(answer.ranking)) {
+        return answer.ranking.map((index, i) => `${i + 1}. ${optionText(index)}`).join('; ');
+    }
+    return answer.answerText !== undefined ? String(answer.answerText) : String(answer.selectedOptionText || '');
+}
+
+function reportBand(band) {
+    return band ? {
+        label: band.label,
+        color: band.color || '#6c757d',
+        text: band.text || '',
+        recommendations: band.recommendations || ''
+    } : null;
+}
+
+// Everything a report shows. questions: those of the version the submission answered
+function buildReport(survey, questions, response, locale) {
+    const translated = I18n.translateSurvey({ ...survey, questions }, locale);
+    const date = new Date(response.timestamp);
+
+    return {
+        locale,
+        ui: translated.ui,
+        title: translated.title,
+        name: (response.userData && response.userData.name) || '',
+        submittedAt: Number.isNaN(date.getTime()) ? response.submittedAt :
+            date.toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' }),
+        totalScore: response.totalScore,
+        maxScore: response.maxScore,
+        percentage: response.percentage,
+        band: reportBand(Scoring.findBand(translated.bands, response.percentage)),
+        dimensions: (response.dimensionScores || [])
+            .filter(score => score.percentage !== null)
+            .map(score => {
+                const dimension = translated.dimensions.find(d => d.id === score.dimensionId);
+                return dimension ? {
+                    name: dimension.name,
+                    percentage: score.percentage,
+                    band: reportBand(Scoring.findBand(dimension.bands, score.percentage))
+                } : null;
+            })
+            .filter(Boolean),
+        answers: (response.answers || []).map(answer => {
+            const question = translated.questions.find(q => q.id === answer.questionId);
+            return question ? {
+                question: question.text,
+                answer: answerText(question, answer),
+                score: QuestionTypes.isScored(question) ? answer.score : undefined
+            } : null;
+        }).filter(Boolean)
+    };
+}
+
+const escapeHtml = Markup.escapeHtml;
+
+// Report pages are opened without a login on the API's origin: no script runs
+// on them, and they can't be framed
+const CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'";
+
+// Band texts are admin-authored and may use the formatting tags of Markup, as on the survey page
+function renderBandHtml(band, ui) {
+    if (!band) return '';
+    return `
+        <div class="band" style="border-color: ${escapeHtml(band.color)};">
+            <div class="band-label" style="color: ${escapeHtml(band.color)};">${escapeHtml(band.label)}</div>
+            ${band.text ? `<div class="band-text">${Markup.toHtml(band.text)}</div>` : ''}
+            ${band.recommendations ? `
+                <h3>${escapeHtml(ui.reportRecommendations)}</h3>
+                <div class="band-text">${Markup.toHtml(band.recommendations)}</div>
+            ` : ''}
+        </div>
+    `;
+}
+
+function renderHtml(report, pdfUrl) {
+    const { ui } = report;
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(report.locale)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(ui.reportHeading)} - ${escapeHtml(report.title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #2c3e50; max-width: 800px; margin: 0 auto; padding: 30px 20px; line-height: 1.5; }
+        h1 { margin-bottom: 4px; }
+        .meta { color: #6c757d; margin-top: 0; }
+        .score { font-size: 20px; font-weight: bold; }
+        .band { border-left: 6px solid; padding: 10px 16px; margin: 16px 0; background: #f8f9fa; }
+        .band-label { font-weight: bold; font-size: 18px; }
+        .band h3 { font-size: 16px; margin: 12px 0 4px; }
+        .answers { width: 100%; border-collapse: collapse; }
+        .answers td { border-bottom: 1px solid #dee2e6; padding: 8px; vertical-align: top; }
+        .answers .points { white-space: nowrap; color: #6c757d; text-align: right; }
+        .download { display: inline-block; margin-top: 20px; }
+        @media print { .download { display: none; } body { padding: 0; } }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(ui.reportHeading)}</h1>
+    <p class="meta">${escapeHtml(report.title)}${report.name ? ` · ${escapeHtml(report.name)}` : ''} · ${escapeHtml(I18n.format(ui.reportSubmitted, { date: report.submittedAt }))}</p>
+
+    <h2>${escapeHtml(ui.reportResult)}</h2>
+    <p class="score">${escapeHtml(I18n.format(ui.reportScore, { score: report.totalScore, max: report.maxScore, percentage: report.percentage }))}</p>
+    ${renderBandHtml(report.band, ui)}
+
+    ${report.dimensions.length > 0 ? `
+        <h2>${escapeHtml(ui.resultsByArea)}</h2>
+        ${report.dimensions.map(d => `
+            <h3>${escapeHtml(d.name)} - ${d.percentage}%</h3>
+            ${renderBandHtml(d.band, ui)}
+        `).join('')}
+    ` : ''}
+
+    <h2>${escapeHtml(ui.reportAnswers)}</h2>
+    <table class="answers">
+        ${report.answers.map((a, i) => `
+            <tr>
+                <td><strong>${i + 1}. ${Markup.toHtml(a.question)}</strong><br>${escapeHtml(a.answer)}</td>
+                <td class="points">${a.score !== undefined ? escapeHtml(I18n.format(ui.reportPoints, { score: a.score })) : ''}</td>
+            </tr>
+        `).join('')}
+    </table>
+
+    ${pdfUrl ? `<a class="download" href="${escapeHtml(pdfUrl)}">${escapeHtml(ui.downloadReport)}</a>` : ''}
+</body>
+</html>
+`;
+}
+
+// Band texts may contain markup; the PDF gets their plain text
+function plainText(html) {
+    return String(html || '')
+        .replace(/<br\s*\/?>|<\/(p|div|li|h\d)>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&amp;/g, '&')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function writePdfBand(doc, band, ui) {
+    if (!band) return;
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(band.color).text(band.label);
+    doc.font('Helvetica').fontSize(11).fillColor('#2c3e50');
+    if (band.text) {
+        doc.text(plainText(band.text));
+    }
+    if (band.recommendations) {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').text(ui.reportRecommendations);
+        doc.font('Helvetica').text(plainText(band.recommendations));
+    }
+}
+
+// Write the report as a PDF to `out` (the HTTP response). The built-in fonts
+// cover Western European languages.
+function writePdf(out, report) {
+    const { ui } = report;
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${ui.reportHeading} - ${report.title}` } });
+    doc.pipe(out);
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#2c3e50').text(ui.reportHeading);
+    doc.font('Helvetica').fontSize(10).fillColor('#6c757d')
+        .text([report.title, report.name, I18n.format(ui.reportSubmitted, { date: report.submittedAt })].filter(Boolean).join(' · '));
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(15).fillColor('#2c3e50').text(ui.reportResult);
+    doc.font('Helvetica').fontSize(12)
+        .text(I18n.format(ui.reportScore, { score: report.totalScore, max: report.maxScore, percentage: report.percentage }));
+    writePdfBand(doc, report.band, ui);
+
+    if (report.dimensions.length > 0) {
+        doc.moveDown();
+        doc.font('Helvetica-Bold').fontSize(15).fillColor('#2c3e50').text(ui.resultsByArea);
+        report.dimensions.forEach(d => {
+            doc.moveDown(0.5);
+            doc.font('Helvetica-Bold').fontSize(12).fillColor('#2c3e50').text(`${d.name} - ${d.percentage}%`);
+            writePdfBand(doc, d.band, ui);
+        });
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(15).fillColor('#2c3e50').text(ui.reportAnswers);
+    report.answers.forEach((a, i) => {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').fontSize(11).fillColor('#2c3e50').text(`${i + 1}. ${plainText(a.question)}`);
+        doc.font('Helvetica').text(a.answer);
+        if (a.score !== undefined) {
+            doc.fillColor('#6c757d').text(I18n.format(ui.reportPoints, { score: a.score }));
+        }
+    });
+
+    doc.end();
+}
+
+module.exports = {
+    REPORT_LINK_DAYS,
+    FORMATS,
+    CONTENT_SECURITY_POLICY,
+    checkReportLink,
+    reportLinks,
+    buildReport,
+    renderHtml,
+    writePdf
+};
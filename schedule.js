@@ -0,0 +1,180 @@
+// Schedule: when a survey takes submissions, and the rounds it runs in
+// A survey's schedule:
+//   opensAt, closesAt  ISO times the survey takes submissions between; null
+//                      leaves that end open
+//   rounds             named periods such as "baseline" and "post-training",
+//                      [{ id, name, opensAt, closesAt }] in time order without
+//                      overlaps. With rounds, submissions are only taken during
+//                      one, and every submission records its round.
+// The response policy's limits then count per round: maxResponses submissions
+// in each round, and retakeAfterDays since the last submission in any round.
+// Submissions from before rounds were defined have no round.
+
+const DEFAULT_SCHEDULE = {
+    opensAt: null,
+    closesAt: null,
+    rounds: []
+};
+
+const MAX_ROUNDS = 50;
+const MAX_NAME_LENGTH = 200;
+const ROUND_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// Times are stored as ISO strings, so they compare as text
+function isTime(value) {
+    return typeof value === 'string' && !isNaN(new Date(value)) && new Date(value).toISOString() === value;
+}
+
+// Times as ISO strings; values that aren't times are left for validateSchedule() to report
+function toTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = new Date(value);
+    return typeof value === 'string' && !isNaN(time) ? time.toISOString() : value;
+}
+
+// A schedule from editor or import input, with its times as ISO strings
+function normalizeSchedule(input) {
+    if (!input || typeof input !== 'object') return input;
+    return {
+        opensAt: toTime(input.opensAt),
+        closesAt: toTime(input.closesAt),
+        rounds: Array.isArray(input.rounds) ? input.rounds.map(round => (round && typeof round === 'object' ? {
+            id: round.id,
+            name: typeof round.name === 'string' ? round.name.trim() : round.name,
+            opensAt: toTime(round.opensAt),
+            closesAt: toTime(round.closesAt)
+        } : round)) : input.rounds
+    };
+}
+
+// Returns an error message, or null when the schedule is usable
+function validateSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') {
+        return 'Schedule must be an object';
+    }
+    for (const [field, label] of [['opensAt', 'opening'], ['closesAt', 'closing']]) {
+        if (schedule[field] !== null && !isTime(schedule[field])) {
+            return `The ${label} time must be a date and time, or empty`;
+        }
+    }
+    if (schedule.opensAt && schedule.closesAt && schedule.opensAt >= schedule.closesAt) {
+        return 'The survey must close after it opens';
+    }
+    if (!Array.isArray(schedule.rounds)) {
+        return 'Rounds must be a list';
+    }
+    if (schedule.rounds.length > MAX_ROUNDS) {
+        return `A survey can have at most ${MAX_ROUNDS} rounds`;
+    }
+
+    const ids = new Set();
+    const names = new Set();
+    for (const [i, round] of schedule.rounds.entries()) {
+        const label = `Round ${i + 1}`;
+        if (!round || typeof round !== 'object') {
+            return `${label} must be an object`;
+        }
+        if (typeof round.id !== 'string' || !ROUND_ID_PATTERN.test(round.id)) {
+            return `${label} needs an id of letters, digits, "-" or "_"`;
+        }
+        if (ids.has(round.id)) {
+            return `Duplicate round id: ${round.id}`;
+        }
+        ids.add(round.id);
+        if (typeof round.name !== 'string' || !round.name.trim() || round.name.length > MAX_NAME_LENGTH) {
+            return `${label} needs a name of at most ${MAX_NAME_LENGTH} characters`;
+        }
+        if (names.has(round.name.toLowerCase())) {
+            return `Two rounds are called "${round.name}"`;
+        }
+        names.add(round.name.toLowerCase());
+        if (!isTime(round.opensAt) || !isTime(round.closesAt)) {
+            return `${round.name}: a round needs an opening and a closing time`;
+        }
+        if (round.opensAt >= round.closesAt) {
+            return `${round.name}: the round must close after it opens`;
+        }
+        const previous = schedule.rounds[i - 1];
+        if (previous && round.opensAt < previous.closesAt) {
+            return `${round.name}: rounds must be in time order and can't overlap`;
+        }
+        if ((schedule.opensAt && round.opensAt < schedule.opensAt) || (schedule.closesAt && round.closesAt > schedule.closesAt)) {
+            return `${round.name}: the round must be within the time the survey is open`;
+        }
+    }
+    return null;
+}
+
+// Whether the survey takes submissions at `now`:
+// { status: 'open' | 'not_open' | 'between_rounds' | 'closed', round, opensAt }
+// round is the round running now, opensAt when a survey that isn't open yet opens.
+function currentState(schedule, now = Date.now()) {
+    const time = new Date(now).toISOString();
+    const state = (status, round = null, opensAt = null) => ({ status, round, opensAt });
+
+    if (schedule.closesAt && time >= schedule.closesAt) return state('closed');
+    if (schedule.rounds.length === 0) {
+        return schedule.opensAt && time < schedule.opensAt ? state('not_open', null, schedule.opensAt) : state('open');
+    }
+
+    const round = schedule.rounds.find(r => r.opensAt <= time && time < r.closesAt);
+    if (round) return state('open', round);
+    const next = schedule.rounds.find(r => r.opensAt > time);
+    if (!next) return state('closed');
+    return state(next === schedule.rounds[0] ? 'not_open' : 'between_rounds', null, next.opensAt);
+}
+
+// Why a survey in this state refuses submissions, or null when it takes them
+function availabilityError(state) {
+    if (state.status === 'closed') {
+        return 'This survey is closed and no longer accepting responses';
+    }
+    if (state.status === 'not_open') {
+        return `This survey opens on ${new Date(state.opensAt).toLocaleString()}`;
+    }
+    if (state.status === 'between_rounds') {
+        return `The next round of this survey opens on ${new Date(state.opensAt).toLocaleString()}`;
+    }
+    return null;
+}
+
+// What the survey page gets: the state, with the round's name but not the others
+function publicState(state) {
+    return {
+        status: state.status,
+        round: state.round ? { id: state.round.id, name: state.round.name } : null,
+        opensAt: state.opensAt
+    };
+}
+
+// Submissions an invitation has been used for, in the given round (or in all
+// when the survey has no rounds)
+function invitationUses(invitation, roundId) {
+    return roundId ? (invitation.roundUses || {})[roundId] || 0 : invitation.uses || 0;
+}
+
+// Count a submission against an invitation (changes it in place)
+function recordInvitationUse(invitation, roundId) {
+    invitation.uses = (invitation.uses || 0) + 1;
+    if (roundId) {
+        invitation.roundUses = { ...invitation.roundUses, [roundId]: invitationUses(invitation, roundId) + 1 };
+    }
+}
+
+// Name of a submission's round, or null without one (or when the round was removed)
+function roundName(schedule, roundId) {
+    const round = roundId && schedule.rounds.find(r => r.id === roundId);
+    return round ? round.name : null;
+}
+
+module.exports = {
+    DEFAULT_SCHEDULE,
+    normalizeSchedule,
+    validateSchedule,
+    currentState,
+    availabilityError,
+    publicState,
+    invitationUses,
+    recordInvitationUse,
+    roundName
+};
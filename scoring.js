@@ -0,0 +1,275 @@
+// Survey scoring rules
+// Shared by server.js (authoritative scores) and index.html (local preview)
+
+// In the browser question-types.js is loaded first and sets window.QuestionTypes.
+// A different name than that global avoids a clash between the two scripts.
+const questionTypes = typeof module !== 'undefined' && module.exports ?
+    require('./question-types') :
+    window.QuestionTypes;
+
+const Scoring = {
+    // Lowest and highest score a question can give
+    getScoreBounds: function(question) {
+        if (questionTypes.getType(question) === 'scale') {
+            return { min: question.min, max: question.max };
+        }
+        const scores = (question.options || []).map(opt => Number(opt.score) || 0);
+        if (scores.length === 0) {
+            return { min: 0, max: 0 };
+        }
+        return { min: Math.min(...scores), max: Math.max(...scores) };
+    },
+
+    // Score for one answer to a scored question. Reverse-scored questions mirror
+    // the scores, so on a 1-5 scale a 5 counts as 1 and a 2 counts as 4.
+    scoreAnswer: function(question, checkedAnswer) {
+        const raw = questionTypes.getType(question) === 'scale' ?
+            checkedAnswer.value :
+            Number(question.options[checkedAnswer.selectedOptionIndex].score) || 0;
+        if (!question.reverseScored) {
+            return raw;
+        }
+        const bounds = Scoring.getScoreBounds(question);
+        return bounds.min + bounds.max - raw;
+    },
+
+    // Validate submitted answers against the question definitions and score them.
+    // answers: [{ questionId, selectedOptionIndex }, { questionId, value }, ...]
+    // Only scored questions count towards totalScore/maxScore/percentage, and
+    // towards the subscore of every dimension the question is tagged with.
+    // Returns { error } when the answers don't fit the questions.
+    scoreAnswers: function(questions, answers, dimensions = []) {
+        if (!Array.isArray(answers)) {
+            return { error: 'Answers must be an array' };
+        }
+
+        const answersByQuestion = new Map();
+        for (const answer of answers) {
+            const questionId = answer && answer.questionId;
+            if (!questions.some(q => q.id === questionId)) {
+                return { error: `Unknown question: ${questionId}` };
+            }
+            if (answersByQuestion.has(questionId)) {
+                return { error: `Question ${questionId} was answered more than once` };
+            }
+            answersByQuestion.set(questionId, answer);
+        }
+
+        let totalScore = 0;
+        let maxScore = 0;
+        const scoredAnswers = [];
+        const dimensionTotals = new Map(dimensions.map(d => [d.id, { totalScore: 0, maxScore: 0 }]));
+
+        for (const question of questions) {
+            const answer = answersByQuestion.get(question.id);
+            const rawValue = answer && (questionTypes.getType(question) === 'single' ?
+                answer.selectedOptionIndex :
+                answer.value);
+
+            if (!questionTypes.isAnswered(question, rawValue)) {
+                if (question.required !== false) {
+                    return { error: `Question ${question.id} was not answered` };
+                }
+                continue;
+            }
+
+            const checked = questionTypes.checkAnswer(question, answer);
+            if (checked.error) {
+                return { error: checked.error };
+            }
+
+            if (questionTypes.isScored(question)) {
+                checked.score = Scoring.scoreAnswer(question, checked);
+                if (question.reverseScored) {
+                    checked.reverseScored = true;
+                }
+                const questionMax = Scoring.getScoreBounds(question).max;
+                totalScore += checked.score;
+                maxScore += questionMax;
+
+                (question.dimensions || []).forEach(dimensionId => {
+                    const dimensionTotal = dimensionTotals.get(dimensionId);
+                    if (dimensionTotal) {
+                        dimensionTotal.totalScore += checked.score;
+                        dimensionTotal.maxScore += questionMax;
+                    }
+                });
+            }
+
+            scoredAnswers.push(checked);
+        }
+
+        const percentage = maxScore > 0 ? Math.round((totalScore / maxScore) * 100) : 0;
+
+        // A dimension without any scored answers has no percentage
+        const dimensionScores = dimensions.map(d => {
+            const dimensionTotal = dimensionTotals.get(d.id);
+            return {
+                dimensionId: d.id,
+                totalScore: dimensionTotal.totalScore,
+                maxScore: dimensionTotal.maxScore,
+                percentage: dimensionTotal.maxScore > 0 ?
+                    Math.round((dimensionTotal.totalScore / dimensionTotal.maxScore) * 100) :
+                    null
+            };
+        });
+
+        return {
+            answers: scoredAnswers,
+            totalScore,
+            maxScore,
+            percentage,
+            dimensionScores
+        };
+    },
+
+    // Result bands: [{ id, label, min, color, text, recommendations }, ...]
+    // text is the feedback shown on the results page; the optional recommendations
+    // only appear in the respondent's report.
+    // Each band starts at `min` percent and runs up to the next band's min,
+    // so the bands always cover 0-100 without gaps or overlaps.
+
+    // Colours of the five fixed ranges surveys had before bands were configurable
+    LEGACY_BAND_COLORS: {
+        '1-20': '#dc3545',
+        '21-40': '#fd7e14',
+        '41-60': '#ffc107',
+        '61-80': '#20c997',
+        '81-100': '#28a745'
+    },
+
+    // Build bands from the old { "1-20": text, ... } result texts
+    bandsFromLegacyResponses: function(responses) {
+        return Object.keys(Scoring.LEGACY_BAND_COLORS).map(range => {
+            const min = parseInt(range.split('-')[0], 10);
+            return {
+                id: range,
+                label: `${range}%`,
+                min: min === 1 ? 0 : min,
+                color: Scoring.LEGACY_BAND_COLORS[range],
+                text: (responses && responses[range]) || ''
+            };
+        });
+    },
+
+    sortBands: function(bands) {
+        return [...(bands || [])].sort((a, b) => a.min - b.min);
+    },
+
+    // Bands as stored, from validated editor or import input
+    normalizeBands: function(bands) {
+        return Scoring.sortBands(bands.map(band => ({
+            id: band.id,
+            label: band.label.trim(),
+            min: band.min,
+            color: band.color || '#6c757d',
+            text: band.text || '',
+            recommendations: band.recommendations || ''
+        })));
+    },
+
+    normalizeDimension: function(dimension) {
+        return {
+            id: dimension.id,
+            name: dimension.name.trim(),
+            description: dimension.description || '',
+            bands: Scoring.normalizeBands(dimension.bands)
+        };
+    },
+
+    // Band a percentage falls into, or null when the survey has no bands
+    findBand: function(bands, percentage) {
+        const sorted = Scoring.sortBands(bands);
+        let match = sorted[0] || null;
+        for (const band of sorted) {
+            if (percentage >= band.min) {
+                match = band;
+            }
+        }
+        return match;
+    },
+
+    // Human readable range of a band, e.g. "21-40%"
+    describeBandRange: function(bands, band) {
+        const sorted = Scoring.sortBands(bands);
+        const next = sorted[sorted.indexOf(band) + 1];
+        return `${band.min}-${next ? next.min - 1 : 100}%`;
+    },
+
+    // Dimensions (subscales): [{ id, name, description, bands }, ...]
+    // Questions list the dimension ids they belong to in `dimensions`.
+    // Returns an error message, or null when the dimensions are usable
+    validateDimensions: function(dimensions) {
+        if (!Array.isArray(dimensions)) {
+            return 'Dimensions must be an array';
+        }
+
+        const ids = new Set();
+        for (const dimension of dimensions) {
+            if (!dimension || typeof dimension.id !== 'string' || !dimension.id) {
+                return 'Every dimension needs an id';
+            }
+            if (ids.has(dimension.id)) {
+                return `Duplicate dimension id: ${dimension.id}`;
+            }
+            if (typeof dimension.name !== 'string' || !dimension.name.trim()) {
+                return `Dimension ${dimension.id} needs a name`;
+            }
+            const bandError = Scoring.validateBands(dimension.bands);
+            if (bandError) {
+                return `${dimension.name}: ${bandError}`;
+            }
+            ids.add(dimension.id);
+        }
+        return null;
+    },
+
+    // Returns an error message, or null when the bands are usable
+    validateBands: function(bands) {
+        if (!Array.isArray(bands) || bands.length === 0) {
+            return 'At least one band is required';
+        }
+
+        const ids = new Set();
+        const mins = new Set();
+        for (const band of bands) {
+            if (!band || typeof band.id !== 'string' || !band.id) {
+                return 'Every band needs an id';
+            }
+            if (ids.has(band.id)) {
+                return `Duplicate band id: ${band.id}`;
+            }
+            if (typeof band.label !== 'string' || !band.label.trim()) {
+                return `Band ${band.id} needs a label`;
+            }
+            if (!Number.isInteger(band.min) || band.min < 0 || band.min > 100) {
+                return `Band "${band.label}" must start at a whole percentage between 0 and 100`;
+            }
+            if (mins.has(band.min)) {
+                return `Two bands start at ${band.min}%`;
+            }
+            if (band.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(band.color)) {
+                return `Band "${band.label}" has an invalid colour`;
+            }
+            if (band.recommendations !== undefined && typeof band.recommendations !== 'string') {
+                return `Band "${band.label}" has invalid recommendations`;
+            }
+            ids.add(band.id);
+            mins.add(band.min);
+        }
+
+        if (!mins.has(0)) {
+            return 'The lowest band must start at 0%';
+        }
+        return null;
+    }
+};
+
+// Make Scoring available in the browser
+if (typeof window !== 'undefined') {
+    window.Scoring = Scoring;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Scoring;
+}
@@ -2,18 +2,64 @@ const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
+const Scoring = require('./scoring');
+const QuestionTypes = require('./question-types');
+const Branching = require('./branching');
+const I18n = require('./i18n');
+const auth = require('./auth');
+const Analytics = require('./analytics');
+const Exporter = require('./exporter');
+const Invitations = require('./invitations');
+const Drafts = require('./drafts');
+const Reports = require('./reports');
+const Webhooks = require('./webhooks');
+const SurveySchema = require('./survey-schema');
+const SurveyTransfer = require('./survey-transfer');
+const Audit = require('./audit');
+const Trash = require('./trash');
+const Privacy = require('./privacy');
+const Intake = require('./intake');
+const Schedule = require('./schedule');
+const { requireRole } = auth;
+const { DEFAULT_SURVEY_ID, responseSurveyId, responseEmployeeKey, responseReceivedAt, createStorage } = require('./storage');
 
 const app = express();
 const PORT = 80;
 
-// Serve static files (including admin.html)
-app.use(express.static(__dirname));
+// Only these files are served statically - data.json, responses.json and
+// users.json live in the same directory and must never be downloadable
+const PUBLIC_FILES = new Set([
+    'index.html',
+    'index.css',
+    'admin.html',
+    'admin.css',
+    'config.js',
+    'question-types.js',
+    'scoring.js',
+    'branching.js',
+    'i18n.js',
+    'intake.js',
+    'markup.js',
+    'submission-queue.js'
+]);
 
-const DATA_FILE = path.join(__dirname, 'data.json');
-const RESPONSES_FILE = path.join(__dirname, 'responses.json');
+app.use((req, res, next) => {
+    const file = req.path.replace(/^\//, '');
+    if (req.method === 'GET' && PUBLIC_FILES.has(file)) {
+        return res.sendFile(path.join(__dirname, file));
+    }
+    next();
+});
 
-console.log('📁 Data file path:', DATA_FILE);
-console.log('📁 Responses file path:', RESPONSES_FILE);
+const storage = createStorage();
+const webhooks = Webhooks.createDispatcher(storage);
+
+if (storage.type === 'json') {
+    console.log('📁 Data file path:', storage.dataFile);
+    console.log('📁 Responses file path:', storage.responsesFile);
+} else {
+    console.log('🗄️  SQLite database:', storage.file);
+}
 
 // Enhanced CORS configuration
 app.use(cors({
@@ -27,11 +73,13 @@ app.use(cors({
         // Removed: 'http://192.168.29.223','http://192.168.29.223:80' (local network only)
     ],
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+    exposedHeaders: ['Content-Disposition', 'Idempotent-Replayed'],
     credentials: true
 }));
 
-app.use(express.json());
+// Imported survey definitions and rosters can be larger than the default 100kb
+app.use(express.json({ limit: '5mb' }));
 
 // Add OPTIONS handler for preflight requests
 app.options('*', cors());
@@ -42,193 +90,2223 @@ app.use((req, res, next) => {
     next();
 });
 
+// Request body fields kept out of the logs: secrets, and who respondents and
+// subjects of privacy requests are (anonymous surveys promise not to keep it).
+// csv is an invitation roster or a question import.
+const LOG_HIDDEN_FIELDS = ['password', 'inviteToken', 'resumeToken', 'userData', 'intake', 'name', 'email', 'employeeId', 'csv'];
+
+// Keep session tokens and passwords out of the logs
+function redactForLog(obj, keys) {
+    const copy = { ...obj };
+    keys.forEach(key => {
+        if (copy[key] !== undefined) copy[key] = '[redacted]';
+    });
+    return copy;
+}
+
 // Additional debug middleware specifically for API requests
 app.use('/api', (req, res, next) => {
     console.log(`🔍 API Request Details:`);
     console.log(`   Method: ${req.method}`);
     console.log(`   Path: ${req.path}`);
     console.log(`   Full URL: ${req.url}`);
-    console.log(`   Headers:`, req.headers);
+    console.log(`   Headers:`, redactForLog(req.headers, ['authorization', 'cookie']));
     if (req.body && Object.keys(req.body).length > 0) {
-        console.log(`   Body:`, JSON.stringify(req.body, null, 2));
+        console.log(`   Body:`, JSON.stringify(redactForLog(req.body, LOG_HIDDEN_FIELDS), null, 2));
     }
     next();
 });
 
-// Helper function to read data
-async function readData() {
+// Turn a survey title into a URL-safe id that is not used yet
+function generateSurveyId(title, surveys) {
+    const base = String(title || 'survey')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 40) || 'survey';
+    let id = base;
+    let suffix = 2;
+    while (surveys.some(s => s.id === id)) {
+        id = `${base}-${suffix++}`;
+    }
+    return id;
+}
+
+// Short listing entry for the survey catalogue
+function summarizeSurvey(survey, responseCount) {
+    return {
+        id: survey.id,
+        title: survey.title,
+        description: survey.description,
+        status: survey.status,
+        createdAt: survey.createdAt,
+        updatedAt: survey.updatedAt,
+        archivedAt: survey.archivedAt,
+        clonedFrom: survey.clonedFrom,
+        questionCount: survey.questions.length,
+        publishedVersion: latestVersion(survey) ? latestVersion(survey).version : null,
+        hasUnpublishedChanges: hasUnpublishedChanges(survey),
+        responseCount
+    };
+}
+
+// Published versions are append-only snapshots of the questions. survey.questions
+// is the draft that editors change; respondents always get the latest version.
+function latestVersion(survey) {
+    return survey.versions[survey.versions.length - 1] || null;
+}
+
+function findVersion(survey, version) {
+    return survey.versions.find(v => v.version === Number(version)) || null;
+}
+
+function hasUnpublishedChanges(survey) {
+    const latest = latestVersion(survey);
+    if (!latest) {
+        return survey.questions.length > 0;
+    }
+    // Questions saved before a field existed are compared with it filled in
+    const normalized = questions => JSON.stringify(questions.map(QuestionTypes.normalizeQuestion));
+    return normalized(latest.questions) !== normalized(survey.questions);
+}
+
+function versionSummary(version) {
+    return {
+        version: version.version,
+        publishedAt: version.publishedAt,
+        publishedBy: version.publishedBy,
+        note: version.note || '',
+        questionCount: version.questions.length
+    };
+}
+
+// What respondents get: the latest published questions, without drafts or history
+function publicSurvey(survey) {
+    const { versions, ...rest } = survey;
+    const latest = latestVersion(survey);
+    return {
+        ...rest,
+        questions: latest ? latest.questions : [],
+        version: latest ? latest.version : null
+    };
+}
+
+// Submissions saved before versioning answered version 1
+function responseVersion(response) {
+    return response.surveyVersion || 1;
+}
+
+// ...and submissions saved before translations were made in the survey's own language
+function responseLocale(response, survey) {
+    return response.locale || survey.defaultLocale;
+}
+
+function bandSummary(band) {
+    return band ? { id: band.id, label: band.label, color: band.color } : null;
+}
+
+// Bands aren't stored on submissions, so changing the survey's bands (or a
+// dimension's bands) re-classifies every existing submission
+function withBands(response, survey) {
+    return {
+        ...response,
+        band: bandSummary(Scoring.findBand(survey.bands, response.percentage)),
+        dimensionScores: (response.dimensionScores || []).map(score => {
+            const dimension = survey.dimensions.find(d => d.id === score.dimensionId);
+            return {
+                ...score,
+                name: dimension ? dimension.name : score.dimensionId,
+                band: dimension && score.percentage !== null ?
+                    bandSummary(Scoring.findBand(dimension.bands, score.percentage)) :
+                    null
+            };
+        })
+    };
+}
+
+// Reply 400 with the field-level problems found by SurveySchema
+function sendSchemaErrors(res, errors) {
+    const message = SurveySchema.describeErrors(errors);
+    console.log(`❌ Invalid survey definition: ${message}`);
+    res.status(400).json({ error: message, errors });
+}
+
+// Record an admin change in the audit log (see audit.js). A failed log write
+// is reported but doesn't fail the change, which has already been saved.
+async function audit(req, action, details = {}) {
+    try {
+        await storage.addAuditEntry(Audit.createEntry(req.user, action, {
+            surveyId: req.survey ? req.survey.id : null,
+            ...details
+        }));
+    } catch (err) {
+        console.error(`❌ Could not record ${action} in the audit log:`, err.message);
+    }
+}
+
+function surveyTarget(survey) {
+    return { type: 'survey', id: survey.id, label: survey.title };
+}
+
+function questionTarget(question) {
+    return { type: 'question', id: question.id, label: question.text };
+}
+
+function responseTarget(response) {
+    return { type: 'response', id: response.id, label: Privacy.respondentName(response) };
+}
+
+// Anonymize the survey's submissions, in the trash too, that `due` returns true
+// for. Returns how many were anonymized.
+async function anonymizeSubmissions(survey, due) {
+    const anonymize = response => {
+        if (Privacy.isAnonymized(response) || !due(response)) return false;
+        Privacy.anonymizeResponse(response, survey.id);
+        return true;
+    };
+    const anonymized = await storage.updateResponses(survey.id, anonymize);
+    const trashed = await storage.updateTrash(survey.id, entry => entry.type === 'response' && anonymize(entry.item));
+    return anonymized.length + trashed.length;
+}
+
+// When an invitee last submitted, for the wait before a retake. Invitations to
+// anonymous surveys don't keep it (see Privacy.anonymizeInvitation), so it
+// comes from their submissions then.
+async function lastInvitedSubmission(survey, invitation) {
+    if (invitation.completedAt || !invitation.uses) return invitation.completedAt || null;
+    const previous = (await storage.listResponses(survey.id))
+        .filter(r => Privacy.sameRespondent(r, survey.id, invitation.employeeId));
+    return previous.length > 0 ? responseReceivedAt(previous[previous.length - 1]) : null;
+}
+
+// Anonymize or delete the submissions the survey's retention policy no longer
+// allows to be kept, in the trash too. Returns how many were affected.
+async function applyRetention(survey) {
+    const policy = survey.privacyPolicy;
+    const cutoff = Privacy.retentionCutoff(policy);
+    if (!cutoff) return 0;
+    // Submissions without a usable time count as old
+    const isOld = response => (typeof response.timestamp === 'string' ? response.timestamp : '') < cutoff;
+    const system = { user: Audit.SYSTEM_USER, survey };
+
+    if (policy.retentionAction === 'anonymize') {
+        const count = await anonymizeSubmissions(survey, isOld);
+        if (count > 0) {
+            await audit(system, 'responses.anonymized', { target: surveyTarget(survey), after: { count, olderThan: cutoff } });
+        }
+        return count;
+    }
+
+    // Deleted for good: keeping them in the trash would keep them past the limit
+    const ids = (await storage.listResponses(survey.id)).filter(isOld).map(r => r.id);
+    const trashIds = (await storage.listTrash(survey.id))
+        .filter(entry => entry.type === 'response' && isOld(entry.item))
+        .map(entry => entry.id);
+    const count = (ids.length > 0 ? await storage.deleteResponses(survey.id, ids) : 0) +
+        (trashIds.length > 0 ? await storage.deleteTrash(survey.id, trashIds) : 0);
+    if (count > 0) {
+        await audit(system, 'responses.expired', { target: surveyTarget(survey), after: { count, olderThan: cutoff } });
+    }
+    if (ids.length > 0) {
+        webhooks.emit('response.deleted', survey, { responseIds: ids }, Audit.SYSTEM_USER.username);
+    }
+    return count;
+}
+
+// Everything stored about a person (see Privacy.parseSubject), across all surveys
+async function findSubjectRecords(subject) {
+    const records = { responses: [], trash: [], drafts: [], invitations: [] };
+    for (const survey of await storage.listSurveys()) {
+        const matches = record => Privacy.matchesSubject(record, survey.id, subject);
+        records.responses.push(...(await storage.listResponses(survey.id)).filter(matches));
+        records.trash.push(...(await storage.listTrash(survey.id)).filter(e => e.type === 'response' && matches(e.item)));
+        records.drafts.push(...(await storage.listDrafts(survey.id)).filter(matches));
+        records.invitations.push(...(await storage.listInvitations(survey.id)).filter(matches));
+    }
+    return records;
+}
+
+// An audit entry with the person's details blanked out, or null when it
+// doesn't mention them. Entries about their submissions and invitations are
+// found by id as well: a submission summary has no email to match on.
+function redactAuditEntry(entry, subject, records) {
+    const before = Privacy.redactSubject(entry.before, subject);
+    const after = Privacy.redactSubject(entry.after, subject);
+    const target = entry.target;
+    const ownTarget = !!target && (
+        (target.type === 'response' && (records.responses.some(r => r.id === target.id) ||
+            records.trash.some(e => e.itemId === target.id))) ||
+        (target.type === 'invitation' && records.invitations.some(inv => inv.id === target.id)));
+    const changed = JSON.stringify(before) !== JSON.stringify(entry.before) ||
+        JSON.stringify(after) !== JSON.stringify(entry.after);
+    if (!ownTarget && !changed) {
+        return null;
+    }
+    // Single submissions and invitations are labelled with the person's name
+    const namedTarget = ownTarget || (!!target && target.id !== null && ['response', 'invitation'].includes(target.type));
+    return {
+        ...entry,
+        target: namedTarget ? { ...target, label: Privacy.ERASED } : target,
+        before: ownTarget && target.type === 'response' ? null : before,
+        after: ownTarget && target.type === 'response' ? null : after
+    };
+}
+
+// Root route for testing
+app.get('/', (req, res) => {
+    console.log('🏠 Serving root page');
+    res.send(`
+        <h1>Survey Server is Running!</h1>
+        <p>Server time: ${new Date().toLocaleString()}</p>
+        <p><a href="/admin.html">Admin Panel</a></p>
+        <p><a href="/api/test">Test API</a></p>
+    `);
+});
+
+// Test API endpoint
+app.get('/api/test', (req, res) => {
+    console.log('🧪 API test endpoint hit');
+    res.json({
+        message: 'API is working!',
+        timestamp: new Date().toISOString(),
+        endpoints: [
+            'GET /api/surveys',
+            'GET /api/surveys/:surveyId',
+            'GET /api/surveys/:surveyId/survey-responses',
+            'POST /api/surveys/:surveyId/survey-responses',
+            'DELETE /api/surveys/:surveyId/survey-responses/:id'
+        ]
+    });
+});
+
+// Log in with an admin account
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body;
+    console.log(`🔑 Login attempt for ${username}`);
+    try {
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+
+        const users = await auth.readUsers();
+        const user = users.find(u => u.username === username);
+
+        if (!user || !(await auth.verifyPassword(password, user))) {
+            console.log(`🔑 Login failed for ${username}`);
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        const session = auth.createSession(user);
+        console.log(`✅ ${username} logged in as ${user.role}`);
+        res.json({ ...session, user: auth.publicUser(user) });
+    } catch (err) {
+        console.error('❌ Error logging in:', err);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+app.post('/api/auth/logout', requireRole('viewer'), (req, res) => {
+    auth.destroySession(auth.getBearerToken(req));
+    console.log(`👋 ${req.user.username} logged out`);
+    res.json({ message: 'Logged out' });
+});
+
+// Who the current session belongs to
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+    res.json(req.user);
+});
+
+// List admin accounts
+app.get('/api/users', requireRole('owner'), async (req, res) => {
+    try {
+        const users = await auth.readUsers();
+        res.json(users.map(auth.publicUser));
+    } catch (err) {
+        console.error('❌ Error listing users:', err);
+        res.status(500).json({ error: 'Failed to list users' });
+    }
+});
+
+// Create an admin account
+app.post('/api/users', requireRole('owner'), async (req, res) => {
+    const { username, password, role } = req.body;
+    console.log(`👤 Creating user ${username} (${role})`);
+    try {
+        if (typeof username !== 'string' || !username.trim()) {
+            return res.status(400).json({ error: 'Username is required' });
+        }
+        if (typeof password !== 'string' || password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+        if (!auth.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${auth.ROLES.join(', ')}` });
+        }
+
+        const users = await auth.readUsers();
+        if (users.some(u => u.username === username.trim())) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+
+        const user = await auth.createUser(users, username.trim(), password, role);
+        const success = await auth.writeUsers(users);
+
+        if (success) {
+            await audit(req, 'user.created', {
+                target: { type: 'user', id: user.username, label: user.username },
+                after: auth.publicUser(user)
+            });
+            res.status(201).json(auth.publicUser(user));
+        } else {
+            res.status(500).json({ error: 'Failed to create user' });
+        }
+    } catch (err) {
+        console.error('❌ Error creating user:', err);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Remove an admin account
+app.delete('/api/users/:username', requireRole('owner'), async (req, res) => {
+    console.log(`🗑️  Deleting user ${req.params.username}`);
+    try {
+        if (req.params.username === req.user.username) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+
+        const users = await auth.readUsers();
+        const user = users.find(u => u.username === req.params.username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const success = await auth.writeUsers(users.filter(u => u !== user));
+        if (success) {
+            auth.destroyUserSessions(req.params.username);
+            await audit(req, 'user.deleted', {
+                target: { type: 'user', id: user.username, label: user.username },
+                before: auth.publicUser(user)
+            });
+            res.json({ message: 'User deleted successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to delete user' });
+        }
+    } catch (err) {
+        console.error('❌ Error deleting user:', err);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+// Webhook subscriptions (owners only - deliveries carry respondents' details)
+app.get('/api/webhooks', requireRole('owner'), async (req, res) => {
+    try {
+        res.json({
+            events: Webhooks.EVENTS,
+            webhooks: (await storage.listWebhooks()).map(Webhooks.publicWebhook)
+        });
+    } catch (err) {
+        console.error('❌ Error listing webhooks:', err);
+        res.status(500).json({ error: 'Failed to list webhooks' });
+    }
+});
+
+function webhookFields(body, current = {}) {
+    const fields = { ...current, ...body };
+    return {
+        url: typeof fields.url === 'string' ? fields.url.trim() : fields.url,
+        events: fields.events,
+        surveyId: fields.surveyId === undefined || fields.surveyId === '' ? null : fields.surveyId,
+        description: fields.description === undefined ? '' : fields.description,
+        active: fields.active === undefined ? true : fields.active
+    };
+}
+
+// Subscribe a URL to events. The response holds the signing secret - the only time it is shown.
+app.post('/api/webhooks', requireRole('owner'), async (req, res) => {
+    console.log(`🪝 Adding webhook for ${req.body.url}`);
+    try {
+        const fields = webhookFields(req.body);
+        const webhookError = Webhooks.validateWebhook(fields);
+        if (webhookError) {
+            return res.status(400).json({ error: webhookError });
+        }
+        if (fields.surveyId !== null && !(await storage.getSurvey(fields.surveyId))) {
+            return res.status(400).json({ error: `Unknown survey: ${fields.surveyId}` });
+        }
+
+        const webhook = await storage.addWebhook({
+            ...fields,
+            secret: Webhooks.generateSecret(),
+            createdAt: new Date().toISOString(),
+            createdBy: req.user.username
+        });
+        await audit(req, 'webhook.created', {
+            target: { type: 'webhook', id: webhook.id, label: webhook.url },
+            after: Webhooks.publicWebhook(webhook)
+        });
+        res.status(201).json({ ...Webhooks.publicWebhook(webhook), secret: webhook.secret });
+    } catch (err) {
+        console.error('❌ Error adding webhook:', err);
+        res.status(500).json({ error: 'Failed to add webhook' });
+    }
+});
+
+// Change a subscription. { rotateSecret: true } replaces the secret and returns the new one.
+app.put('/api/webhooks/:id', requireRole('owner'), async (req, res) => {
+    console.log(`🪝 Updating webhook ${req.params.id}`);
+    try {
+        const webhook = (await storage.listWebhooks()).find(w => w.id === parseInt(req.params.id, 10));
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        const fields = webhookFields(req.body, webhook);
+        const webhookError = Webhooks.validateWebhook(fields);
+        if (webhookError) {
+            return res.status(400).json({ error: webhookError });
+        }
+        if (fields.surveyId !== null && fields.surveyId !== webhook.surveyId && !(await storage.getSurvey(fields.surveyId))) {
+            return res.status(400).json({ error: `Unknown survey: ${fields.surveyId}` });
+        }
+
+        const before = Webhooks.publicWebhook(webhook);
+        Object.assign(webhook, fields, { updatedAt: new Date().toISOString() });
+        if (req.body.rotateSecret === true) {
+            webhook.secret = Webhooks.generateSecret();
+        }
+        await storage.saveWebhook(webhook);
+        await audit(req, 'webhook.updated', {
+            target: { type: 'webhook', id: webhook.id, label: webhook.url },
+            before,
+            after: Webhooks.publicWebhook(webhook)
+        });
+        res.json(req.body.rotateSecret === true ?
+            { ...Webhooks.publicWebhook(webhook), secret: webhook.secret } :
+            Webhooks.publicWebhook(webhook));
+    } catch (err) {
+        console.error('❌ Error updating webhook:', err);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+// Pending deliveries of a deleted webhook fail on their next attempt; the log stays
+app.delete('/api/webhooks/:id', requireRole('owner'), async (req, res) => {
+    console.log(`🗑️  Deleting webhook ${req.params.id}`);
+    try {
+        const webhook = (await storage.listWebhooks()).find(w => w.id === parseInt(req.params.id, 10));
+        if (!webhook || !(await storage.deleteWebhook(webhook.id))) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        await audit(req, 'webhook.deleted', {
+            target: { type: 'webhook', id: webhook.id, label: webhook.url },
+            before: Webhooks.publicWebhook(webhook)
+        });
+        res.json({ message: 'Webhook deleted successfully' });
+    } catch (err) {
+        console.error('❌ Error deleting webhook:', err);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// Queue a webhook.test delivery to check the receiver
+app.post('/api/webhooks/:id/test', requireRole('owner'), async (req, res) => {
+    try {
+        const webhook = (await storage.listWebhooks()).find(w => w.id === parseInt(req.params.id, 10));
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        const [delivery] = await webhooks.sendTest(webhook, req.user.username);
+        res.status(202).json(delivery);
+    } catch (err) {
+        console.error('❌ Error sending test webhook:', err);
+        res.status(500).json({ error: 'Failed to send test webhook' });
+    }
+});
+
+// Delivery log, newest first. Filters: webhookId, status (pending, delivered, failed), limit
+app.get('/api/webhooks/deliveries', requireRole('owner'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        const deliveries = await storage.listDeliveries({
+            webhookId: req.query.webhookId ? parseInt(req.query.webhookId, 10) : undefined,
+            status: req.query.status || undefined,
+            limit
+        });
+        res.json(deliveries);
+    } catch (err) {
+        console.error('❌ Error listing webhook deliveries:', err);
+        res.status(500).json({ error: 'Failed to list webhook deliveries' });
+    }
+});
+
+// Send a failed (or still pending) delivery again now, with a fresh set of attempts
+app.post('/api/webhooks/deliveries/:id/retry', requireRole('owner'), async (req, res) => {
+    try {
+        const delivery = await storage.getDelivery(parseInt(req.params.id, 10));
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        if (delivery.status === 'delivered') {
+            return res.status(409).json({ error: 'This delivery has already been delivered' });
+        }
+        Object.assign(delivery, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+        await storage.saveDelivery(delivery);
+        webhooks.deliverDue();
+        res.status(202).json(delivery);
+    } catch (err) {
+        console.error('❌ Error retrying webhook delivery:', err);
+        res.status(500).json({ error: 'Failed to retry webhook delivery' });
+    }
+});
+
+// Browse the audit log, newest first.
+// Filters: surveyId, actor, action, from, to, before (entry id, for the next page), limit
+app.get('/api/audit', requireRole('owner'), async (req, res) => {
+    try {
+        const { filters, error } = Audit.parseQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        // One more than asked for tells whether there is another page
+        const entries = await storage.listAuditEntries({ ...filters, limit: filters.limit + 1 });
+        res.json({
+            actions: Audit.ACTIONS,
+            entries: entries.slice(0, filters.limit),
+            hasMore: entries.length > filters.limit
+        });
+    } catch (err) {
+        console.error('❌ Error reading audit log:', err);
+        res.status(500).json({ error: 'Failed to read audit log' });
+    }
+});
+
+// Subject requests: everything stored about one person, found by { email, employeeId }.
+// The person's details travel in the body so they stay out of URLs and access logs.
+// Anonymized submissions are found by hash, so PRIVACY_SALT has to be set.
+app.post('/api/privacy/export', requireRole('owner'), async (req, res) => {
+    console.log('🔏 Exporting personal data');
+    try {
+        const saltError = Privacy.saltError();
+        if (saltError) {
+            console.log(`❌ ${saltError}`);
+            return res.status(409).json({ error: saltError });
+        }
+        const { subject, error } = Privacy.parseSubject(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const records = await findSubjectRecords(subject);
+        const auditEntries = (await storage.listAuditEntries())
+            .filter(entry => redactAuditEntry(entry, subject, records))
+            // Entries can list other people too (e.g. a batch of invitations), so only say what happened
+            .map(entry => ({ id: entry.id, at: entry.at, actor: entry.actor, action: entry.action, surveyId: entry.surveyId }));
+
+        const counts = {
+            responses: records.responses.length,
+            deletedResponses: records.trash.length,
+            drafts: records.drafts.length,
+            invitations: records.invitations.length,
+            auditEntries: auditEntries.length
+        };
+        await audit(req, 'subject.exported', { after: counts });
+        console.log(`✅ Exported ${JSON.stringify(counts)}`);
+
+        res.setHeader('Content-Disposition', `attachment; filename="personal-data_${new Date().toISOString().split('T')[0]}.json"`);
+        res.json({
+            exportedAt: new Date().toISOString(),
+            subject,
+            responses: records.responses,
+            deletedResponses: records.trash.map(entry => ({ ...entry.item, deletedAt: entry.deletedAt })),
+            // Draft keys and invitation tokens are credentials, not personal data
+            drafts: records.drafts.map(({ key, ...draft }) => draft),
+            invitations: records.invitations.map(invitationSummary),
+            auditEntries
+        });
+    } catch (err) {
+        console.error('❌ Error exporting personal data:', err);
+        res.status(500).json({ error: 'Failed to export personal data' });
+    }
+});
+
+// Erase a person: their submissions (also from the trash), drafts and
+// invitations are deleted for good, and their details are blanked out in the
+// audit log and in webhook deliveries. Answers in anonymized submissions go too.
+app.post('/api/privacy/erase', requireRole('owner'), async (req, res) => {
+    console.log('🔏 Erasing personal data');
+    try {
+        const saltError = Privacy.saltError();
+        if (saltError) {
+            console.log(`❌ ${saltError}`);
+            return res.status(409).json({ error: saltError });
+        }
+        const { subject, error } = Privacy.parseSubject(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const records = await findSubjectRecords(subject);
+
+        let responses = 0;
+        let deletedResponses = 0;
+        for (const survey of await storage.listSurveys()) {
+            const ids = records.responses.filter(r => responseSurveyId(r) === survey.id).map(r => r.id);
+            if (ids.length > 0) {
+                responses += await storage.deleteResponses(survey.id, ids);
+                webhooks.emit('response.deleted', survey, { responseIds: ids }, req.user.username);
+            }
+            const trashIds = records.trash.filter(e => e.surveyId === survey.id).map(e => e.id);
+            if (trashIds.length > 0) {
+                deletedResponses += await storage.deleteTrash(survey.id, trashIds);
+            }
+        }
+        for (const draft of records.drafts) {
+            await storage.deleteDraft(draft.key);
+        }
+        for (const invitation of records.invitations) {
+            await storage.deleteInvitation(invitation.surveyId, invitation.id);
+        }
+
+        const auditEntries = await storage.updateAuditEntries(entry => {
+            const redacted = redactAuditEntry(entry, subject, records);
+            if (!redacted) return false;
+            Object.assign(entry, redacted);
+            return true;
+        });
+        let deliveries = 0;
+        for (const delivery of await storage.listDeliveries()) {
+            const payload = Privacy.redactSubject(delivery.payload, subject);
+            if (JSON.stringify(payload) !== JSON.stringify(delivery.payload)) {
+                await storage.saveDelivery({ ...delivery, payload });
+                deliveries++;
+            }
+        }
+
+        const counts = {
+            responses,
+            deletedResponses,
+            drafts: records.drafts.length,
+            invitations: records.invitations.length,
+            auditEntries,
+            deliveries
+        };
+        // The record of the erasure itself names nobody
+        await audit(req, 'subject.erased', { after: counts });
+        console.log(`✅ Erased ${JSON.stringify(counts)}`);
+        res.json(counts);
+    } catch (err) {
+        console.error('❌ Error erasing personal data:', err);
+        res.status(500).json({ error: 'Failed to erase personal data' });
+    }
+});
+
+// List surveys in the catalogue
+app.get('/api/surveys', requireRole('viewer'), async (req, res) => {
+    console.log('📚 Listing surveys');
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        return JSON.parse(data);
+        const counts = await storage.countResponses();
+        const includeArchived = req.query.includeArchived === 'true';
+
+        const surveys = (await storage.listSurveys())
+            .filter(s => includeArchived || s.status !== 'archived')
+            .map(s => summarizeSurvey(s, counts[s.id] || 0));
+
+        console.log(`📚 Returning ${surveys.length} surveys`);
+        res.json(surveys);
     } catch (err) {
-        console.error('❌ Error reading data:', err.message);
-        // Return default structure if file doesn't exist or is corrupted
-        return {
+        console.error('❌ Failed to list surveys:', err);
+        res.status(500).json({ error: 'Failed to list surveys' });
+    }
+});
+
+// Create a new survey
+app.post('/api/surveys', requireRole('editor'), async (req, res) => {
+    console.log('➕ Creating new survey');
+    try {
+        const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+        if (!title) {
+            return res.status(400).json({ error: 'Survey title is required' });
+        }
+
+        const now = new Date().toISOString();
+        const newSurvey = {
+            id: generateSurveyId(req.body.id || title, await storage.listSurveys()),
+            title,
+            description: req.body.description || '',
+            status: 'active',
+            createdAt: now,
+            updatedAt: now,
             questions: [],
-            responses: {}
+            bands: Scoring.bandsFromLegacyResponses({}),
+            dimensions: [],
+            intakeFields: [],
+            versions: [],
+            responsePolicy: { ...Invitations.DEFAULT_RESPONSE_POLICY },
+            privacyPolicy: { ...Privacy.DEFAULT_PRIVACY_POLICY },
+            schedule: { ...Schedule.DEFAULT_SCHEDULE, rounds: [] },
+            defaultLocale: I18n.isLocale(req.body.defaultLocale) ? req.body.defaultLocale : I18n.DEFAULT_LOCALE,
+            translations: {}
         };
+        const errors = SurveySchema.validateDefinition(newSurvey);
+        if (errors.length > 0) {
+            return sendSchemaErrors(res, errors);
+        }
+
+        const success = await storage.saveSurvey(newSurvey);
+
+        if (success) {
+            console.log(`✅ Created survey "${newSurvey.title}" (${newSurvey.id})`);
+            await audit(req, 'survey.created', {
+                surveyId: newSurvey.id,
+                target: { type: 'survey', id: newSurvey.id, label: newSurvey.title },
+                after: SurveySchema.pickDefinition(newSurvey)
+            });
+            res.status(201).json(newSurvey);
+        } else {
+            res.status(500).json({ error: 'Failed to create survey' });
+        }
+    } catch (err) {
+        console.error('❌ Error creating survey:', err);
+        res.status(500).json({ error: 'Failed to create survey' });
     }
-}
+});
 
-// Helper function to write data
-async function writeData(data) {
+// Routes below are scoped to a single survey. They are mounted twice:
+// under /api/surveys/:surveyId and, for older clients, directly under /api
+// where they act on the default survey.
+const surveyRouter = express.Router({ mergeParams: true });
+
+// Load the requested survey for every survey-scoped route
+surveyRouter.use(async (req, res, next) => {
     try {
-        await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2), 'utf8');
-        console.log('✅ Data file saved successfully');
-        return true;
+        const surveyId = req.params.surveyId || DEFAULT_SURVEY_ID;
+        const survey = await storage.getSurvey(surveyId);
+
+        if (!survey) {
+            console.log(`❌ Survey not found: ${surveyId}`);
+            return res.status(404).json({ error: 'Survey not found' });
+        }
+
+        req.survey = survey;
+        next();
     } catch (err) {
-        console.error('❌ Error writing data:', err.message);
-        return false;
+        console.error('❌ Failed to load survey:', err);
+        res.status(500).json({ error: 'Failed to read data' });
+    }
+});
+
+// Change the survey under the storage's write lock, so admins editing it at the
+// same time don't overwrite each other's changes. change(survey) gets the
+// latest stored copy, not req.survey, and changes it in place; it can refuse by
+// returning { status, error }, or { errors } for schema problems. The result
+// must pass the schema. Resolves to { survey } with req.survey replaced by the
+// saved survey, or to { status, error, errors } (see sendUpdateError).
+async function updateSurvey(req, change) {
+    let refusal = null;
+    const saved = await storage.updateSurvey(req.survey.id, survey => {
+        refusal = change(survey) || null;
+        if (refusal) return false;
+        const errors = SurveySchema.validateDefinition(survey);
+        if (errors.length > 0) {
+            refusal = { errors };
+            return false;
+        }
+        survey.updatedAt = new Date().toISOString();
+        return true;
+    });
+    if (!saved) {
+        if (refusal && refusal.errors) {
+            return { status: 400, error: SurveySchema.describeErrors(refusal.errors), errors: refusal.errors };
+        }
+        return refusal || { status: 404, error: 'Survey not found' };
+    }
+    req.survey = saved;
+    return { survey: saved };
+}
+
+// Answer with the refusal of a failed updateSurvey()
+function sendUpdateError(res, result) {
+    if (result.errors) {
+        return sendSchemaErrors(res, result.errors);
     }
+    console.log(`❌ ${result.error}`);
+    res.status(result.status).json({ error: result.error });
 }
 
+// updateSurvey() for changes that can take questions out of the draft. The
+// removed ones go to the trash; its entries are in `trashed`.
+async function updateSurveyToTrash(req, change) {
+    let previous = null;
+    const result = await updateSurvey(req, survey => {
+        previous = [...survey.questions];
+        return change(survey);
+    });
+    if (result.error) return result;
+    const entries = Trash.questionEntries(req.survey.id, previous, req.survey.questions, req.user.username);
+    return { ...result, trashed: entries.length > 0 ? await storage.addTrash(entries) : [] };
+}
+
+// Get a survey definition
+// ?locale= lists the respondent's preferred locales, e.g. "fr-CA,fr,en"; the
+// best available one is used and returned as `locale`
+surveyRouter.get('/', (req, res) => {
+    console.log(`📋 Getting survey ${req.survey.id}`);
+    const locale = I18n.resolveLocale(req.query.locale, I18n.surveyLocales(req.survey), req.survey.defaultLocale);
+    res.json({
+        ...I18n.translateSurvey(publicSurvey(req.survey), locale),
+        availability: Schedule.publicState(Schedule.currentState(req.survey.schedule))
+    });
+});
+
+// Update survey title and description
+surveyRouter.put('/', requireRole('editor'), async (req, res) => {
+    console.log(`✏️  Updating survey ${req.survey.id}`);
+    try {
+        const details = survey => ({ title: survey.title, description: survey.description, defaultLocale: survey.defaultLocale });
+        const title = req.body.title === undefined ? undefined : String(req.body.title).trim();
+        if (title === '') {
+            return res.status(400).json({ error: 'Survey title is required' });
+        }
+        const defaultLocale = req.body.defaultLocale;
+        if (defaultLocale !== undefined && !I18n.isLocale(defaultLocale)) {
+            return res.status(400).json({ error: 'Language must be a code such as "en" or "pt-BR"' });
+        }
+
+        let before = null;
+        const updated = await updateSurvey(req, survey => {
+            before = details(survey);
+            if (defaultLocale !== undefined && survey.translations[defaultLocale]) {
+                return { status: 409, error: `The survey already has a ${defaultLocale} translation - delete it first` };
+            }
+            if (title !== undefined) survey.title = title;
+            if (req.body.description !== undefined) survey.description = String(req.body.description);
+            if (defaultLocale !== undefined) survey.defaultLocale = defaultLocale;
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        await audit(req, 'survey.updated', { target: surveyTarget(req.survey), before, after: details(req.survey) });
+        res.json(req.survey);
+    } catch (err) {
+        console.error('❌ Error updating survey:', err);
+        res.status(500).json({ error: 'Failed to update survey' });
+    }
+});
+
+// Copy a survey's questions and result texts into a new survey
+surveyRouter.post('/clone', requireRole('editor'), async (req, res) => {
+    console.log(`📑 Cloning survey ${req.survey.id}`);
+    try {
+        const title = (req.body.title && String(req.body.title).trim()) || `${req.survey.title} (copy)`;
+        const now = new Date().toISOString();
+        const clone = {
+            ...JSON.parse(JSON.stringify(req.survey)),
+            id: generateSurveyId(title, await storage.listSurveys()),
+            title,
+            status: 'active',
+            createdAt: now,
+            updatedAt: now,
+            clonedFrom: req.survey.id,
+            versions: []
+        };
+        delete clone.archivedAt;
+        // A survey saved before the schema checks may not pass them; its copy must
+        const errors = SurveySchema.validateDefinition(clone);
+        if (errors.length > 0) {
+            return sendSchemaErrors(res, errors);
+        }
+
+        const success = await storage.saveSurvey(clone);
+
+        if (success) {
+            console.log(`✅ Cloned survey ${req.survey.id} to ${clone.id}`);
+            await audit(req, 'survey.cloned', {
+                surveyId: clone.id,
+                target: { type: 'survey', id: clone.id, label: clone.title },
+                after: { clonedFrom: req.survey.id, ...SurveySchema.pickDefinition(clone) }
+            });
+            res.status(201).json(clone);
+        } else {
+            res.status(500).json({ error: 'Failed to clone survey' });
+        }
+    } catch (err) {
+        console.error('❌ Error cloning survey:', err);
+        res.status(500).json({ error: 'Failed to clone survey' });
+    }
+});
+
+// Archive a survey - it stops accepting submissions but keeps its data
+surveyRouter.post('/archive', requireRole('editor'), async (req, res) => {
+    console.log(`📦 Archiving survey ${req.survey.id}`);
+    try {
+        let before = null;
+        const updated = await updateSurvey(req, survey => {
+            before = { status: survey.status };
+            survey.status = 'archived';
+            survey.archivedAt = new Date().toISOString();
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        await audit(req, 'survey.archived', {
+            target: surveyTarget(req.survey),
+            before,
+            after: { status: req.survey.status, archivedAt: req.survey.archivedAt }
+        });
+        webhooks.emit('survey.archived', req.survey, { archivedAt: req.survey.archivedAt }, req.user.username);
+        res.json(req.survey);
+    } catch (err) {
+        console.error('❌ Error archiving survey:', err);
+        res.status(500).json({ error: 'Failed to archive survey' });
+    }
+});
+
+// Bring an archived survey back
+surveyRouter.post('/unarchive', requireRole('editor'), async (req, res) => {
+    console.log(`📤 Unarchiving survey ${req.survey.id}`);
+    try {
+        let before = null;
+        const updated = await updateSurvey(req, survey => {
+            before = { status: survey.status, archivedAt: survey.archivedAt };
+            survey.status = 'active';
+            delete survey.archivedAt;
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        await audit(req, 'survey.unarchived', { target: surveyTarget(req.survey), before, after: { status: req.survey.status } });
+        webhooks.emit('survey.unarchived', req.survey, {}, req.user.username);
+        res.json(req.survey);
+    } catch (err) {
+        console.error('❌ Error unarchiving survey:', err);
+        res.status(500).json({ error: 'Failed to unarchive survey' });
+    }
+});
+
+// Get the survey's dimensions (subscales) with their result bands
+surveyRouter.get('/dimensions', requireRole('viewer'), (req, res) => {
+    res.json(req.survey.dimensions);
+});
+
+// Replace the survey's dimensions. Questions lose tags of removed dimensions.
+surveyRouter.put('/dimensions', requireRole('editor'), async (req, res) => {
+    console.log(`🧭 Updating dimensions for ${req.survey.id}`);
+    try {
+        const dimensions = req.body.dimensions;
+        const dimensionIds = Array.isArray(dimensions) ? dimensions.map(d => d && d.id) : [];
+
+        let before = null;
+        const updated = await updateSurvey(req, survey => {
+            const questions = survey.questions.map(question => (question.dimensions ?
+                { ...question, dimensions: question.dimensions.filter(id => dimensionIds.includes(id)) } :
+                question));
+            const errors = SurveySchema.validateDefinition({ ...survey, dimensions, questions });
+            if (errors.length > 0) {
+                return { errors };
+            }
+            before = survey.dimensions;
+            survey.dimensions = dimensions.map(Scoring.normalizeDimension);
+            survey.questions = questions;
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        await audit(req, 'dimensions.updated', { target: surveyTarget(req.survey), before, after: req.survey.dimensions });
+        console.log(`✅ Saved ${req.survey.dimensions.length} dimensions`);
+        res.json(req.survey.dimensions);
+    } catch (err) {
+        console.error('❌ Error updating dimensions:', err);
+        res.status(500).json({ error: 'Failed to update dimensions' });
+    }
+});
+
+// Get the details the start form asks for besides name, email and employee ID
+surveyRouter.get('/intake-fields', requireRole('viewer'), (req, res) => {
+    res.json(req.survey.intakeFields);
+});
+
+// Replace the survey's intake fields. Submissions keep the answers they were
+// given; answers to removed fields just aren't shown or compared any more.
+surveyRouter.put('/intake-fields', requireRole('editor'), async (req, res) => {
+    console.log(`🪪 Updating intake fields for ${req.survey.id}`);
+    try {
+        const fields = Array.isArray(req.body.fields) ?
+            req.body.fields.map(field => (field && typeof field === 'object' ? Intake.normalizeField(field) : field)) :
+            req.body.fields;
+        let before = null;
+        const updated = await updateSurvey(req, survey => {
+            before = survey.intakeFields;
+            survey.intakeFields = fields;
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        await audit(req, 'intake.updated', { target: surveyTarget(req.survey), before, after: fields });
+        console.log(`✅ Saved ${fields.length} intake fields`);
+        res.json(fields);
+    } catch (err) {
+        console.error('❌ Error updating intake fields:', err);
+        res.status(500).json({ error: 'Failed to update intake fields' });
+    }
+});
+
+// Get current survey data
+surveyRouter.get('/data', requireRole('viewer'), (req, res) => {
+    console.log(`📋 Getting survey data for ${req.survey.id}`);
+    console.log(`📋 Returning ${req.survey.questions.length} questions`);
+    res.json({
+        questions: req.survey.questions,
+        bands: req.survey.bands,
+        dimensions: req.survey.dimensions,
+        intakeFields: req.survey.intakeFields,
+        versions: req.survey.versions.map(versionSummary),
+        hasUnpublishedChanges: hasUnpublishedChanges(req.survey),
+        responsePolicy: req.survey.responsePolicy,
+        privacyPolicy: req.survey.privacyPolicy,
+        schedule: req.survey.schedule,
+        availability: Schedule.publicState(Schedule.currentState(req.survey.schedule)),
+        defaultLocale: req.survey.defaultLocale,
+        locales: I18n.surveyLocales(req.survey)
+    });
+});
+
+// List published versions, oldest first
+surveyRouter.get('/versions', requireRole('viewer'), (req, res) => {
+    res.json({
+        versions: req.survey.versions.map(versionSummary),
+        hasUnpublishedChanges: hasUnpublishedChanges(req.survey)
+    });
+});
+
+// Get the questions of one published version
+surveyRouter.get('/versions/:version', requireRole('viewer'), (req, res) => {
+    const version = findVersion(req.survey, req.params.version);
+    if (!version) {
+        return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json(version);
+});
+
+// Publish the draft questions as a new version. Earlier versions stay as they
+// were, so submissions keep pointing at the questions they actually answered.
+surveyRouter.post('/publish', requireRole('editor'), async (req, res) => {
+    console.log(`🚀 Publishing survey ${req.survey.id}`);
+    try {
+        let version = null;
+        const updated = await updateSurvey(req, survey => {
+            if (survey.questions.length === 0) {
+                return { status: 400, error: 'Add at least one question before publishing' };
+            }
+            if (!hasUnpublishedChanges(survey)) {
+                return { status: 409, error: 'There are no unpublished changes' };
+            }
+            const latest = latestVersion(survey);
+            version = {
+                version: latest ? latest.version + 1 : 1,
+                publishedAt: new Date().toISOString(),
+                publishedBy: req.user.username,
+                note: typeof req.body.note === 'string' ? req.body.note.trim() : '',
+                questions: JSON.parse(JSON.stringify(survey.questions))
+            };
+            survey.versions.push(version);
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        console.log(`✅ Published version ${version.version} of ${req.survey.id}`);
+        await audit(req, 'survey.published', {
+            target: { type: 'version', id: version.version, label: `Version ${version.version}` },
+            after: version
+        });
+        webhooks.emit('survey.published', req.survey, { version: versionSummary(version) }, req.user.username);
+        res.status(201).json(versionSummary(version));
+    } catch (err) {
+        console.error('❌ Error publishing survey:', err);
+        res.status(500).json({ error: 'Failed to publish survey' });
+    }
+});
+
+// Get the survey's result bands
+surveyRouter.get('/bands', requireRole('viewer'), (req, res) => {
+    res.json(Scoring.sortBands(req.survey.bands));
+});
+
+// Replace the survey's result bands
+surveyRouter.put('/bands', requireRole('editor'), async (req, res) => {
+    console.log(`🎚️  Updating result bands for ${req.survey.id}`);
+    try {
+        const bands = req.body.bands;
+        const responses = await storage.listResponses(req.survey.id);
+
+        let before = null;
+        let reclassified = 0;
+        const updated = await updateSurvey(req, survey => {
+            const errors = SurveySchema.validateDefinition({ ...survey, bands });
+            if (errors.length > 0) {
+                return { errors };
+            }
+            const bandsBefore = responses.map(r => withBands(r, survey).band?.id);
+            before = survey.bands;
+            survey.bands = Scoring.normalizeBands(bands);
+            reclassified = responses
+                .filter((r, i) => withBands(r, survey).band?.id !== bandsBefore[i])
+                .length;
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        await audit(req, 'bands.updated', { target: surveyTarget(req.survey), before, after: req.survey.bands });
+        console.log(`✅ Saved ${req.survey.bands.length} bands, ${reclassified} submissions re-classified`);
+        res.json({ bands: req.survey.bands, reclassified });
+    } catch (err) {
+        console.error('❌ Error updating bands:', err);
+        res.status(500).json({ error: 'Failed to update bands' });
+    }
+});
+
+// Get all survey responses - ENHANCED WITH DEBUG
+surveyRouter.get('/survey-responses', requireRole('viewer'), async (req, res) => {
+    console.log('📊 ===== GET /api/survey-responses called =====');
+    console.log('📊 Request details:');
+    console.log('📊   Method:', req.method);
+    console.log('📊   URL:', req.url);
+    console.log('📊   Survey:', req.survey.id);
+
+    try {
+        console.log('📊 Attempting to read survey responses...');
+        const hideIntake = !canSeeIntake(req);
+        const responses = (await storage.listResponses(req.survey.id))
+            .map(r => ({ ...withBands(r, req.survey), surveyVersion: responseVersion(r), locale: responseLocale(r, req.survey) }))
+            .map(r => (hideIntake ? withoutIntake(r) : r));
+        console.log(`📊 Successfully loaded ${responses.length} survey responses`);
+        console.log('📊 Sending response...');
+        res.json(responses);
+        console.log('📊 Response sent successfully');
+    } catch (err) {
+        console.error('❌ Failed to read survey responses:', err);
+        console.error('❌ Error stack:', err.stack);
+        res.status(500).json({ error: 'Failed to read survey responses' });
+    }
+    console.log('📊 ===== GET /api/survey-responses completed =====');
+});
+
+// Intake answers of single submissions are for editors and owners. Viewers
+// see them only in aggregate, where small segments are suppressed (see isSmallSegment).
+function canSeeIntake(req) {
+    return auth.hasRole(req.user.role, 'editor');
+}
+
+function withoutIntake(response) {
+    const { intake, ...rest } = response;
+    return rest;
+}
+
+// Submissions matching the analytics/export query filters:
+// from, to (YYYY-MM-DD, inclusive), search, band, version, locale, round.
+// hideIntake leaves intake answers off the submissions before filtering, so
+// search doesn't match them either. Returns { error } for invalid filters.
+async function queryResponses(req, { hideIntake = false } = {}) {
+    const { from, to, search, band, version, locale, round } = req.query;
+    const dateError = Analytics.dateRangeError(from, to);
+    if (dateError) {
+        return { error: dateError };
+    }
+    if (version && !findVersion(req.survey, version)) {
+        return { error: `Unknown version: ${version}` };
+    }
+    if (round && !req.survey.schedule.rounds.some(r => r.id === round)) {
+        return { error: `Unknown round: ${round}` };
+    }
+    const segments = parseSegments(req.survey, req.query.intake);
+    if (segments.error) {
+        return { error: segments.error };
+    }
+
+    const responses = (await storage.listResponses(req.survey.id))
+        .map(r => ({ ...withBands(r, req.survey), surveyVersion: responseVersion(r), locale: responseLocale(r, req.survey) }))
+        .map(r => (hideIntake ? withoutIntake(r) : r));
+    const analyticsFilters = { from, to, search, band, version, locale, round, intake: segments.segments };
+    const filtered = Analytics.filterResponses(responses, analyticsFilters);
+
+    // Questions of the versions the filtered submissions answered
+    const versionNumbers = version ?
+        [Number(version)] :
+        [...new Set(filtered.map(r => r.surveyVersion))];
+    let versions = req.survey.versions.filter(v => versionNumbers.includes(v.version));
+    if (versions.length === 0 && latestVersion(req.survey)) {
+        versions = [latestVersion(req.survey)];
+    }
+
+    return {
+        total: responses.length,
+        responses: filtered,
+        versions: versions.map(v => v.version),
+        questions: Analytics.collectQuestions(versions),
+        analyticsFilters,
+        filters: {
+            from: from || null,
+            to: to || null,
+            search: search || '',
+            band: band || null,
+            version: version ? Number(version) : null,
+            locale: locale || null,
+            round: round || null,
+            intake: Object.fromEntries(segments.segments.map(({ field, value }) => [field.id, value]))
+        }
+    };
+}
+
+// Segment filters from ?intake[<field id>]=<cohort>, e.g. intake[department]=Sales
+// (dates by year, see Intake.cohortOf). Returns { segments } or { error }.
+function parseSegments(survey, query) {
+    if (query === undefined || query === '') {
+        return { segments: [] };
+    }
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+        return { error: 'Filter by intake fields as intake[<field id>]=<value>' };
+    }
+    const segments = [];
+    for (const [id, value] of Object.entries(query)) {
+        const field = survey.intakeFields.find(f => f.id === id);
+        if (!field) {
+            return { error: `Unknown intake field: ${id}` };
+        }
+        if (typeof value !== 'string') {
+            return { error: `Filter ${field.label} by one value` };
+        }
+        if (value) segments.push({ field, value });
+    }
+    return { segments };
+}
+
+// Whether a query picked so few submissions by their intake answers that
+// reporting on them could point to the people in the segment
+function isSmallSegment(query) {
+    return Analytics.isSmallSegment(query.responses, query.analyticsFilters);
+}
+
+// Statistics over the survey's submissions (filters: see queryResponses)
+surveyRouter.get('/analytics', requireRole('viewer'), async (req, res) => {
+    console.log(`📈 Building analytics for ${req.survey.id}`);
+    try {
+        const query = await queryResponses(req);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        if (isSmallSegment(query)) {
+            console.log(`📈 Segment has fewer than ${Analytics.MIN_COHORT_SIZE} submissions - not reported`);
+            return res.json({
+                suppressed: true,
+                minCohortSize: Analytics.MIN_COHORT_SIZE,
+                filters: query.filters,
+                versions: query.versions
+            });
+        }
+
+        const analytics = Analytics.buildAnalytics({
+            questions: query.questions,
+            bands: req.survey.bands,
+            responses: query.responses
+        });
+
+        console.log(`📈 Analytics over ${query.responses.length} of ${query.total} submissions`);
+        res.json({
+            ...analytics,
+            filters: query.filters,
+            versions: query.versions
+        });
+    } catch (err) {
+        console.error('❌ Error building analytics:', err);
+        res.status(500).json({ error: 'Failed to build analytics' });
+    }
+});
+
+// Cohorts of ?field=<intake field id> side by side: submissions, average
+// percentage, band shares and dimension averages, with small cohorts
+// suppressed (see Analytics.compareCohorts). Other filters: see queryResponses.
+surveyRouter.get('/analytics/cohorts', requireRole('viewer'), async (req, res) => {
+    console.log(`👥 Comparing cohorts of ${req.survey.id} by ${req.query.field}`);
+    try {
+        const field = req.survey.intakeFields.find(f => f.id === req.query.field);
+        if (!field) {
+            return res.status(400).json({ error: req.query.field ? `Unknown intake field: ${req.query.field}` : 'Choose an intake field to compare by' });
+        }
+        const query = await queryResponses(req);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+        if (isSmallSegment(query)) {
+            return res.json({ field, suppressed: true, minCohortSize: Analytics.MIN_COHORT_SIZE, filters: query.filters });
+        }
+
+        const comparison = Analytics.compareCohorts({
+            field,
+            responses: query.responses,
+            bands: req.survey.bands,
+            dimensions: req.survey.dimensions
+        });
+        res.json({ field, ...comparison, filters: query.filters });
+    } catch (err) {
+        console.error('❌ Error comparing cohorts:', err);
+        res.status(500).json({ error: 'Failed to compare cohorts' });
+    }
+});
+
+// Each respondent's scores across the survey's rounds and the average change
+// from one round to the next (filters: see queryResponses)
+surveyRouter.get('/analytics/rounds', requireRole('viewer'), async (req, res) => {
+    console.log(`🔁 Comparing rounds of ${req.survey.id}`);
+    try {
+        const query = await queryResponses(req);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+        if (isSmallSegment(query)) {
+            return res.json({ suppressed: true, minCohortSize: Analytics.MIN_COHORT_SIZE, filters: query.filters });
+        }
+
+        const progress = Analytics.roundProgress({
+            rounds: req.survey.schedule.rounds,
+            responses: query.responses,
+            respondentKey: responseEmployeeKey,
+            respondentName: Privacy.respondentName,
+            receivedAt: responseReceivedAt
+        });
+        // The people in a segment are intake answers of single submissions (see canSeeIntake)
+        if (!canSeeIntake(req) && Analytics.selectsByIntake(query.responses, query.analyticsFilters)) {
+            progress.respondents = [];
+            progress.respondentsHidden = true;
+        }
+        res.json({ ...progress, filters: query.filters });
+    } catch (err) {
+        console.error('❌ Error comparing rounds:', err);
+        res.status(500).json({ error: 'Failed to compare rounds' });
+    }
+});
+
+// Download submissions as csv, xlsx or ndjson (filters: see queryResponses)
+surveyRouter.get('/export', requireRole('viewer'), async (req, res) => {
+    const format = req.query.format || 'csv';
+    console.log(`📤 Exporting ${req.survey.id} as ${format}`);
+    try {
+        if (!Exporter.FORMATS[format]) {
+            return res.status(400).json({ error: `Unknown export format: ${format}` });
+        }
+        // Viewers get submissions without intake answers, so they can't pick them out by segment either
+        const hideIntake = !canSeeIntake(req);
+        if (hideIntake && req.query.intake !== undefined) {
+            return res.status(403).json({ error: 'Only editors and owners can export the submissions of a segment' });
+        }
+        const query = await queryResponses(req, { hideIntake });
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        const { contentType, extension } = Exporter.FORMATS[format];
+        const filename = `${req.survey.id}_responses_${new Date().toISOString().split('T')[0]}.${extension}`;
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await Exporter.writeExport(format, res, {
+            survey: hideIntake ? { ...req.survey, intakeFields: [] } : req.survey,
+            questions: query.questions,
+            responses: query.responses
+        });
+        console.log(`✅ Exported ${query.responses.length} submissions`);
+    } catch (err) {
+        console.error('❌ Error exporting responses:', err);
+        if (res.headersSent) {
+            res.end();
+        } else {
+            res.status(500).json({ error: 'Failed to export responses' });
+        }
+    }
+});
+
+// Every translatable string of the survey, the translations per locale and how many each is missing
+surveyRouter.get('/translations', requireRole('viewer'), (req, res) => {
+    const entries = I18n.translationEntries(req.survey, req.survey.questions);
+    res.json({
+        defaultLocale: req.survey.defaultLocale,
+        entries,
+        translations: req.survey.translations,
+        locales: Object.keys(req.survey.translations).map(locale => ({
+            locale,
+            total: entries.length,
+            missing: I18n.missingEntries(entries, locale, req.survey.translations[locale]).length
+        }))
+    });
+});
+
+// Replace the translations of one locale, adding the locale when it is new.
+// Body: { strings: { key: text } } - empty texts are left out.
+surveyRouter.put('/translations/:locale', requireRole('editor'), async (req, res) => {
+    const locale = req.params.locale;
+    console.log(`🌍 Saving ${locale} translations for ${req.survey.id}`);
+    try {
+        if (!I18n.isLocale(locale)) {
+            return res.status(400).json({ error: 'Language must be a code such as "fr" or "pt-BR"' });
+        }
+        const strings = req.body.strings;
+        if (!strings || typeof strings !== 'object' || Array.isArray(strings)) {
+            return res.status(400).json({ error: 'strings must be an object of translated texts' });
+        }
+
+        let before = null;
+        const saved = {};
+        const updated = await updateSurvey(req, survey => {
+            if (locale === survey.defaultLocale) {
+                return { status: 400, error: `The survey is written in ${locale} already` };
+            }
+            const keys = new Set(I18n.translationEntries(survey, survey.questions).map(e => e.key));
+            for (const [key, text] of Object.entries(strings)) {
+                if (typeof text !== 'string' || text.length > I18n.MAX_TEXT_LENGTH) {
+                    return { status: 400, error: `The translation of ${key} must be text of at most ${I18n.MAX_TEXT_LENGTH} characters` };
+                }
+                if (!text.trim()) continue;
+                if (!keys.has(key)) {
+                    return { status: 400, error: `Unknown translation key: ${key}` };
+                }
+                saved[key] = text;
+            }
+            before = survey.translations[locale];
+            survey.translations[locale] = saved;
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        await audit(req, 'translations.updated', {
+            target: { type: 'translation', id: locale, label: locale },
+            before,
+            after: saved
+        });
+        console.log(`✅ Saved ${Object.keys(saved).length} ${locale} translations`);
+        res.json({ locale, strings: saved });
+    } catch (err) {
+        console.error('❌ Error saving translations:', err);
+        res.status(500).json({ error: 'Failed to save translations' });
+    }
+});
+
+// Remove a locale and its translations
+surveyRouter.delete('/translations/:locale', requireRole('editor'), async (req, res) => {
+    const locale = req.params.locale;
+    console.log(`🗑️  Deleting ${locale} translations of ${req.survey.id}`);
+    try {
+        let before = null;
+        const updated = await updateSurvey(req, survey => {
+            if (!I18n.isLocale(locale) || !survey.translations[locale]) {
+                return { status: 404, error: 'Translation not found' };
+            }
+            before = survey.translations[locale];
+            delete survey.translations[locale];
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        await audit(req, 'translations.deleted', { target: { type: 'translation', id: locale, label: locale }, before });
+        res.json({ message: 'Translation deleted successfully' });
+    } catch (err) {
+        console.error('❌ Error deleting translation:', err);
+        res.status(500).json({ error: 'Failed to delete translation' });
+    }
+});
+
+// Who may submit and how often
+surveyRouter.put('/policy', requireRole('editor'), async (req, res) => {
+    console.log(`🎟️  Updating response policy for ${req.survey.id}`);
+    try {
+        const policy = {
+            requireInvitation: req.body.requireInvitation,
+            maxResponses: req.body.maxResponses === undefined ? null : req.body.maxResponses,
+            retakeAfterDays: req.body.retakeAfterDays === undefined ? 0 : req.body.retakeAfterDays
+        };
+        const policyError = Invitations.validateResponsePolicy(policy);
+        if (policyError) {
+            console.log(`❌ Invalid response policy: ${policyError}`);
+            return res.status(400).json({ error: policyError });
+        }
+
+        let before = null;
+        const updated = await updateSurvey(req, survey => {
+            before = survey.responsePolicy;
+            survey.responsePolicy = policy;
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        await audit(req, 'policy.updated', { target: surveyTarget(req.survey), before, after: policy });
+        console.log('✅ Response policy saved');
+        res.json(policy);
+    } catch (err) {
+        console.error('❌ Error saving response policy:', err);
+        res.status(500).json({ error: 'Failed to save response policy' });
+    }
+});
+
+// When the survey takes submissions and its rounds:
+// { opensAt, closesAt, rounds: [{ id, name, opensAt, closesAt }] } (see schedule.js)
+surveyRouter.put('/schedule', requireRole('editor'), async (req, res) => {
+    console.log(`🗓️  Updating schedule for ${req.survey.id}`);
+    try {
+        const schedule = Schedule.normalizeSchedule({
+            opensAt: req.body.opensAt,
+            closesAt: req.body.closesAt,
+            rounds: req.body.rounds === undefined ? [] : req.body.rounds
+        });
+        const scheduleError = Schedule.validateSchedule(schedule);
+        if (scheduleError) {
+            console.log(`❌ Invalid schedule: ${scheduleError}`);
+            return res.status(400).json({ error: scheduleError });
+        }
+
+        let before = null;
+        const updated = await updateSurvey(req, survey => {
+            before = survey.schedule;
+            survey.schedule = schedule;
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        await audit(req, 'schedule.updated', { target: surveyTarget(req.survey), before, after: schedule });
+        console.log(`✅ Schedule saved with ${schedule.rounds.length} rounds`);
+        res.json({ ...schedule, availability: Schedule.publicState(Schedule.currentState(schedule)) });
+    } catch (err) {
+        console.error('❌ Error saving schedule:', err);
+        res.status(500).json({ error: 'Failed to save schedule' });
+    }
+});
+
+// Anonymity and how long submissions are kept. Owners only: it decides what
+// happens to people's data. { anonymizeExisting: true } with anonymous on also
+// anonymizes the submissions collected so far and the invitations they came from.
+surveyRouter.put('/privacy', requireRole('owner'), async (req, res) => {
+    console.log(`🔏 Updating privacy policy for ${req.survey.id}`);
+    try {
+        const policy = {
+            anonymous: req.body.anonymous,
+            retentionDays: req.body.retentionDays === undefined ? null : req.body.retentionDays,
+            retentionAction: req.body.retentionAction === undefined ?
+                Privacy.DEFAULT_PRIVACY_POLICY.retentionAction : req.body.retentionAction
+        };
+        const policyError = Privacy.validatePrivacyPolicy(policy);
+        if (policyError) {
+            console.log(`❌ Invalid privacy policy: ${policyError}`);
+            return res.status(400).json({ error: policyError });
+        }
+
+        let before = null;
+        const updated = await updateSurvey(req, survey => {
+            const hashing = policy.anonymous && (!survey.privacyPolicy.anonymous || req.body.anonymizeExisting === true);
+            const saltError = hashing && Privacy.saltError();
+            if (saltError) {
+                return { status: 409, error: saltError };
+            }
+            before = survey.privacyPolicy;
+            survey.privacyPolicy = policy;
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        await audit(req, 'privacy.updated', { target: surveyTarget(req.survey), before, after: policy });
+
+        let anonymized = 0;
+        if (policy.anonymous && req.body.anonymizeExisting === true) {
+            anonymized = await anonymizeSubmissions(req.survey, () => true);
+            for (const invitation of await storage.listInvitations(req.survey.id)) {
+                if (invitation.completedAt) {
+                    await storage.updateInvitation(invitation.token, inv => {
+                        if (!inv.completedAt) return false;
+                        Privacy.anonymizeInvitation(inv);
+                        return true;
+                    });
+                }
+            }
+            if (anonymized > 0) {
+                await audit(req, 'responses.anonymized', { target: surveyTarget(req.survey), after: { count: anonymized } });
+            }
+        }
+        // A shorter retention period applies straight away
+        const retained = await applyRetention(req.survey);
+        console.log(`✅ Privacy policy saved (${anonymized} anonymized, ${retained} past retention)`);
+        res.json({ ...policy, anonymized, retained });
+    } catch (err) {
+        console.error('❌ Error saving privacy policy:', err);
+        res.status(500).json({ error: 'Failed to save privacy policy' });
+    }
+});
+
+// An invitation as the audit log records it - the token is as good as a password
+function invitationSummary(invitation) {
+    const { token, ...rest } = invitation;
+    return rest;
+}
+
+function invitationLink(req, token) {
+    return `${req.protocol}://${req.get('host')}/?survey=${encodeURIComponent(req.survey.id)}&invite=${token}`;
+}
+
+// List invitations with their status and link
+surveyRouter.get('/invitations', requireRole('editor'), async (req, res) => {
+    try {
+        const invitations = (await storage.listInvitations(req.survey.id)).map(inv => ({
+            ...inv,
+            status: Invitations.invitationStatus(inv),
+            link: invitationLink(req, inv.token)
+        }));
+        res.json(invitations);
+    } catch (err) {
+        console.error('❌ Failed to list invitations:', err);
+        res.status(500).json({ error: 'Failed to list invitations' });
+    }
+});
+
+// Create invitations from a roster CSV (name, email, employeeId columns).
+// People who already have an invitation to this survey are skipped.
+surveyRouter.post('/invitations', requireRole('editor'), async (req, res) => {
+    console.log(`🎟️  Creating invitations for ${req.survey.id}`);
+    try {
+        const roster = Invitations.parseRoster(req.body.csv);
+        if (roster.error) {
+            console.log(`❌ Invalid roster: ${roster.error}`);
+            return res.status(400).json({ error: roster.error });
+        }
+
+        const existing = await storage.listInvitations(req.survey.id);
+        const seen = new Set(existing.map(inv => inv.employeeId));
+        const skipped = [];
+        const now = new Date().toISOString();
+        const invitations = [];
+        roster.invitees.forEach(invitee => {
+            if (seen.has(invitee.employeeId)) {
+                skipped.push(invitee.employeeId);
+                return;
+            }
+            seen.add(invitee.employeeId);
+            invitations.push({
+                surveyId: req.survey.id,
+                token: Invitations.generateToken(),
+                ...invitee,
+                createdAt: now,
+                createdBy: req.user.username,
+                sentAt: null,
+                openedAt: null,
+                completedAt: null,
+                uses: 0
+            });
+        });
+
+        const created = await storage.addInvitations(invitations);
+        console.log(`✅ Created ${created.length} invitations, skipped ${skipped.length}`);
+        if (created.length > 0) {
+            await audit(req, 'invitations.created', {
+                target: { type: 'invitation', id: null, label: `${created.length} invitations` },
+                after: created.map(invitationSummary)
+            });
+        }
+        res.status(201).json({ created: created.length, skipped });
+    } catch (err) {
+        console.error('❌ Error creating invitations:', err);
+        res.status(500).json({ error: 'Failed to create invitations' });
+    }
+});
+
+// Record that invitations were sent out: { ids }
+surveyRouter.post('/invitations/mark-sent', requireRole('editor'), async (req, res) => {
+    try {
+        const ids = req.body.ids;
+        if (!Array.isArray(ids)) {
+            return res.status(400).json({ error: 'Invalid request format' });
+        }
+
+        const now = new Date().toISOString();
+        const targets = (await storage.listInvitations(req.survey.id)).filter(inv => ids.includes(inv.id));
+        const updatedIds = [];
+        for (const target of targets) {
+            const saved = await storage.updateInvitation(target.token, inv => {
+                if (inv.sentAt) return false;
+                inv.sentAt = now;
+                return true;
+            });
+            if (saved) updatedIds.push(saved.id);
+        }
+        console.log(`✅ Marked ${updatedIds.length} invitations as sent`);
+        if (updatedIds.length > 0) {
+            await audit(req, 'invitations.sent', {
+                target: { type: 'invitation', id: null, label: `${updatedIds.length} invitations` },
+                after: { ids: updatedIds, sentAt: now }
+            });
+        }
+        res.json({ updated: updatedIds.length });
+    } catch (err) {
+        console.error('❌ Error marking invitations as sent:', err);
+        res.status(500).json({ error: 'Failed to update invitations' });
+    }
+});
+
+// Download name, email, employee ID and link of every invitation for a mail merge
+surveyRouter.get('/invitations/export', requireRole('editor'), async (req, res) => {
+    try {
+        const invitations = await storage.listInvitations(req.survey.id);
+        const filename = `${req.survey.id}_invitations_${new Date().toISOString().split('T')[0]}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        Exporter.writeCsvTable(res, ['Name', 'Email', 'Employee ID', 'Link', 'Status'], invitations.map(inv => [
+            inv.name,
+            inv.email,
+            inv.employeeId,
+            invitationLink(req, inv.token),
+            Invitations.invitationStatus(inv)
+        ]));
+    } catch (err) {
+        console.error('❌ Error exporting invitations:', err);
+        res.status(500).json({ error: 'Failed to export invitations' });
+    }
+});
+
+surveyRouter.delete('/invitations/:id', requireRole('editor'), async (req, res) => {
+    try {
+        const invitation = (await storage.listInvitations(req.survey.id)).find(inv => inv.id === parseInt(req.params.id));
+        if (!invitation || !(await storage.deleteInvitation(req.survey.id, invitation.id))) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+        console.log(`🗑️  Deleted invitation ${req.params.id}`);
+        await audit(req, 'invitation.deleted', {
+            target: { type: 'invitation', id: invitation.id, label: invitation.name },
+            before: invitationSummary(invitation)
+        });
+        res.json({ message: 'Invitation deleted successfully' });
+    } catch (err) {
+        console.error('❌ Error deleting invitation:', err);
+        res.status(500).json({ error: 'Failed to delete invitation' });
+    }
+});
+
+// Opened from an invitation link: the survey page pre-fills the respondent's details
+surveyRouter.get('/invitations/:token', async (req, res) => {
+    try {
+        let invitation = await storage.getInvitation(req.params.token);
+        if (!invitation || invitation.surveyId !== req.survey.id) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+        if (!invitation.openedAt) {
+            invitation = await storage.updateInvitation(req.params.token, inv => {
+                if (inv.openedAt) return false;
+                inv.openedAt = new Date().toISOString();
+                return true;
+            }) || invitation;
+        }
+
+        const state = Schedule.currentState(req.survey.schedule);
+        const reason = Schedule.availabilityError(state) ||
+            Invitations.checkRetake(req.survey.responsePolicy, Schedule.invitationUses(invitation, state.round && state.round.id),
+                await lastInvitedSubmission(req.survey, invitation));
+        res.json({ ...Invitations.publicInvitation(invitation), canSubmit: !reason, reason });
+    } catch (err) {
+        console.error('❌ Error reading invitation:', err);
+        res.status(500).json({ error: 'Failed to read invitation' });
+    }
+});
+
+// The storage key of a respondent's draft: from an invitation token (invite) or a
+// resume token (resume). Returns { key, invitation }, or { status, error }.
+async function resolveDraftKey(survey, { invite, resume }) {
+    if (invite) {
+        const invitation = await storage.getInvitation(String(invite));
+        if (!invitation || invitation.surveyId !== survey.id) {
+            return { status: 404, error: 'Invitation not found' };
+        }
+        return { key: Drafts.invitationDraftKey(invitation), invitation };
+    }
+    // Only the server's own tokens, so a resume token can't name an invitation's draft
+    if (resume) {
+        if (!Drafts.isResumeToken(resume)) {
+            return { status: 400, error: 'Invalid resume token' };
+        }
+        return { key: resume, invitation: null };
+    }
+    return { status: 400, error: 'An invitation or resume token is required' };
+}
+
+// Resume a draft: ?invite=<invitation token> or ?resume=<resume token>
+surveyRouter.get('/drafts', async (req, res) => {
+    try {
+        const resolved = await resolveDraftKey(req.survey, req.query);
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
+        const draft = await storage.getDraft(resolved.key);
+        if (!draft || draft.surveyId !== req.survey.id || Drafts.isExpired(draft)) {
+            return res.status(404).json({ error: 'No saved draft' });
+        }
+        res.json(Drafts.publicDraft(draft));
+    } catch (err) {
+        console.error('❌ Error reading draft:', err);
+        res.status(500).json({ error: 'Failed to read draft' });
+    }
+});
+
+// Autosave: { inviteToken | resumeToken, userData, intake, answers: { questionId: value }, currentQuestionId }.
+// A draft without either token gets a new resume token, returned for the next save.
+surveyRouter.put('/drafts', async (req, res) => {
+    try {
+        const { inviteToken, userData, intake, answers, currentQuestionId } = req.body;
+        if (req.survey.status === 'archived') {
+            return res.status(409).json({ error: 'This survey is no longer accepting responses' });
+        }
+        const state = Schedule.currentState(req.survey.schedule);
+        const unavailable = Schedule.availabilityError(state);
+        if (unavailable) {
+            return res.status(409).json({ error: unavailable });
+        }
+        if (!inviteToken && req.survey.responsePolicy.requireInvitation) {
+            return res.status(403).json({ error: 'This survey can only be taken from an invitation link' });
+        }
+        const draftError = Drafts.validateDraft(req.body);
+        if (draftError) {
+            return res.status(400).json({ error: draftError });
+        }
+
+        const resumeToken = inviteToken ? null : (req.body.resumeToken || Drafts.generateResumeToken());
+        const resolved = await resolveDraftKey(req.survey, { invite: inviteToken, resume: resumeToken });
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
 
-// Helper function to read survey responses
-async function readSurveyResponses() {
-    try {
-        const data = await fs.readFile(RESPONSES_FILE, 'utf8');
-        const responses = JSON.parse(data);
-        console.log(`📊 Loaded ${responses.length} survey responses`);
-        return responses;
-    } catch (err) {
-        console.log('ℹ️  Survey responses file not found, creating empty array');
-        // Return empty array if file doesn't exist
-        return [];
-    }
-}
+        const invitation = resolved.invitation;
+        const refusal = invitation && Invitations.checkRetake(req.survey.responsePolicy,
+            Schedule.invitationUses(invitation, state.round && state.round.id), await lastInvitedSubmission(req.survey, invitation));
+        if (refusal) {
+            return res.status(409).json({ error: refusal });
+        }
+        const existing = await storage.getDraft(resolved.key);
+        if (existing && existing.surveyId !== req.survey.id) {
+            return res.status(404).json({ error: 'No saved draft' });
+        }
+        const now = new Date().toISOString();
+        const draft = await storage.saveDraft({
+            key: resolved.key,
+            surveyId: req.survey.id,
+            invitationId: invitation ? invitation.id : null,
+            userData: invitation ?
+                { name: invitation.name, email: invitation.email, employeeId: invitation.employeeId } :
+                userData,
+            intake: Intake.cleanValues(req.survey.intakeFields, intake),
+            answers,
+            currentQuestionId: currentQuestionId === undefined ? null : currentQuestionId,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        });
 
-// Helper function to write survey responses
-async function writeSurveyResponses(responses) {
-    try {
-        await fs.writeFile(RESPONSES_FILE, JSON.stringify(responses, null, 2), 'utf8');
-        console.log(`✅ Saved ${responses.length} survey responses to file`);
-        return true;
+        res.json({ resumeToken, ...Drafts.publicDraft(draft) });
     } catch (err) {
-        console.error('❌ Error writing survey responses:', err.message);
-        return false;
+        console.error('❌ Error saving draft:', err);
+        res.status(500).json({ error: 'Failed to save draft' });
     }
-}
-
-// Root route for testing
-app.get('/', (req, res) => {
-    console.log('🏠 Serving root page');
-    res.send(`
-        <h1>Survey Server is Running!</h1>
-        <p>Server time: ${new Date().toLocaleString()}</p>
-        <p><a href="/admin.html">Admin Panel</a></p>
-        <p><a href="/api/test">Test API</a></p>
-    `);
-});
-
-// Test API endpoint
-app.get('/api/test', (req, res) => {
-    console.log('🧪 API test endpoint hit');
-    res.json({ 
-        message: 'API is working!', 
-        timestamp: new Date().toISOString(),
-        endpoints: [
-            'GET /api/data',
-            'GET /api/survey-responses',
-            'POST /api/survey-responses',
-            'DELETE /api/survey-responses/:id'
-        ]
-    });
 });
 
-// Get current survey data
-app.get('/api/data', async (req, res) => {
-    console.log('📋 Getting survey data');
+// Throw a draft away and start over
+surveyRouter.delete('/drafts', async (req, res) => {
     try {
-        const data = await readData();
-        console.log(`📋 Returning ${data.questions.length} questions`);
-        res.json(data);
+        const resolved = await resolveDraftKey(req.survey, req.query);
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
+        const draft = await storage.getDraft(resolved.key);
+        if (!draft || draft.surveyId !== req.survey.id) {
+            return res.status(404).json({ error: 'No saved draft' });
+        }
+        await storage.deleteDraft(resolved.key);
+        res.json({ message: 'Draft deleted successfully' });
     } catch (err) {
-        console.error('❌ Failed to get survey data:', err);
-        res.status(500).json({ error: 'Failed to read data' });
+        console.error('❌ Error deleting draft:', err);
+        res.status(500).json({ error: 'Failed to delete draft' });
     }
 });
 
-// Get all survey responses - ENHANCED WITH DEBUG
-app.get('/api/survey-responses', async (req, res) => {
-    console.log('📊 ===== GET /api/survey-responses called =====');
-    console.log('📊 Request details:');
-    console.log('📊   Method:', req.method);
-    console.log('📊   URL:', req.url);
-    console.log('📊   Path:', req.path);
-    console.log('📊   Headers:', JSON.stringify(req.headers, null, 2));
-    
+// Unfinished responses: in progress, abandoned and where people stopped
+surveyRouter.get('/drafts/stats', requireRole('viewer'), async (req, res) => {
     try {
-        console.log('📊 Attempting to read survey responses...');
-        const responses = await readSurveyResponses();
-        console.log(`📊 Successfully loaded ${responses.length} survey responses`);
-        console.log('📊 Sending response...');
-        res.json(responses);
-        console.log('📊 Response sent successfully');
+        const drafts = await storage.listDrafts(req.survey.id);
+        res.json(Drafts.draftStats(drafts, Analytics.collectQuestions(req.survey.versions)));
     } catch (err) {
-        console.error('❌ Failed to read survey responses:', err);
-        console.error('❌ Error stack:', err.stack);
-        res.status(500).json({ error: 'Failed to read survey responses' });
+        console.error('❌ Error building draft statistics:', err);
+        res.status(500).json({ error: 'Failed to read drafts' });
     }
-    console.log('📊 ===== GET /api/survey-responses completed =====');
 });
 
+// What the survey page gets back for a saved submission
+// lastAttempt: the respondent's latest earlier submission, if any, which the
+// survey page compares the new score with
+function submissionResult(response, survey, lastAttempt) {
+    const classified = withBands(response, survey);
+    return {
+        message: 'Survey response saved successfully',
+        id: response.id,
+        totalScore: response.totalScore,
+        maxScore: response.maxScore,
+        percentage: response.percentage,
+        band: classified.band,
+        dimensionScores: classified.dimensionScores,
+        previousAttempt: lastAttempt ? {
+            percentage: lastAttempt.percentage,
+            timestamp: responseReceivedAt(lastAttempt),
+            round: Schedule.roundName(survey.schedule, lastAttempt.round),
+            change: Math.round((response.percentage - lastAttempt.percentage) * 10) / 10
+        } : null,
+        report: Reports.reportLinks(survey.id, response.id)
+    };
+}
+
+// The respondent's latest submission before the given one, from the survey's
+// stored submissions. Worked out the same way for a submission and its replays,
+// so they get the same result.
+function lastAttemptBefore(survey, responses, response) {
+    const receivedAt = String(responseReceivedAt(response) || '');
+    return responses
+        .filter(r => r.id !== response.id && String(responseReceivedAt(r) || '') <= receivedAt &&
+            Privacy.sameRespondentAs(r, response, survey.id))
+        .reduce((latest, r) => (!latest || String(responseReceivedAt(r) || '') >= String(responseReceivedAt(latest) || '') ? r : latest), null);
+}
+
+// Answer a retry of a submission that was saved already with the original's result
+async function replaySubmission(res, survey, response) {
+    console.log(`🔁 Submission ${response.id} was already saved - returning it again`);
+    const responses = await storage.listResponses(survey.id);
+    res.set('Idempotent-Replayed', 'true');
+    res.json(submissionResult(response, survey, lastAttemptBefore(survey, responses, response)));
+}
+
+// Clients generate one per submission (e.g. a UUID) and resend it with every retry
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// Clients send when the respondent finished, which for a submission queued
+// offline is earlier than it arrives. Allows a few minutes of clock skew.
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function isSubmissionTime(value) {
+    const time = new Date(value);
+    return typeof value === 'string' && !isNaN(time) && time.getTime() <= Date.now() + CLOCK_SKEW_MS;
+}
+
 // Save individual survey response - ENHANCED WITH DEBUG
-app.post('/api/survey-responses', async (req, res) => {
+// An Idempotency-Key header makes retries safe: a key seen before gets the
+// original submission's result back instead of a second submission.
+surveyRouter.post('/survey-responses', async (req, res) => {
     console.log('💾 ===== POST /api/survey-responses called =====');
     console.log('💾 Request details:');
     console.log('💾   Method:', req.method);
     console.log('💾   URL:', req.url);
+    console.log('💾   Survey:', req.survey.id);
     console.log('💾   Content-Type:', req.headers['content-type']);
-    console.log('💾   Body:', JSON.stringify(req.body, null, 2));
-    
+    console.log('💾   Body:', JSON.stringify(redactForLog(req.body, LOG_HIDDEN_FIELDS), null, 2));
+    // Anonymous surveys keep who responded out of the logs too
+    const anonymous = req.survey.privacyPolicy.anonymous;
+
     try {
-        const { userData, answers, totalScore, percentage, timestamp } = req.body;
-        
-        console.log(`💾 Processing response from: ${userData?.name} (${userData?.email})`);
-        
+        const { answers, timestamp, surveyVersion, inviteToken, resumeToken, locale } = req.body;
+        let userData = req.body.userData;
+
+        if (!anonymous) {
+            console.log(`💾 Processing response from: ${userData?.name} (${userData?.email})`);
+        }
+
+        const idempotencyKey = req.get('Idempotency-Key');
+        if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+            return res.status(400).json({ error: 'Idempotency-Key must be 8-100 letters, digits, "-" or "_"' });
+        }
+        if (timestamp !== undefined && !isSubmissionTime(timestamp)) {
+            console.log('❌ Invalid submission time');
+            return res.status(400).json({ error: 'timestamp must be a date and time such as 2024-05-31T09:30:00Z, not in the future' });
+        }
+        if (idempotencyKey) {
+            const earlier = await storage.findResponseByIdempotencyKey(req.survey.id, idempotencyKey);
+            if (earlier) {
+                return replaySubmission(res, req.survey, earlier);
+            }
+        }
+
+        if (req.survey.status === 'archived') {
+            console.log('❌ Survey is archived');
+            return res.status(409).json({ error: 'This survey is no longer accepting responses' });
+        }
+        // Outside the survey's schedule, or between its rounds
+        const state = Schedule.currentState(req.survey.schedule);
+        const unavailable = Schedule.availabilityError(state);
+        if (unavailable) {
+            console.log(`❌ ${unavailable}`);
+            return res.status(409).json({ error: unavailable });
+        }
+        const roundId = state.round ? state.round.id : undefined;
+
         // Validate required fields
-        if (!userData || !answers || totalScore === undefined || percentage === undefined) {
+        if ((!userData && !inviteToken) || !answers) {
             console.log('❌ Missing required fields in request');
             console.log('❌ Validation details:');
             console.log('❌   userData:', !!userData);
             console.log('❌   answers:', !!answers);
-            console.log('❌   totalScore:', totalScore);
-            console.log('❌   percentage:', percentage);
             return res.status(400).json({ error: 'Missing required fields' });
         }
+        // Retake limits find earlier submissions by employee ID, so one is needed without an invitation
+        if (!inviteToken) {
+            const employeeId = typeof userData === 'object' && userData !== null && typeof userData.employeeId === 'string' ?
+                userData.employeeId.trim() : '';
+            if (!employeeId) {
+                console.log('❌ Submission without an employee ID');
+                return res.status(400).json({ error: 'userData must include an employeeId' });
+            }
+            userData = { ...userData, employeeId };
+        }
 
-        // Read current responses
-        console.log('💾 Reading current responses...');
-        const responses = await readSurveyResponses();
-        console.log(`💾 Current response count: ${responses.length}`);
-        
-        // Create new response entry
-        const newResponse = {
-            id: Date.now(),
+        // Intake fields are asked of invited respondents too: invitations don't hold them
+        const intakeError = Intake.validateValues(req.survey.intakeFields, req.body.intake);
+        if (intakeError) {
+            console.log(`❌ Invalid intake answers: ${intakeError}`);
+            return res.status(400).json({ error: intakeError });
+        }
+
+        // Score against the version the respondent was shown. Someone who started
+        // before a new version was published still answered the older questions.
+        const version = (surveyVersion !== undefined && findVersion(req.survey, surveyVersion)) ||
+            latestVersion(req.survey);
+        if (!version) {
+            console.log('❌ Survey has no published version');
+            return res.status(409).json({ error: 'This survey has not been published yet' });
+        }
+
+        // Display rules about the respondent use the invitation's details when there is one
+        const invited = inviteToken ? await storage.getInvitation(String(inviteToken)) : null;
+        const respondent = invited && invited.surveyId === req.survey.id ?
+            { name: invited.name, email: invited.email, employeeId: invited.employeeId } :
+            userData || {};
+
+        // Only the questions the display rules showed count: answers to skipped
+        // questions are refused, and required/maximum scores cover the shown ones
+        const shown = Branching.visibleQuestions(version.questions, Branching.answerValues(answers), respondent);
+        const skipped = (Array.isArray(answers) ? answers : []).find(answer => answer &&
+            version.questions.some(q => q.id === answer.questionId) && !shown.some(q => q.id === answer.questionId));
+        if (skipped) {
+            console.log(`❌ Answer to skipped question ${skipped.questionId}`);
+            return res.status(400).json({ error: `Question ${skipped.questionId} is skipped by the survey's rules and can't be answered` });
+        }
+
+        // Scores sent by the client are ignored - recompute from the version's questions
+        const scored = Scoring.scoreAnswers(shown, answers, req.survey.dimensions);
+        if (scored.error) {
+            console.log(`❌ Invalid answers: ${scored.error}`);
+            return res.status(400).json({ error: scored.error });
+        }
+        const { totalScore, maxScore, percentage } = scored;
+
+        // With an invitation, the policy is checked here and again when the invitation is
+        // redeemed - atomically, after the submission is saved, so a retry doesn't use it up.
+        // Without one, it is checked against earlier submissions with the same employee ID
+        // when the submission is saved (below).
+        // With rounds, the number of submissions allowed is per round.
+        const policy = req.survey.responsePolicy;
+        let lastAt = null;
+        if (inviteToken) {
+            if (!invited || invited.surveyId !== req.survey.id) {
+                console.log('❌ Invitation refused: not found');
+                return res.status(404).json({ error: 'Invitation not found' });
+            }
+            lastAt = await lastInvitedSubmission(req.survey, invited);
+            const refusal = Invitations.checkRetake(policy, Schedule.invitationUses(invited, roundId), invited.completedAt || lastAt);
+            if (refusal) {
+                console.log(`❌ Invitation refused: ${refusal}`);
+                return res.status(409).json({ error: refusal });
+            }
+            // A used invitation to an anonymous survey no longer has the name and email
+            const sent = typeof req.body.userData === 'object' && req.body.userData !== null ? req.body.userData : {};
+            userData = { name: invited.name || sent.name, email: invited.email || sent.email, employeeId: invited.employeeId };
+        } else if (policy.requireInvitation) {
+            console.log('❌ Survey requires an invitation');
+            return res.status(403).json({ error: 'This survey can only be taken from an invitation link' });
+        }
+
+        // Create new response entry - the storage assigns its id
+        const receivedAt = new Date().toISOString();
+        const submission = {
+            surveyId: req.survey.id,
+            surveyVersion: version.version,
+            invitationId: invited ? invited.id : undefined,
+            idempotencyKey: idempotencyKey || undefined,
+            // The language the respondent saw; answers are stored in the default language
+            locale: I18n.surveyLocales(req.survey).includes(locale) ? locale : req.survey.defaultLocale,
+            round: roundId,
             userData,
-            answers,
+            intake: Intake.cleanValues(req.survey.intakeFields, req.body.intake),
+            answers: scored.answers,
             totalScore,
+            maxScore,
             percentage,
-            timestamp: timestamp || new Date().toISOString(),
+            dimensionScores: scored.dimensionScores,
+            timestamp: timestamp ? new Date(timestamp).toISOString() : receivedAt,
+            // When the server got it - retake waits count from here, not from the client's time
+            receivedAt,
             submittedAt: new Date().toLocaleString()
         };
+        if (anonymous) {
+            Privacy.anonymizeResponse(submission, req.survey.id);
+        }
+        // The respondent's earlier submissions are read in the same storage step that
+        // saves this one, so simultaneous submissions can't all pass the retake limit.
+        // They're also what the new score is compared with. The step isn't run for a
+        // retry that raced the original, which is saved already.
+        let existing = null;
+        let refusal = null;
+        const newResponse = await storage.addResponse(submission, responses => {
+            existing = responses;
+            if (invited) return true;
+            const previous = responses.filter(r => Privacy.sameRespondent(r, req.survey.id, userData.employeeId));
+            const inRound = previous.filter(r => !roundId || r.round === roundId);
+            refusal = Invitations.checkRetake(policy, inRound.length,
+                previous.length > 0 ? responseReceivedAt(previous[previous.length - 1]) : null);
+            return !refusal;
+        });
+        if (!newResponse) {
+            console.log(`❌ Submission refused: ${refusal}`);
+            return res.status(409).json({ error: refusal });
+        }
+        if (!existing) {
+            return replaySubmission(res, req.survey, newResponse);
+        }
 
-        // Add to responses array
-        responses.push(newResponse);
-        console.log(`📈 Added response (Score: ${totalScore}, Percentage: ${percentage}%)`);
-        console.log(`📈 New response count: ${responses.length}`);
+        // Redeem the invitation. Another submission through the same link may have got
+        // there first, and then this one is taken back.
+        let invitation = null;
+        if (invited) {
+            invitation = await storage.updateInvitation(invited.token, inv => {
+                refusal = Invitations.checkRetake(policy, Schedule.invitationUses(inv, roundId), inv.completedAt || lastAt);
+                if (refusal) return false;
+                Schedule.recordInvitationUse(inv, roundId);
+                if (anonymous) {
+                    Privacy.anonymizeInvitation(inv);
+                } else {
+                    inv.completedAt = receivedAt;
+                }
+                return true;
+            });
+            if (!invitation) {
+                await storage.deleteResponses(req.survey.id, [newResponse.id]);
+                console.log(`❌ Invitation refused: ${refusal || 'not found'}`);
+                return res.status(refusal ? 409 : 404).json({ error: refusal || 'Invitation not found' });
+            }
+        }
+        console.log(`📈 Added response ${newResponse.id} (Score: ${totalScore}, Percentage: ${percentage}%)`);
+        const submitted = withBands(newResponse, req.survey);
+        delete submitted.idempotencyKey;
+        webhooks.emit('response.submitted', req.survey, {
+            response: submitted,
+            report: Reports.reportLinks(req.survey.id, newResponse.id)
+        });
 
-        // Save updated responses
-        console.log('💾 Saving responses to file...');
-        const success = await writeSurveyResponses(responses);
-        
-        if (success) {
-            console.log('✅ Survey response saved successfully');
-            res.json({ message: 'Survey response saved successfully', id: newResponse.id });
-        } else {
-            console.log('❌ Failed to save survey response to file');
-            res.status(500).json({ error: 'Failed to save survey response' });
+        // The draft is done with. A resume token only counts if it belongs to this survey.
+        const draftKey = invitation ? Drafts.invitationDraftKey(invitation) :
+            Drafts.isResumeToken(resumeToken) ? resumeToken : null;
+        const draft = draftKey ? await storage.getDraft(draftKey) : null;
+        if (draft && draft.surveyId === req.survey.id) {
+            await storage.deleteDraft(draftKey);
         }
+
+        res.json(submissionResult(newResponse, req.survey, lastAttemptBefore(req.survey, existing, newResponse)));
     } catch (err) {
         console.error('❌ Error saving survey response:', err);
         console.error('❌ Error stack:', err.stack);
@@ -237,11 +2315,13 @@ app.post('/api/survey-responses', async (req, res) => {
     console.log('💾 ===== POST /api/survey-responses completed =====');
 });
 
-app.get('/api/survey-responses/:id', async (req, res) => {
+// Whether an employee ID has submitted - admins only, so respondents can't probe IDs
+surveyRouter.get('/survey-responses/:id', requireRole('viewer'), async (req, res) => {
     try {
         const employeeId = req.params.id;
-        const responses = JSON.parse(await fs.readFile(RESPONSES_FILE, 'utf-8') || '[]');
-        const taken = responses.some(r => r.userData.employeeId === employeeId);
+        // Anonymized submissions are filed under the employee ID's hash
+        const taken = await storage.hasEmployeeResponse(req.survey.id, employeeId) ||
+            await storage.hasEmployeeResponse(req.survey.id, Privacy.hashIdentity(req.survey.id, employeeId.trim()));
         res.json({ taken });
     } catch (err) {
         console.error(err);
@@ -249,30 +2329,27 @@ app.get('/api/survey-responses/:id', async (req, res) => {
     }
 });
 // Delete survey response
-app.delete('/api/survey-responses/:id', async (req, res) => {
+surveyRouter.delete('/survey-responses/:id', requireRole('owner'), async (req, res) => {
     console.log(`🗑️  Deleting survey response ID: ${req.params.id}`);
     try {
         const responseId = parseInt(req.params.id);
-        const responses = await readSurveyResponses();
-        
-        const responseIndex = responses.findIndex(r => r.id === responseId);
-        
-        if (responseIndex === -1) {
+        const trashed = await storage.trashResponses(req.survey.id, [responseId], {
+            deletedAt: new Date().toISOString(),
+            deletedBy: req.user.username
+        });
+
+        if (trashed.length === 0) {
             console.log('❌ Survey response not found');
             return res.status(404).json({ error: 'Survey response not found' });
         }
-        
-        const deletedResponse = responses[responseIndex];
-        responses.splice(responseIndex, 1);
-        const success = await writeSurveyResponses(responses);
-        
-        if (success) {
-            console.log(`✅ Deleted response from ${deletedResponse.userData.name}`);
-            res.json({ message: 'Survey response deleted successfully' });
-        } else {
-            console.log('❌ Failed to save after deletion');
-            res.status(500).json({ error: 'Failed to delete survey response' });
-        }
+
+        console.log(`✅ Moved response ${responseId} to the trash`);
+        await audit(req, 'response.deleted', {
+            target: responseTarget(trashed[0].item),
+            before: Audit.responseSummary(trashed[0].item)
+        });
+        webhooks.emit('response.deleted', req.survey, { responseIds: [responseId] }, req.user.username);
+        res.json({ message: 'Survey response deleted successfully', trashIds: trashed.map(e => e.id) });
     } catch (err) {
         console.error('❌ Error deleting survey response:', err);
         res.status(500).json({ error: 'Failed to delete survey response' });
@@ -280,46 +2357,122 @@ app.delete('/api/survey-responses/:id', async (req, res) => {
 });
 
 // Delete multiple survey responses
-app.delete('/api/survey-responses', async (req, res) => {
+surveyRouter.delete('/survey-responses', requireRole('owner'), async (req, res) => {
     console.log('🗑️  Deleting multiple survey responses');
     try {
         const responseIds = req.body.ids;
-        
+
         if (!Array.isArray(responseIds)) {
             console.log('❌ Invalid request format - ids should be array');
             return res.status(400).json({ error: 'Invalid request format' });
         }
-        
-        const responses = await readSurveyResponses();
-        const originalCount = responses.length;
-        const filteredResponses = responses.filter(r => !responseIds.includes(r.id));
-        
-        const success = await writeSurveyResponses(filteredResponses);
-        
-        if (success) {
-            const deletedCount = originalCount - filteredResponses.length;
-            console.log(`✅ Deleted ${deletedCount} survey responses`);
-            res.json({ message: 'Survey responses deleted successfully' });
-        } else {
-            console.log('❌ Failed to save after bulk deletion');
-            res.status(500).json({ error: 'Failed to delete survey responses' });
+
+        const trashed = await storage.trashResponses(req.survey.id, responseIds, {
+            deletedAt: new Date().toISOString(),
+            deletedBy: req.user.username
+        });
+        console.log(`✅ Moved ${trashed.length} survey responses to the trash`);
+        for (const entry of trashed) {
+            await audit(req, 'response.deleted', { target: responseTarget(entry.item), before: Audit.responseSummary(entry.item) });
+        }
+        if (trashed.length > 0) {
+            webhooks.emit('response.deleted', req.survey, { responseIds: trashed.map(e => e.itemId) }, req.user.username);
         }
+        res.json({ message: 'Survey responses deleted successfully', trashIds: trashed.map(e => e.id) });
     } catch (err) {
         console.error('❌ Error deleting survey responses:', err);
         res.status(500).json({ error: 'Failed to delete survey responses' });
     }
 });
 
-// Save complete survey data
-app.post('/api/data', async (req, res) => {
-    console.log('💾 Saving complete survey data');
+// A fresh signed link to a submission's report, for the admin panel
+surveyRouter.get('/reports/:responseId/link', requireRole('viewer'), async (req, res) => {
     try {
-        const success = await writeData(req.body);
-        if (success) {
-            res.json({ message: 'Data saved successfully' });
+        const responseId = parseInt(req.params.responseId, 10);
+        const response = (await storage.listResponses(req.survey.id)).find(r => r.id === responseId);
+        if (!response) {
+            return res.status(404).json({ error: 'Survey response not found' });
+        }
+        res.json(Reports.reportLinks(req.survey.id, response.id));
+    } catch (err) {
+        console.error('❌ Error creating report link:', err);
+        res.status(500).json({ error: 'Failed to create report link' });
+    }
+});
+
+// A submission's report as HTML, or as a PDF with &format=pdf.
+// No login: the link's signature (see reports.js) is the permission.
+surveyRouter.get('/reports/:responseId', async (req, res) => {
+    const format = req.query.format || 'html';
+    console.log(`📄 Report ${req.params.responseId} of ${req.survey.id} as ${format}`);
+    try {
+        if (!Reports.FORMATS[format]) {
+            return res.status(400).json({ error: `Unknown report format: ${format}` });
+        }
+        const responseId = parseInt(req.params.responseId, 10);
+        const linkError = Reports.checkReportLink(req.survey.id, responseId, req.query);
+        if (linkError) {
+            console.log(`🔒 ${linkError}`);
+            return res.status(403).json({ error: linkError });
+        }
+        const response = (await storage.listResponses(req.survey.id)).find(r => r.id === responseId);
+        if (!response) {
+            return res.status(404).json({ error: 'Survey response not found' });
+        }
+
+        // The questions of the version that was answered, in the language it was answered in
+        const version = findVersion(req.survey, responseVersion(response)) || latestVersion(req.survey);
+        const report = Reports.buildReport(req.survey, version ? version.questions : [], response,
+            responseLocale(response, req.survey));
+
+        res.setHeader('Content-Type', Reports.FORMATS[format]);
+        res.setHeader('Cache-Control', 'private, no-store');
+        if (format === 'pdf') {
+            res.setHeader('Content-Disposition', `attachment; filename="${req.survey.id}_report_${response.id}.pdf"`);
+            Reports.writePdf(res, report);
+        } else {
+            const pdfUrl = `${req.originalUrl.replace(/&format=[^&]*/, '')}&format=pdf`;
+            res.setHeader('Content-Security-Policy', Reports.CONTENT_SECURITY_POLICY);
+            res.send(Reports.renderHtml(report, pdfUrl));
+        }
+    } catch (err) {
+        console.error('❌ Error creating report:', err);
+        if (res.headersSent) {
+            res.end();
         } else {
-            res.status(500).json({ error: 'Failed to save data' });
+            res.status(500).json({ error: 'Failed to create report' });
+        }
+    }
+});
+
+// Save complete survey data
+surveyRouter.post('/data', requireRole('owner'), async (req, res) => {
+    console.log(`💾 Saving complete survey data for ${req.survey.id}`);
+    try {
+        // A missing question list is an error rather than a way to delete every question
+        const bands = req.body.bands || Scoring.bandsFromLegacyResponses(req.body.responses);
+        const questions = Array.isArray(req.body.questions) ?
+            req.body.questions.map(SurveySchema.prepareQuestion) :
+            req.body.questions;
+        let before = null;
+        const updated = await updateSurveyToTrash(req, survey => {
+            const errors = SurveySchema.validateDefinition({ ...survey, questions, bands });
+            if (errors.length > 0) {
+                return { errors };
+            }
+            before = { questions: survey.questions, bands: survey.bands };
+            survey.questions = questions;
+            survey.bands = Scoring.normalizeBands(bands);
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
         }
+        await audit(req, 'survey.replaced', {
+            target: surveyTarget(req.survey),
+            before,
+            after: { questions: req.survey.questions, bands: req.survey.bands }
+        });
+        res.json({ message: 'Data saved successfully', trashIds: updated.trashed.map(e => e.id) });
     } catch (err) {
         console.error('❌ Error saving complete data:', err);
         res.status(500).json({ error: 'Failed to save data' });
@@ -327,31 +2480,24 @@ app.post('/api/data', async (req, res) => {
 });
 
 // Add a new question
-app.post('/api/questions', async (req, res) => {
+surveyRouter.post('/questions', requireRole('editor'), async (req, res) => {
     console.log('➕ Adding new question');
     try {
-        const data = await readData();
-        const newQuestion = {
-            id: Date.now(),
-            text: req.body.text,
-            options: req.body.options || [
-                { text: 'Strongly aligns with me', score: 1 },
-                { text: 'Somewhat aligns with me', score: 2 },
-                { text: 'Neutral or unsure', score: 3 },
-                { text: 'Somewhat misaligned with me', score: 4 },
-                { text: 'Strongly misaligned with me', score: 5 }
-            ]
-        };
-        
-        data.questions.push(newQuestion);
-        const success = await writeData(data);
-        
-        if (success) {
-            console.log(`✅ Added question: "${newQuestion.text.substring(0, 50)}..."`);
-            res.json(newQuestion);
-        } else {
-            res.status(500).json({ error: 'Failed to save question' });
+        let newQuestion = null;
+        const updated = await updateSurvey(req, survey => {
+            // Single choice with the standard five options unless the body says otherwise.
+            // Questions added in the same millisecond get the next free id.
+            const id = Math.max(Date.now(), ...survey.questions.map(q => q.id + 1));
+            newQuestion = QuestionTypes.normalizeQuestion({ ...req.body, id });
+            survey.questions.push(newQuestion);
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
         }
+        console.log(`✅ Added question: "${newQuestion.text.substring(0, 50)}..."`);
+        await audit(req, 'question.created', { target: questionTarget(newQuestion), after: newQuestion });
+        webhooks.emit('question.created', req.survey, { question: newQuestion }, req.user.username);
+        res.json(newQuestion);
     } catch (err) {
         console.error('❌ Error adding question:', err);
         res.status(500).json({ error: 'Failed to add question' });
@@ -359,32 +2505,35 @@ app.post('/api/questions', async (req, res) => {
 });
 
 // Update a question
-app.put('/api/questions/:id', async (req, res) => {
+surveyRouter.put('/questions/:id', requireRole('editor'), async (req, res) => {
     console.log(`✏️  Updating question ID: ${req.params.id}`);
     try {
-        const data = await readData();
         const questionId = parseInt(req.params.id);
-        const questionIndex = data.questions.findIndex(q => q.id === questionId);
-        
-        if (questionIndex === -1) {
-            console.log('❌ Question not found');
-            return res.status(404).json({ error: 'Question not found' });
-        }
-        
-        data.questions[questionIndex] = {
-            ...data.questions[questionIndex],
-            text: req.body.text,
-            options: req.body.options || data.questions[questionIndex].options
-        };
-        
-        const success = await writeData(data);
-        
-        if (success) {
-            console.log('✅ Question updated successfully');
-            res.json(data.questions[questionIndex]);
-        } else {
-            res.status(500).json({ error: 'Failed to update question' });
+        let before = null;
+        let updatedQuestion = null;
+        // Later questions' rules may depend on this one's type and options,
+        // which the whole-survey validation of updateSurvey covers
+        const updated = await updateSurvey(req, survey => {
+            const questionIndex = survey.questions.findIndex(q => q.id === questionId);
+            if (questionIndex === -1) {
+                return { status: 404, error: 'Question not found' };
+            }
+            // Fields missing from the body keep their current values
+            before = survey.questions[questionIndex];
+            updatedQuestion = QuestionTypes.normalizeQuestion({
+                ...before,
+                ...req.body,
+                id: questionId
+            });
+            survey.questions[questionIndex] = updatedQuestion;
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
         }
+        console.log('✅ Question updated successfully');
+        await audit(req, 'question.updated', { target: questionTarget(updatedQuestion), before, after: updatedQuestion });
+        webhooks.emit('question.updated', req.survey, { question: updatedQuestion }, req.user.username);
+        res.json(updatedQuestion);
     } catch (err) {
         console.error('❌ Error updating question:', err);
         res.status(500).json({ error: 'Failed to update question' });
@@ -392,28 +2541,32 @@ app.put('/api/questions/:id', async (req, res) => {
 });
 
 // Delete a question
-app.delete('/api/questions/:id', async (req, res) => {
+surveyRouter.delete('/questions/:id', requireRole('editor'), async (req, res) => {
     console.log(`🗑️  Deleting question ID: ${req.params.id}`);
     try {
-        const data = await readData();
         const questionId = parseInt(req.params.id);
-        const questionIndex = data.questions.findIndex(q => q.id === questionId);
-        
-        if (questionIndex === -1) {
-            console.log('❌ Question not found');
-            return res.status(404).json({ error: 'Question not found' });
-        }
-        
-        const deletedQuestion = data.questions[questionIndex];
-        data.questions.splice(questionIndex, 1);
-        const success = await writeData(data);
-        
-        if (success) {
-            console.log(`✅ Deleted question: "${deletedQuestion.text.substring(0, 50)}..."`);
-            res.json({ message: 'Question deleted successfully' });
-        } else {
-            res.status(500).json({ error: 'Failed to delete question' });
+        let deletedQuestion = null;
+        const updated = await updateSurveyToTrash(req, survey => {
+            deletedQuestion = survey.questions.find(q => q.id === questionId);
+            if (!deletedQuestion) {
+                return { status: 404, error: 'Question not found' };
+            }
+            const dependents = Branching.dependentQuestions(survey.questions, [questionId]);
+            if (dependents.length > 0) {
+                return {
+                    status: 409,
+                    error: `Question ${dependents.join(', ')} has rules that use this question - change those rules first`
+                };
+            }
+            survey.questions = survey.questions.filter(q => q !== deletedQuestion);
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
         }
+        console.log(`✅ Moved question to the trash: "${deletedQuestion.text.substring(0, 50)}..."`);
+        await audit(req, 'question.deleted', { target: questionTarget(deletedQuestion), before: deletedQuestion });
+        webhooks.emit('question.deleted', req.survey, { questionIds: [deletedQuestion.id] }, req.user.username);
+        res.json({ message: 'Question deleted successfully', trashIds: updated.trashed.map(e => e.id) });
     } catch (err) {
         console.error('❌ Error deleting question:', err);
         res.status(500).json({ error: 'Failed to delete question' });
@@ -421,55 +2574,297 @@ app.delete('/api/questions/:id', async (req, res) => {
 });
 
 // Delete multiple questions
-app.delete('/api/questions', async (req, res) => {
+surveyRouter.delete('/questions', requireRole('editor'), async (req, res) => {
     console.log('🗑️  Deleting multiple questions');
     try {
-        const data = await readData();
         const questionIds = req.body.ids;
-        
+
         if (!Array.isArray(questionIds)) {
             console.log('❌ Invalid request format - ids should be array');
             return res.status(400).json({ error: 'Invalid request format' });
         }
-        
-        const originalCount = data.questions.length;
-        data.questions = data.questions.filter(q => !questionIds.includes(q.id));
-        const success = await writeData(data);
-        
-        if (success) {
-            const deletedCount = originalCount - data.questions.length;
-            console.log(`✅ Deleted ${deletedCount} questions`);
-            res.json({ message: 'Questions deleted successfully' });
-        } else {
-            res.status(500).json({ error: 'Failed to delete questions' });
+
+        const updated = await updateSurveyToTrash(req, survey => {
+            const dependents = Branching.dependentQuestions(survey.questions, questionIds);
+            if (dependents.length > 0) {
+                return {
+                    status: 409,
+                    error: `Question ${dependents.join(', ')} has rules that use these questions - change those rules first`
+                };
+            }
+            survey.questions = survey.questions.filter(q => !questionIds.includes(q.id));
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
         }
+        const trashed = updated.trashed;
+        console.log(`✅ Moved ${trashed.length} questions to the trash`);
+        for (const entry of trashed) {
+            await audit(req, 'question.deleted', { target: questionTarget(entry.item), before: entry.item });
+        }
+        if (trashed.length > 0) {
+            webhooks.emit('question.deleted', req.survey, { questionIds: trashed.map(e => e.itemId) }, req.user.username);
+        }
+        res.json({ message: 'Questions deleted successfully', trashIds: trashed.map(e => e.id) });
     } catch (err) {
         console.error('❌ Error deleting questions:', err);
         res.status(500).json({ error: 'Failed to delete questions' });
     }
 });
 
-// Update responses
-app.post('/api/responses', async (req, res) => {
+// Webhook events for the questions an import added, changed and removed
+function emitQuestionChanges(req, diff) {
+    const byId = new Map(req.survey.questions.map(q => [q.id, q]));
+    diff.questions.added.forEach(({ id }) => {
+        webhooks.emit('question.created', req.survey, { question: byId.get(id) }, req.user.username);
+    });
+    diff.questions.changed.forEach(({ id }) => {
+        webhooks.emit('question.updated', req.survey, { question: byId.get(id) }, req.user.username);
+    });
+    if (diff.questions.removed.length > 0) {
+        webhooks.emit('question.deleted', req.survey, { questionIds: diff.questions.removed.map(q => q.id) }, req.user.username);
+    }
+}
+
+// Download the survey definition (questions, bands, dimensions, policy and
+// translations) as JSON for importing elsewhere
+surveyRouter.get('/definition', requireRole('viewer'), (req, res) => {
+    console.log(`📦 Exporting definition of ${req.survey.id}`);
+    const filename = `${req.survey.id}_definition_${new Date().toISOString().split('T')[0]}.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(SurveyTransfer.exportDefinition(req.survey));
+});
+
+// Replace the survey definition with an exported one.
+// Body: { definition: <exported file>, dryRun } - a dry run only returns the diff.
+surveyRouter.post('/definition', requireRole('owner'), async (req, res) => {
+    console.log(`📦 Importing definition into ${req.survey.id}${req.body.dryRun ? ' (dry run)' : ''}`);
+    try {
+        const { definition, errors } = SurveyTransfer.readDefinition(req.body.definition);
+        if (errors) {
+            return sendSchemaErrors(res, errors);
+        }
+
+        const saltRefusal = survey => {
+            const saltError = definition.privacyPolicy.anonymous && !survey.privacyPolicy.anonymous && Privacy.saltError();
+            return saltError ? { status: 409, error: saltError } : null;
+        };
+        if (req.body.dryRun) {
+            const refusal = saltRefusal(req.survey);
+            if (refusal) {
+                return sendUpdateError(res, refusal);
+            }
+            const diff = SurveyTransfer.diffDefinitions(SurveySchema.pickDefinition(req.survey), definition);
+            return res.json({ dryRun: true, diff });
+        }
+
+        let before = null;
+        let diff = null;
+        const updated = await updateSurveyToTrash(req, survey => {
+            const refusal = saltRefusal(survey);
+            if (refusal) return refusal;
+            before = SurveySchema.pickDefinition(survey);
+            diff = SurveyTransfer.diffDefinitions(before, definition);
+            Object.assign(survey, definition);
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        console.log(`✅ Imported definition with ${definition.questions.length} questions`);
+        await audit(req, 'survey.imported', { target: surveyTarget(req.survey), before, after: definition });
+        emitQuestionChanges(req, diff);
+        res.json({ dryRun: false, diff, trashIds: updated.trashed.map(e => e.id) });
+    } catch (err) {
+        console.error('❌ Error importing survey definition:', err);
+        res.status(500).json({ error: 'Failed to import survey definition' });
+    }
+});
+
+// Download the draft questions as CSV
+surveyRouter.get('/questions/csv', requireRole('viewer'), (req, res) => {
+    console.log(`📦 Exporting questions of ${req.survey.id} as CSV`);
+    const filename = `${req.survey.id}_questions_${new Date().toISOString().split('T')[0]}.csv`;
+    const { headers, rows } = SurveyTransfer.questionsTable(req.survey.questions);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    Exporter.writeCsvTable(res, headers, rows);
+});
+
+// Replace the draft questions with the rows of a CSV.
+// Body: { csv, dryRun } - a dry run only returns the diff.
+surveyRouter.post('/questions/csv', requireRole('editor'), async (req, res) => {
+    console.log(`📦 Importing questions into ${req.survey.id}${req.body.dryRun ? ' (dry run)' : ''}`);
+    try {
+        // The rows are read against the survey they replace the questions of
+        const readRows = survey => {
+            const { questions, errors } = SurveyTransfer.readQuestionsCsv(req.body.csv, survey);
+            if (errors) return { errors };
+            const before = SurveySchema.pickDefinition(survey);
+            return { questions, before, diff: SurveyTransfer.diffDefinitions(before, { ...before, questions }) };
+        };
+        if (req.body.dryRun) {
+            const read = readRows(req.survey);
+            if (read.errors) {
+                return sendSchemaErrors(res, read.errors);
+            }
+            return res.json({ dryRun: true, diff: read.diff });
+        }
+
+        let read = null;
+        const updated = await updateSurveyToTrash(req, survey => {
+            read = readRows(survey);
+            if (read.errors) return { errors: read.errors };
+            survey.questions = read.questions;
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
+        }
+        const { questions, before, diff } = read;
+        console.log(`✅ Imported ${questions.length} questions from CSV`);
+        await audit(req, 'questions.imported', { target: surveyTarget(req.survey), before: before.questions, after: questions });
+        emitQuestionChanges(req, diff);
+        res.json({ dryRun: false, diff, trashIds: updated.trashed.map(e => e.id) });
+    } catch (err) {
+        console.error('❌ Error importing questions:', err);
+        res.status(500).json({ error: 'Failed to import questions' });
+    }
+});
+
+// Deleted questions and submissions of the survey, newest first
+surveyRouter.get('/trash', requireRole('viewer'), async (req, res) => {
+    try {
+        const entries = await storage.listTrash(req.survey.id);
+        res.json({
+            retentionDays: Trash.TRASH_RETENTION_DAYS,
+            entries: entries.map(Trash.publicTrashEntry)
+        });
+    } catch (err) {
+        console.error('❌ Error listing trash:', err);
+        res.status(500).json({ error: 'Failed to list trash' });
+    }
+});
+
+// Put trashed items back: { ids } of trash entries. Like deleting them,
+// restoring questions takes the editor role and submissions the owner role.
+surveyRouter.post('/trash/restore', requireRole('editor'), async (req, res) => {
+    console.log(`♻️  Restoring from the trash of ${req.survey.id}`);
+    try {
+        const ids = req.body.ids;
+        if (!Array.isArray(ids)) {
+            return res.status(400).json({ error: 'Invalid request format' });
+        }
+
+        const entries = (await storage.listTrash(req.survey.id)).filter(e => ids.includes(e.id));
+        if (entries.length === 0) {
+            return res.status(404).json({ error: 'Nothing to restore - the items may have been deleted permanently' });
+        }
+        const questionEntries = entries.filter(e => e.type === 'question');
+        const responseEntries = entries.filter(e => e.type === 'response');
+        if (responseEntries.length > 0 && !auth.hasRole(req.user.role, 'owner')) {
+            return res.status(403).json({ error: 'Restoring submissions requires the owner role' });
+        }
+
+        // Questions are checked like any other change: rules and dimensions
+        // they use may have changed while they were in the trash
+        if (questionEntries.length > 0) {
+            const updated = await updateSurvey(req, survey => {
+                const restored = Trash.restoreQuestions(survey.questions, questionEntries);
+                if (restored.error) {
+                    return { status: 409, error: restored.error };
+                }
+                survey.questions = restored.questions;
+            });
+            if (updated.error) {
+                return sendUpdateError(res, updated);
+            }
+            await storage.deleteTrash(req.survey.id, questionEntries.map(e => e.id));
+            for (const entry of questionEntries) {
+                await audit(req, 'question.restored', { target: questionTarget(entry.item), after: entry.item });
+                webhooks.emit('question.created', req.survey, { question: entry.item }, req.user.username);
+            }
+        }
+
+        const responses = responseEntries.length > 0 ?
+            await storage.restoreResponses(req.survey.id, responseEntries.map(e => e.id)) :
+            [];
+        for (const response of responses) {
+            await audit(req, 'response.restored', { target: responseTarget(response), after: Audit.responseSummary(response) });
+        }
+
+        console.log(`✅ Restored ${questionEntries.length} questions and ${responses.length} submissions`);
+        res.json({ questions: questionEntries.length, responses: responses.length });
+    } catch (err) {
+        console.error('❌ Error restoring from the trash:', err);
+        res.status(500).json({ error: 'Failed to restore from the trash' });
+    }
+});
+
+// Delete trashed items for good without waiting for the retention period: { ids }
+surveyRouter.delete('/trash', requireRole('owner'), async (req, res) => {
+    console.log(`🗑️  Emptying trash entries of ${req.survey.id}`);
+    try {
+        const ids = req.body.ids;
+        if (!Array.isArray(ids)) {
+            return res.status(400).json({ error: 'Invalid request format' });
+        }
+
+        const entries = (await storage.listTrash(req.survey.id)).filter(e => ids.includes(e.id));
+        const deletedCount = await storage.deleteTrash(req.survey.id, entries.map(e => e.id));
+        console.log(`✅ Permanently deleted ${deletedCount} trash entries`);
+        if (deletedCount > 0) {
+            await audit(req, 'trash.purged', {
+                target: { type: 'trash', id: null, label: `${deletedCount} items` },
+                before: entries.map(Trash.publicTrashEntry)
+            });
+        }
+        res.json({ deleted: deletedCount });
+    } catch (err) {
+        console.error('❌ Error emptying trash:', err);
+        res.status(500).json({ error: 'Failed to delete from the trash' });
+    }
+});
+
+// Update result texts by band id - kept for clients that still post { "1-20": text }
+surveyRouter.post('/responses', requireRole('editor'), async (req, res) => {
     console.log('💾 Updating response settings');
     try {
-        const data = await readData();
-        data.responses = { ...data.responses, ...req.body };
-        
-        const success = await writeData(data);
-        
-        if (success) {
-            console.log('✅ Response settings updated');
-            res.json({ message: 'Responses updated successfully' });
-        } else {
-            res.status(500).json({ error: 'Failed to update responses' });
+        let before = null;
+        const updated = await updateSurvey(req, survey => {
+            before = JSON.parse(JSON.stringify(survey.bands));
+            for (const [bandId, text] of Object.entries(req.body)) {
+                const band = survey.bands.find(b => b.id === bandId);
+                if (!band) {
+                    return { status: 400, error: `Unknown band: ${bandId}` };
+                }
+                if (typeof text !== 'string') {
+                    return { status: 400, error: `The text for band ${bandId} must be text` };
+                }
+                band.text = text;
+            }
+        });
+        if (updated.error) {
+            return sendUpdateError(res, updated);
         }
+        console.log('✅ Response settings updated');
+        await audit(req, 'bands.updated', { target: surveyTarget(req.survey), before, after: req.survey.bands });
+        res.json({ message: 'Responses updated successfully' });
     } catch (err) {
         console.error('❌ Error updating responses:', err);
         res.status(500).json({ error: 'Failed to update responses' });
     }
 });
 
+// Paths the pre-catalogue clients call directly under /api
+const LEGACY_SURVEY_PATHS = /^\/(data|questions|responses|survey-responses|policy|invitations|drafts|translations)(\/|$)/;
+
+app.use('/api/surveys/:surveyId', surveyRouter);
+app.use('/api', (req, res, next) => {
+    if (!LEGACY_SURVEY_PATHS.test(req.path)) {
+        return next();
+    }
+    surveyRouter(req, res, next);
+});
+
 // Catch-all route for debugging missing routes
 app.use('*', (req, res) => {
     console.log(`❓ 404 - Route not found: ${req.method} ${req.originalUrl}`);
@@ -480,46 +2875,125 @@ app.use('*', (req, res) => {
         availableRoutes: [
             'GET /',
             'GET /api/test',
-            'GET /api/data',
-            'GET /api/survey-responses',
-            'POST /api/survey-responses',
-            'DELETE /api/survey-responses/:id'
+            'GET /api/surveys',
+            'POST /api/surveys',
+            'GET /api/surveys/:surveyId',
+            'GET /api/surveys/:surveyId/survey-responses',
+            'POST /api/surveys/:surveyId/survey-responses',
+            'DELETE /api/surveys/:surveyId/survey-responses/:id'
         ]
     });
 });
 
-app.listen(PORT, () => {
+// The first owner account comes from ADMIN_USERNAME / ADMIN_PASSWORD
+// (or `npm run create-admin`) - there is no default password
+async function bootstrapOwner() {
+    const users = await auth.readUsers();
+    if (users.length > 0) {
+        console.log(`✅ ${users.length} admin account(s) configured`);
+        return;
+    }
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+        console.log('⚠️  No admin accounts - set ADMIN_USERNAME and ADMIN_PASSWORD or run `npm run create-admin`');
+        return;
+    }
+    await auth.createUser(users, ADMIN_USERNAME, ADMIN_PASSWORD, 'owner');
+    if (!(await auth.writeUsers(users))) {
+        throw new Error('the users file could not be written');
+    }
+    console.log(`✅ Created owner account "${ADMIN_USERNAME}"`);
+}
+
+// The owner account is set up before any request is taken, and the server
+// doesn't start without it
+bootstrapOwner()
+    .then(() => app.listen(PORT, onListening))
+    .catch(err => {
+        console.error('❌ Failed to set up the owner account:', err.message);
+        process.exit(1);
+    });
+
+function onListening() {
     console.log('🚀 ================================');
     console.log(`🚀 Server running at http://localhost:${PORT}`);
     console.log(`🚀 Admin panel: http://localhost:${PORT}/admin.html`);
     console.log(`🚀 Survey form: http://localhost:${PORT}`);
     console.log('🚀 ================================');
+    console.log(`📁 Storage: ${storage.type} (set STORAGE=json or STORAGE=sqlite)`);
     console.log('📁 Files in use:');
-    console.log('📁 - data.json (survey questions & response settings)');
-    console.log('📁 - responses.json (individual survey submissions)');
+    if (storage.type === 'json') {
+        console.log('📁 - data.json (survey catalogue: questions & response settings per survey)');
+        console.log('📁 - responses.json (individual survey submissions)');
+        console.log('📁 - invitations.json (invitation links)');
+        console.log('📁 - drafts.json (unfinished submissions)');
+        console.log('📁 - webhooks.json, webhook-deliveries.json (webhook subscriptions and delivery log)');
+        console.log('📁 - audit-log.json (who changed what), trash.json (deleted questions and submissions)');
+    } else {
+        console.log(`📁 - ${path.basename(storage.file)} (surveys, submissions, invitations, drafts, webhooks, audit log and trash)`);
+    }
+    console.log('📁 - users.json (admin accounts)');
     console.log('🚀 ================================');
     console.log('🔗 API Endpoints:');
     console.log('🔗 - GET    /api/test (test endpoint)');
-    console.log('🔗 - GET    /api/data');
-    console.log('🔗 - GET    /api/survey-responses');
-    console.log('🔗 - POST   /api/survey-responses');
-    console.log('🔗 - DELETE /api/survey-responses/:id');
-    console.log('🔗 - POST   /api/questions');
-    console.log('🔗 - PUT    /api/questions/:id');
-    console.log('🔗 - DELETE /api/questions/:id');
+    console.log('🔗 - POST   /api/auth/login');
+    console.log('🔗 - POST   /api/auth/logout');
+    console.log('🔗 - GET    /api/users (owner)');
+    console.log('🔗 - GET    /api/webhooks (owner)');
+    console.log('🔗 - POST   /api/webhooks (owner)');
+    console.log('🔗 - GET    /api/webhooks/deliveries (owner)');
+    console.log('🔗 - GET    /api/audit (owner)');
+    console.log('🔗 - POST   /api/privacy/export (owner)');
+    console.log('🔗 - POST   /api/privacy/erase (owner)');
+    console.log('🔗 - GET    /api/surveys');
+    console.log('🔗 - POST   /api/surveys');
+    console.log('🔗 - GET    /api/surveys/:surveyId?locale=fr,en');
+    console.log('🔗 - POST   /api/surveys/:surveyId/clone');
+    console.log('🔗 - POST   /api/surveys/:surveyId/publish');
+    console.log('🔗 - GET    /api/surveys/:surveyId/versions');
+    console.log('🔗 - GET    /api/surveys/:surveyId/analytics');
+    console.log('🔗 - GET    /api/surveys/:surveyId/export?format=csv|xlsx|ndjson');
+    console.log('🔗 - POST   /api/surveys/:surveyId/archive');
+    console.log('🔗 - PUT    /api/surveys/:surveyId/policy');
+    console.log('🔗 - PUT    /api/surveys/:surveyId/privacy (owner)');
+    console.log('🔗 - GET    /api/surveys/:surveyId/translations');
+    console.log('🔗 - PUT    /api/surveys/:surveyId/translations/:locale');
+    console.log('🔗 - GET    /api/surveys/:surveyId/invitations');
+    console.log('🔗 - POST   /api/surveys/:surveyId/invitations (roster CSV)');
+    console.log('🔗 - GET    /api/surveys/:surveyId/invitations/:token');
+    console.log('🔗 - GET    /api/surveys/:surveyId/drafts?invite=|resume=');
+    console.log('🔗 - PUT    /api/surveys/:surveyId/drafts (autosave)');
+    console.log('🔗 - GET    /api/surveys/:surveyId/drafts/stats');
+    console.log('🔗 - GET    /api/surveys/:surveyId/survey-responses');
+    console.log('🔗 - POST   /api/surveys/:surveyId/survey-responses');
+    console.log('🔗 - DELETE /api/surveys/:surveyId/survey-responses/:id (to the trash)');
+    console.log('🔗 - GET    /api/surveys/:surveyId/trash');
+    console.log('🔗 - POST   /api/surveys/:surveyId/trash/restore');
+    console.log('🔗 - DELETE /api/surveys/:surveyId/trash');
+    console.log('🔗 - GET    /api/surveys/:surveyId/reports/:id?expires=&signature=&format=html|pdf');
+    console.log('🔗 - GET    /api/surveys/:surveyId/reports/:id/link');
+    console.log('🔗 - POST   /api/surveys/:surveyId/questions');
+    console.log('🔗 - PUT    /api/surveys/:surveyId/questions/:id');
+    console.log('🔗 - DELETE /api/surveys/:surveyId/questions/:id');
+    console.log('🔗 - GET    /api/surveys/:surveyId/questions/csv');
+    console.log('🔗 - POST   /api/surveys/:surveyId/questions/csv (import, dryRun)');
+    console.log('🔗 - GET    /api/surveys/:surveyId/definition');
+    console.log('🔗 - POST   /api/surveys/:surveyId/definition (import, dryRun)');
+    console.log('🔗 - (legacy /api/data, /api/questions, ... act on the default survey)');
     console.log('🚀 ================================');
     
     // Test if files exist
     const testFiles = async () => {
+        if (storage.type !== 'json') return;
         try {
-            await fs.access(DATA_FILE);
+            await fs.access(storage.dataFile);
             console.log('✅ data.json found');
         } catch {
             console.log('⚠️  data.json not found - will be created when needed');
         }
         
         try {
-            await fs.access(RESPONSES_FILE);
+            await fs.access(storage.responsesFile);
             console.log('✅ responses.json found');
         } catch {
             console.log('⚠️  responses.json not found - will be created when first response is saved');
@@ -527,6 +3001,53 @@ app.listen(PORT, () => {
     };
     
     testFiles();
-    
+
+    // Delete drafts nobody has touched for DRAFT_EXPIRY_DAYS, now and every hour
+    const expireDrafts = async () => {
+        try {
+            const deleted = await storage.deleteDraftsBefore(Drafts.expiryCutoff());
+            if (deleted > 0) {
+                console.log(`🧹 Deleted ${deleted} expired draft(s)`);
+            }
+        } catch (err) {
+            console.error('❌ Failed to delete expired drafts:', err.message);
+        }
+    };
+    expireDrafts();
+    setInterval(expireDrafts, 60 * 60 * 1000).unref();
+
+    // Trashed questions and submissions older than TRASH_RETENTION_DAYS go for good
+    const purgeTrash = async () => {
+        try {
+            const deleted = await storage.deleteTrashBefore(Trash.purgeCutoff());
+            if (deleted > 0) {
+                console.log(`🧹 Permanently deleted ${deleted} trash entries older than ${Trash.TRASH_RETENTION_DAYS} days`);
+            }
+        } catch (err) {
+            console.error('❌ Failed to purge the trash:', err.message);
+        }
+    };
+    purgeTrash();
+    setInterval(purgeTrash, 60 * 60 * 1000).unref();
+
+    // Submissions past their survey's retention period are anonymized or deleted
+    const applyRetentionPolicies = async () => {
+        try {
+            for (const survey of await storage.listSurveys()) {
+                const count = await applyRetention(survey);
+                if (count > 0) {
+                    console.log(`🔏 Retention: ${survey.privacyPolicy.retentionAction === 'delete' ? 'deleted' : 'anonymized'} ${count} submission(s) of ${survey.id}`);
+                }
+            }
+        } catch (err) {
+            console.error('❌ Failed to apply retention policies:', err.message);
+        }
+    };
+    applyRetentionPolicies();
+    setInterval(applyRetentionPolicies, 60 * 60 * 1000).unref();
+
+    // Webhook deliveries queued before a restart go out now
+    webhooks.start();
+
     console.log('🔍 Debug mode enabled - all requests will be logged');
-});
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,513 @@
+// JSON file storage: surveys in data.json, submissions in responses.json,
+// invitations in invitations.json, unfinished submissions in drafts.json,
+// webhook subscriptions in webhooks.json, their delivery queue and log in
+// webhook-deliveries.json, the audit log in audit-log.json and deleted
+// questions and submissions in trash.json
+// Writes go through one queue so concurrent requests can't overwrite each
+// other's changes, and each file is replaced atomically (write a temp file,
+// flush it, rename it over the old one) so a crash never leaves half a file.
+const fs = require('fs').promises;
+const { normalizeData, responseSurveyId, responseEmployeeKey } = require('./storage');
+
+async function readJson(file, fallback) {
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return fallback;
+        throw err;
+    }
+    // A corrupt file is an error, not an empty one - overwriting it would lose data
+    return JSON.parse(text);
+}
+
+async function writeJsonAtomic(file, value) {
+    const tmpFile = `${file}.tmp`;
+    const handle = await fs.open(tmpFile, 'w');
+    try {
+        await handle.writeFile(JSON.stringify(value, null, 2), 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tmpFile, file);
+}
+
+function nextId(items) {
+    return items.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+}
+
+function createJsonStorage({ dataFile, responsesFile, invitationsFile, draftsFile, webhooksFile, deliveriesFile, auditFile, trashFile }) {
+    let queue = Promise.resolve();
+
+    // Run read-modify-write tasks one at a time, in the order they were requested
+    function serialize(task) {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function readData() {
+        return normalizeData(await readJson(dataFile, { surveys: [] }));
+    }
+
+    async function readResponses() {
+        return readJson(responsesFile, []);
+    }
+
+    async function readInvitations() {
+        return readJson(invitationsFile, []);
+    }
+
+    async function readDrafts() {
+        return readJson(draftsFile, []);
+    }
+
+    async function readWebhooks() {
+        return readJson(webhooksFile, []);
+    }
+
+    async function readDeliveries() {
+        return readJson(deliveriesFile, []);
+    }
+
+    async function readAudit() {
+        return readJson(auditFile, []);
+    }
+
+    async function readTrash() {
+        return readJson(trashFile, []);
+    }
+
+    // Replace the item with the same id in a file; resolves to false when there is none
+    function replaceById(file, read, item) {
+        return serialize(async () => {
+            const items = await read();
+            const index = items.findIndex(i => i.id === item.id);
+            if (index === -1) {
+                return false;
+            }
+            items[index] = item;
+            await writeJsonAtomic(file, items);
+            return true;
+        });
+    }
+
+    // Run update(item) on the items of a file that pass `filter`; items it
+    // returns true for were changed and are saved. Resolves to those items.
+    function updateWhere(file, read, filter, update) {
+        return serialize(async () => {
+            const items = await read();
+            const updated = items.filter(filter).filter(item => update(item));
+            if (updated.length > 0) {
+                await writeJsonAtomic(file, items);
+            }
+            return updated;
+        });
+    }
+
+    return {
+        type: 'json',
+        dataFile,
+        responsesFile,
+        invitationsFile,
+        draftsFile,
+        webhooksFile,
+        deliveriesFile,
+        auditFile,
+        trashFile,
+
+        async listSurveys() {
+            return (await readData()).surveys;
+        },
+
+        async getSurvey(id) {
+            return (await readData()).surveys.find(s => s.id === id) || null;
+        },
+
+        saveSurvey(survey) {
+            return serialize(async () => {
+                const data = await readData();
+                const index = data.surveys.findIndex(s => s.id === survey.id);
+                if (index === -1) {
+                    data.surveys.push(survey);
+                } else {
+                    data.surveys[index] = survey;
+                }
+                await writeJsonAtomic(dataFile, data);
+                console.log('✅ Data file saved successfully');
+                return true;
+            }).catch(err => {
+                console.error('❌ Error writing data:', err.message);
+                return false;
+            });
+        },
+
+        updateSurvey(id, update) {
+            return serialize(async () => {
+                const data = await readData();
+                const survey = data.surveys.find(s => s.id === id);
+                if (!survey || !update(survey)) {
+                    return null;
+                }
+                await writeJsonAtomic(dataFile, data);
+                return survey;
+            });
+        },
+
+        async listResponses(surveyId) {
+            return (await readResponses()).filter(r => responseSurveyId(r) === surveyId);
+        },
+
+        async countResponses() {
+            const counts = {};
+            (await readResponses()).forEach(r => {
+                const surveyId = responseSurveyId(r);
+                counts[surveyId] = (counts[surveyId] || 0) + 1;
+            });
+            return counts;
+        },
+
+        async hasEmployeeResponse(surveyId, employeeId) {
+            return (await readResponses())
+                .some(r => responseSurveyId(r) === surveyId && responseEmployeeKey(r) === employeeId);
+        },
+
+        async findResponseByIdempotencyKey(surveyId, key) {
+            return (await readResponses())
+                .find(r => responseSurveyId(r) === surveyId && r.idempotencyKey === key) || null;
+        },
+
+        // Ids count up from the highest one in the file or the trash, so a restored
+        // submission gets its id back; older submissions used Date.now()
+        addResponse(response, accept = () => true) {
+            return serialize(async () => {
+                const responses = await readResponses();
+                const duplicate = response.idempotencyKey && responses.find(r =>
+                    responseSurveyId(r) === response.surveyId && r.idempotencyKey === response.idempotencyKey);
+                if (duplicate) {
+                    return duplicate;
+                }
+                if (!accept(responses.filter(r => responseSurveyId(r) === response.surveyId))) {
+                    return null;
+                }
+                const trashed = (await readTrash()).filter(e => e.type === 'response').map(e => e.item);
+                const saved = { ...response, id: nextId(responses.concat(trashed)) };
+                responses.push(saved);
+                await writeJsonAtomic(responsesFile, responses);
+                console.log(`✅ Saved ${responses.length} survey responses to file`);
+                return saved;
+            });
+        },
+
+        deleteResponses(surveyId, ids) {
+            return serialize(async () => {
+                const responses = await readResponses();
+                const remaining = responses.filter(r => !(responseSurveyId(r) === surveyId && ids.includes(r.id)));
+                const deletedCount = responses.length - remaining.length;
+                if (deletedCount > 0) {
+                    await writeJsonAtomic(responsesFile, remaining);
+                }
+                return deletedCount;
+            });
+        },
+
+        updateResponses(surveyId, update) {
+            return updateWhere(responsesFile, readResponses, r => responseSurveyId(r) === surveyId, update);
+        },
+
+        async listInvitations(surveyId) {
+            return (await readInvitations()).filter(inv => inv.surveyId === surveyId);
+        },
+
+        async getInvitation(token) {
+            return (await readInvitations()).find(inv => inv.token === token) || null;
+        },
+
+        addInvitations(invitations) {
+            return serialize(async () => {
+                const existing = await readInvitations();
+                const firstId = nextId(existing);
+                const saved = invitations.map((inv, i) => ({ ...inv, id: firstId + i }));
+                await writeJsonAtomic(invitationsFile, existing.concat(saved));
+                return saved;
+            });
+        },
+
+        updateInvitation(token, update) {
+            return serialize(async () => {
+                const invitations = await readInvitations();
+                const invitation = invitations.find(inv => inv.token === token);
+                if (!invitation || !update(invitation)) {
+                    return null;
+                }
+                await writeJsonAtomic(invitationsFile, invitations);
+                return invitation;
+            });
+        },
+
+        deleteInvitation(surveyId, id) {
+            return serialize(async () => {
+                const invitations = await readInvitations();
+                const remaining = invitations.filter(inv => !(inv.surveyId === surveyId && inv.id === id));
+                if (remaining.length === invitations.length) {
+                    return false;
+                }
+                await writeJsonAtomic(invitationsFile, remaining);
+                return true;
+            });
+        },
+
+        async listDrafts(surveyId) {
+            return (await readDrafts()).filter(d => d.surveyId === surveyId);
+        },
+
+        async getDraft(key) {
+            return (await readDrafts()).find(d => d.key === key) || null;
+        },
+
+        saveDraft(draft) {
+            return serialize(async () => {
+                const drafts = await readDrafts();
+                const index = drafts.findIndex(d => d.key === draft.key);
+                if (index === -1) {
+                    drafts.push(draft);
+                } else {
+                    drafts[index] = draft;
+                }
+                await writeJsonAtomic(draftsFile, drafts);
+                return draft;
+            });
+        },
+
+        deleteDraft(key) {
+            return serialize(async () => {
+                const drafts = await readDrafts();
+                const remaining = drafts.filter(d => d.key !== key);
+                if (remaining.length === drafts.length) {
+                    return false;
+                }
+                await writeJsonAtomic(draftsFile, remaining);
+                return true;
+            });
+        },
+
+        deleteDraftsBefore(updatedBefore) {
+            return serialize(async () => {
+                const drafts = await readDrafts();
+                const remaining = drafts.filter(d => d.updatedAt >= updatedBefore);
+                if (remaining.length < drafts.length) {
+                    await writeJsonAtomic(draftsFile, remaining);
+                }
+                return drafts.length - remaining.length;
+            });
+        },
+
+        async listWebhooks() {
+            return readWebhooks();
+        },
+
+        addWebhook(webhook) {
+            return serialize(async () => {
+                const webhooks = await readWebhooks();
+                const saved = { ...webhook, id: nextId(webhooks) };
+                webhooks.push(saved);
+                await writeJsonAtomic(webhooksFile, webhooks);
+                return saved;
+            });
+        },
+
+        async saveWebhook(webhook) {
+            await replaceById(webhooksFile, readWebhooks, webhook);
+            return webhook;
+        },
+
+        deleteWebhook(id) {
+            return serialize(async () => {
+                const webhooks = await readWebhooks();
+                const remaining = webhooks.filter(w => w.id !== id);
+                if (remaining.length === webhooks.length) {
+                    return false;
+                }
+                await writeJsonAtomic(webhooksFile, remaining);
+                return true;
+            });
+        },
+
+        async listDeliveries({ webhookId, status, limit } = {}) {
+            const deliveries = (await readDeliveries())
+                .filter(d => (webhookId === undefined || d.webhookId === webhookId) && (!status || d.status === status))
+                .reverse();
+            return limit ? deliveries.slice(0, limit) : deliveries;
+        },
+
+        async getDelivery(id) {
+            return (await readDeliveries()).find(d => d.id === id) || null;
+        },
+
+        addDeliveries(deliveries) {
+            return serialize(async () => {
+                const existing = await readDeliveries();
+                const firstId = nextId(existing);
+                const saved = deliveries.map((d, i) => ({ ...d, id: firstId + i }));
+                await writeJsonAtomic(deliveriesFile, existing.concat(saved));
+                return saved;
+            });
+        },
+
+        async saveDelivery(delivery) {
+            await replaceById(deliveriesFile, readDeliveries, delivery);
+            return delivery;
+        },
+
+        async listDueDeliveries(now) {
+            return (await readDeliveries()).filter(d => d.status === 'pending' && d.nextAttemptAt <= now);
+        },
+
+        async nextDeliveryAt() {
+            const pending = (await readDeliveries()).filter(d => d.status === 'pending').map(d => d.nextAttemptAt);
+            return pending.length > 0 ? pending.sort()[0] : null;
+        },
+
+        deleteDeliveriesBefore(createdBefore) {
+            return serialize(async () => {
+                const deliveries = await readDeliveries();
+                const remaining = deliveries.filter(d => d.status === 'pending' || d.createdAt >= createdBefore);
+                if (remaining.length < deliveries.length) {
+                    await writeJsonAtomic(deliveriesFile, remaining);
+                }
+                return deliveries.length - remaining.length;
+            });
+        },
+
+        addAuditEntry(entry) {
+            return serialize(async () => {
+                const entries = await readAudit();
+                const saved = { ...entry, id: nextId(entries) };
+                entries.push(saved);
+                await writeJsonAtomic(auditFile, entries);
+                return saved;
+            });
+        },
+
+        async listAuditEntries({ surveyId, actor, action, from, to, before, limit } = {}) {
+            const entries = (await readAudit())
+                .filter(e => (surveyId === undefined || e.surveyId === surveyId) &&
+                    (!actor || e.actor === actor) &&
+                    (!action || e.action === action) &&
+                    (!from || e.at >= from) &&
+                    (!to || e.at < to) &&
+                    (!before || e.id < before))
+                .reverse();
+            return limit ? entries.slice(0, limit) : entries;
+        },
+
+        async updateAuditEntries(update) {
+            return (await updateWhere(auditFile, readAudit, () => true, update)).length;
+        },
+
+        async listTrash(surveyId) {
+            return (await readTrash()).filter(e => e.surveyId === surveyId).reverse();
+        },
+
+        addTrash(entries) {
+            return serialize(async () => {
+                const existing = await readTrash();
+                const firstId = nextId(existing);
+                const saved = entries.map((e, i) => ({ ...e, id: firstId + i }));
+                await writeJsonAtomic(trashFile, existing.concat(saved));
+                return saved;
+            });
+        },
+
+        // The trash is written first: a crash in between leaves a submission in
+        // both files rather than in neither
+        trashResponses(surveyId, ids, { deletedAt, deletedBy }) {
+            return serialize(async () => {
+                const responses = await readResponses();
+                const isTarget = r => responseSurveyId(r) === surveyId && ids.includes(r.id);
+                const targets = responses.filter(isTarget);
+                if (targets.length === 0) {
+                    return [];
+                }
+                const trash = await readTrash();
+                const firstId = nextId(trash);
+                const saved = targets.map((r, i) => ({
+                    id: firstId + i,
+                    type: 'response',
+                    surveyId,
+                    itemId: r.id,
+                    item: r,
+                    deletedAt,
+                    deletedBy
+                }));
+                await writeJsonAtomic(trashFile, trash.concat(saved));
+                await writeJsonAtomic(responsesFile, responses.filter(r => !isTarget(r)));
+                return saved;
+            });
+        },
+
+        // Submissions go back in id order. A restored submission loses its
+        // idempotency key when a newer one uses it.
+        restoreResponses(surveyId, trashIds) {
+            return serialize(async () => {
+                const trash = await readTrash();
+                const isTarget = e => e.surveyId === surveyId && e.type === 'response' && trashIds.includes(e.id);
+                const targets = trash.filter(isTarget);
+                if (targets.length === 0) {
+                    return [];
+                }
+                const responses = await readResponses();
+                const restored = [];
+                targets.forEach(entry => {
+                    // Already back after a crash between the two writes below
+                    if (responses.some(r => r.id === entry.itemId)) return;
+                    const response = { ...entry.item };
+                    if (response.idempotencyKey && responses.some(r =>
+                        responseSurveyId(r) === surveyId && r.idempotencyKey === response.idempotencyKey)) {
+                        delete response.idempotencyKey;
+                    }
+                    const index = responses.findIndex(r => r.id > response.id);
+                    responses.splice(index === -1 ? responses.length : index, 0, response);
+                    restored.push(response);
+                });
+                await writeJsonAtomic(responsesFile, responses);
+                await writeJsonAtomic(trashFile, trash.filter(e => !isTarget(e)));
+                return restored;
+            });
+        },
+
+        updateTrash(surveyId, update) {
+            return updateWhere(trashFile, readTrash, e => e.surveyId === surveyId, update);
+        },
+
+        deleteTrash(surveyId, ids) {
+            return serialize(async () => {
+                const trash = await readTrash();
+                const remaining = trash.filter(e => !(e.surveyId === surveyId && ids.includes(e.id)));
+                if (remaining.length < trash.length) {
+                    await writeJsonAtomic(trashFile, remaining);
+                }
+                return trash.length - remaining.length;
+            });
+        },
+
+        deleteTrashBefore(deletedBefore) {
+            return serialize(async () => {
+                const trash = await readTrash();
+                const remaining = trash.filter(e => e.deletedAt >= deletedBefore);
+                if (remaining.length < trash.length) {
+                    await writeJsonAtomic(trashFile, remaining);
+                }
+                return trash.length - remaining.length;
+            });
+        },
+
+        // Wait for queued writes to finish
+        close() {
+            return queue;
+        }
+    };
+}
+
+module.exports = { createJsonStorage };
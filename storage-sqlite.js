@@ -0,0 +1,654 @@
+// SQLite storage (better-sqlite3)
+// Survey definitions are stored as JSON documents; submissions get their own
+// rows with an autoincrement id and indexed survey / employee columns.
+const Database = require('better-sqlite3');
+const { normalizeSurvey, responseEmployeeKey } = require('./storage');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS surveys (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL DEFAULT 'active',
+        updated_at TEXT,
+        definition TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS responses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        survey_id TEXT NOT NULL,
+        employee_id TEXT,
+        created_at TEXT,
+        idempotency_key TEXT,
+        data TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_responses_survey ON responses (survey_id, id);
+    CREATE INDEX IF NOT EXISTS idx_responses_employee ON responses (survey_id, employee_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_responses_idempotency ON responses (survey_id, idempotency_key)
+        WHERE idempotency_key IS NOT NULL;
+
+    CREATE TABLE IF NOT EXISTS invitations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token TEXT NOT NULL UNIQUE,
+        survey_id TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_invitations_survey ON invitations (survey_id, id);
+
+    CREATE TABLE IF NOT EXISTS drafts (
+        key TEXT PRIMARY KEY,
+        survey_id TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_drafts_survey ON drafts (survey_id);
+    CREATE INDEX IF NOT EXISTS idx_drafts_updated ON drafts (updated_at);
+
+    CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        next_attempt_at TEXT,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_deliveries_webhook ON webhook_deliveries (webhook_id, id);
+    CREATE INDEX IF NOT EXISTS idx_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        at TEXT NOT NULL,
+        actor TEXT,
+        action TEXT NOT NULL,
+        survey_id TEXT,
+        data TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_survey ON audit_log (survey_id, id);
+    CREATE INDEX IF NOT EXISTS idx_audit_at ON audit_log (at);
+
+    CREATE TABLE IF NOT EXISTS trash (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        survey_id TEXT NOT NULL,
+        deleted_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trash_survey ON trash (survey_id, id);
+    CREATE INDEX IF NOT EXISTS idx_trash_deleted ON trash (deleted_at);
+`;
+
+function createSqliteStorage({ file }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    // Databases created before idempotency keys lack the column the schema indexes
+    const responseTable = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'responses'").get();
+    if (responseTable && !db.pragma('table_info(responses)').some(column => column.name === 'idempotency_key')) {
+        db.exec('ALTER TABLE responses ADD COLUMN idempotency_key TEXT');
+    }
+    db.exec(SCHEMA);
+
+    const statements = {
+        listSurveys: db.prepare('SELECT definition FROM surveys ORDER BY rowid'),
+        getSurvey: db.prepare('SELECT definition FROM surveys WHERE id = ?'),
+        saveSurvey: db.prepare(`
+            INSERT INTO surveys (id, status, updated_at, definition) VALUES (@id, @status, @updatedAt, @definition)
+            ON CONFLICT (id) DO UPDATE SET status = @status, updated_at = @updatedAt, definition = @definition
+        `),
+        listResponses: db.prepare('SELECT id, data FROM responses WHERE survey_id = ? ORDER BY id'),
+        getResponse: db.prepare('SELECT id, data FROM responses WHERE survey_id = ? AND id = ?'),
+        existsResponse: db.prepare('SELECT 1 FROM responses WHERE id = ?'),
+        countResponses: db.prepare('SELECT survey_id, COUNT(*) AS count FROM responses GROUP BY survey_id'),
+        hasEmployeeResponse: db.prepare('SELECT 1 FROM responses WHERE survey_id = ? AND employee_id = ? LIMIT 1'),
+        findResponseByIdempotencyKey: db.prepare('SELECT id, data FROM responses WHERE survey_id = ? AND idempotency_key = ?'),
+        insertResponse: db.prepare(`
+            INSERT INTO responses (id, survey_id, employee_id, created_at, idempotency_key, data)
+            VALUES (@id, @surveyId, @employeeId, @createdAt, @idempotencyKey, @data)
+        `),
+        updateResponse: db.prepare(`
+            UPDATE responses SET employee_id = @employeeId, idempotency_key = @idempotencyKey, data = @data WHERE id = @id
+        `),
+        deleteResponse: db.prepare('DELETE FROM responses WHERE survey_id = ? AND id = ?'),
+        listInvitations: db.prepare('SELECT id, data FROM invitations WHERE survey_id = ? ORDER BY id'),
+        getInvitation: db.prepare('SELECT id, data FROM invitations WHERE token = ?'),
+        insertInvitation: db.prepare(`
+            INSERT INTO invitations (id, token, survey_id, data) VALUES (@id, @token, @surveyId, @data)
+        `),
+        updateInvitation: db.prepare('UPDATE invitations SET data = ? WHERE id = ?'),
+        deleteInvitation: db.prepare('DELETE FROM invitations WHERE survey_id = ? AND id = ?'),
+        listDrafts: db.prepare('SELECT data FROM drafts WHERE survey_id = ? ORDER BY updated_at'),
+        getDraft: db.prepare('SELECT data FROM drafts WHERE key = ?'),
+        saveDraft: db.prepare(`
+            INSERT INTO drafts (key, survey_id, updated_at, data) VALUES (@key, @surveyId, @updatedAt, @data)
+            ON CONFLICT (key) DO UPDATE SET survey_id = @surveyId, updated_at = @updatedAt, data = @data
+        `),
+        deleteDraft: db.prepare('DELETE FROM drafts WHERE key = ?'),
+        deleteDraftsBefore: db.prepare('DELETE FROM drafts WHERE updated_at < ?'),
+        listWebhooks: db.prepare('SELECT id, data FROM webhooks ORDER BY id'),
+        insertWebhook: db.prepare('INSERT INTO webhooks (id, data) VALUES (@id, @data)'),
+        updateWebhook: db.prepare('UPDATE webhooks SET data = ? WHERE id = ?'),
+        deleteWebhook: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+        listDeliveries: db.prepare(`
+            SELECT id, data FROM webhook_deliveries
+            WHERE (@webhookId IS NULL OR webhook_id = @webhookId) AND (@status IS NULL OR status = @status)
+            ORDER BY id DESC LIMIT @limit
+        `),
+        getDelivery: db.prepare('SELECT id, data FROM webhook_deliveries WHERE id = ?'),
+        insertDelivery: db.prepare(`
+            INSERT INTO webhook_deliveries (id, webhook_id, status, next_attempt_at, created_at, data)
+            VALUES (@id, @webhookId, @status, @nextAttemptAt, @createdAt, @data)
+        `),
+        updateDelivery: db.prepare(`
+            UPDATE webhook_deliveries SET status = @status, next_attempt_at = @nextAttemptAt, data = @data WHERE id = @id
+        `),
+        listDueDeliveries: db.prepare(`
+            SELECT id, data FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id
+        `),
+        nextDeliveryAt: db.prepare("SELECT MIN(next_attempt_at) AS next FROM webhook_deliveries WHERE status = 'pending'"),
+        deleteDeliveriesBefore: db.prepare("DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?"),
+        insertAuditEntry: db.prepare(`
+            INSERT INTO audit_log (id, at, actor, action, survey_id, data) VALUES (@id, @at, @actor, @action, @surveyId, @data)
+        `),
+        listAuditEntries: db.prepare(`
+            SELECT id, data FROM audit_log
+            WHERE (@surveyId IS NULL OR survey_id = @surveyId) AND (@actor IS NULL OR actor = @actor)
+                AND (@action IS NULL OR action = @action) AND (@from IS NULL OR at >= @from)
+                AND (@to IS NULL OR at < @to) AND (@before IS NULL OR id < @before)
+            ORDER BY id DESC LIMIT @limit
+        `),
+        getAuditEntry: db.prepare('SELECT id FROM audit_log WHERE id = ?'),
+        allAuditEntries: db.prepare('SELECT id, data FROM audit_log ORDER BY id'),
+        updateAuditEntry: db.prepare('UPDATE audit_log SET data = ? WHERE id = ?'),
+        listTrash: db.prepare('SELECT id, data FROM trash WHERE survey_id = ? ORDER BY id DESC'),
+        getTrash: db.prepare('SELECT id, data FROM trash WHERE survey_id = ? AND id = ?'),
+        existsTrash: db.prepare('SELECT 1 FROM trash WHERE id = ?'),
+        updateTrash: db.prepare('UPDATE trash SET data = ? WHERE id = ?'),
+        insertTrash: db.prepare(`
+            INSERT INTO trash (id, type, survey_id, deleted_at, data) VALUES (@id, @type, @surveyId, @deletedAt, @data)
+        `),
+        deleteTrash: db.prepare('DELETE FROM trash WHERE survey_id = ? AND id = ?'),
+        deleteTrashBefore: db.prepare('DELETE FROM trash WHERE deleted_at < ?')
+    };
+
+    function surveyRow(survey) {
+        return {
+            id: survey.id,
+            status: survey.status || 'active',
+            updatedAt: survey.updatedAt || null,
+            definition: JSON.stringify(survey)
+        };
+    }
+
+    function rowToResponse(row) {
+        return { ...JSON.parse(row.data), id: row.id };
+    }
+
+    // `id` is only set when importing existing submissions; new ones get the next autoincrement id
+    function insertResponse(response) {
+        const { id, ...rest } = response;
+        const result = statements.insertResponse.run({
+            id: id === undefined ? null : id,
+            surveyId: response.surveyId,
+            employeeId: responseEmployeeKey(response) || null,
+            createdAt: typeof response.timestamp === 'string' ? response.timestamp : null,
+            idempotencyKey: response.idempotencyKey || null,
+            data: JSON.stringify(rest)
+        });
+        return { ...response, id: Number(result.lastInsertRowid) };
+    }
+
+    function findResponseByIdempotencyKey(surveyId, key) {
+        const row = statements.findResponseByIdempotencyKey.get(surveyId, key);
+        return row ? rowToResponse(row) : null;
+    }
+
+    const addResponse = db.transaction((response, accept) => {
+        const duplicate = response.idempotencyKey && findResponseByIdempotencyKey(response.surveyId, response.idempotencyKey);
+        if (duplicate) return duplicate;
+        if (!accept(statements.listResponses.all(response.surveyId).map(rowToResponse))) return null;
+        return insertResponse(response);
+    });
+
+    function rowToInvitation(row) {
+        return { ...JSON.parse(row.data), id: row.id };
+    }
+
+    function insertInvitation(invitation) {
+        const { id, ...rest } = invitation;
+        const result = statements.insertInvitation.run({
+            id: id === undefined ? null : id,
+            token: invitation.token,
+            surveyId: invitation.surveyId,
+            data: JSON.stringify(rest)
+        });
+        return { ...invitation, id: Number(result.lastInsertRowid) };
+    }
+
+    const addInvitations = db.transaction(invitations => invitations.map(insertInvitation));
+
+    const updateSurvey = db.transaction((id, update) => {
+        const row = statements.getSurvey.get(id);
+        if (!row) return null;
+        const survey = normalizeSurvey(JSON.parse(row.definition));
+        if (!update(survey)) return null;
+        statements.saveSurvey.run(surveyRow(survey));
+        return survey;
+    });
+
+    const updateInvitation = db.transaction((token, update) => {
+        const row = statements.getInvitation.get(token);
+        if (!row) return null;
+        const invitation = rowToInvitation(row);
+        if (!update(invitation)) return null;
+        const { id, ...rest } = invitation;
+        statements.updateInvitation.run(JSON.stringify(rest), id);
+        return invitation;
+    });
+
+    function saveDraft(draft) {
+        statements.saveDraft.run({
+            key: draft.key,
+            surveyId: draft.surveyId,
+            updatedAt: draft.updatedAt,
+            data: JSON.stringify(draft)
+        });
+        return draft;
+    }
+
+    // Webhooks and deliveries keep their id in its column, the rest as JSON
+    function rowToItem(row) {
+        return { ...JSON.parse(row.data), id: row.id };
+    }
+
+    function insertWebhook(webhook) {
+        const { id, ...rest } = webhook;
+        const result = statements.insertWebhook.run({ id: id === undefined ? null : id, data: JSON.stringify(rest) });
+        return { ...webhook, id: Number(result.lastInsertRowid) };
+    }
+
+    function insertDelivery(delivery) {
+        const { id, ...rest } = delivery;
+        const result = statements.insertDelivery.run({
+            id: id === undefined ? null : id,
+            webhookId: delivery.webhookId,
+            status: delivery.status,
+            nextAttemptAt: delivery.nextAttemptAt || null,
+            createdAt: delivery.createdAt,
+            data: JSON.stringify(rest)
+        });
+        return { ...delivery, id: Number(result.lastInsertRowid) };
+    }
+
+    const addDeliveries = db.transaction(deliveries => deliveries.map(insertDelivery));
+
+    const updateResponses = db.transaction((surveyId, update) => statements.listResponses.all(surveyId)
+        .map(rowToResponse)
+        .filter(response => update(response))
+        .map(response => {
+            const { id, ...rest } = response;
+            statements.updateResponse.run({
+                id,
+                employeeId: responseEmployeeKey(response) || null,
+                idempotencyKey: response.idempotencyKey || null,
+                data: JSON.stringify(rest)
+            });
+            return response;
+        }));
+
+    const deleteResponses = db.transaction((surveyId, ids) => ids
+        .reduce((count, id) => count + statements.deleteResponse.run(surveyId, id).changes, 0));
+
+    function insertAuditEntry(entry) {
+        const { id, ...rest } = entry;
+        const result = statements.insertAuditEntry.run({
+            id: id === undefined ? null : id,
+            at: entry.at,
+            actor: entry.actor || null,
+            action: entry.action,
+            surveyId: entry.surveyId || null,
+            data: JSON.stringify(rest)
+        });
+        return { ...entry, id: Number(result.lastInsertRowid) };
+    }
+
+    function insertTrash(entry) {
+        const { id, ...rest } = entry;
+        const result = statements.insertTrash.run({
+            id: id === undefined ? null : id,
+            type: entry.type,
+            surveyId: entry.surveyId,
+            deletedAt: entry.deletedAt,
+            data: JSON.stringify(rest)
+        });
+        return { ...entry, id: Number(result.lastInsertRowid) };
+    }
+
+    // Audit entries and trash entries keep everything but their id in `data`
+    function updateRows(rows, update, statement) {
+        return rows
+            .map(rowToItem)
+            .filter(item => update(item))
+            .map(item => {
+                const { id, ...rest } = item;
+                statement.run(JSON.stringify(rest), id);
+                return item;
+            });
+    }
+
+    const updateAuditEntries = db.transaction(update =>
+        updateRows(statements.allAuditEntries.all(), update, statements.updateAuditEntry).length);
+
+    const updateTrash = db.transaction((surveyId, update) =>
+        updateRows(statements.listTrash.all(surveyId), update, statements.updateTrash));
+
+    const addTrash = db.transaction(entries => entries.map(insertTrash));
+
+    const trashResponses = db.transaction((surveyId, ids, { deletedAt, deletedBy }) => ids
+        .map(id => statements.getResponse.get(surveyId, id))
+        .filter(Boolean)
+        .map(row => {
+            statements.deleteResponse.run(surveyId, row.id);
+            return insertTrash({ type: 'response', surveyId, itemId: row.id, item: rowToResponse(row), deletedAt, deletedBy });
+        }));
+
+    // Submissions keep their id - autoincrement never hands it out again. A
+    // restored submission loses its idempotency key when a newer one uses it.
+    const restoreResponses = db.transaction((surveyId, trashIds) => trashIds
+        .map(id => statements.getTrash.get(surveyId, id))
+        .filter(row => row && JSON.parse(row.data).type === 'response')
+        .map(row => {
+            const response = { ...JSON.parse(row.data).item };
+            statements.deleteTrash.run(surveyId, row.id);
+            if (response.idempotencyKey && findResponseByIdempotencyKey(surveyId, response.idempotencyKey)) {
+                delete response.idempotencyKey;
+            }
+            return insertResponse(response);
+        }));
+
+    const deleteTrash = db.transaction((surveyId, ids) => ids
+        .reduce((count, id) => count + statements.deleteTrash.run(surveyId, id).changes, 0));
+
+    return {
+        type: 'sqlite',
+        file,
+        db,
+
+        async listSurveys() {
+            return statements.listSurveys.all().map(row => normalizeSurvey(JSON.parse(row.definition)));
+        },
+
+        async getSurvey(id) {
+            const row = statements.getSurvey.get(id);
+            return row ? normalizeSurvey(JSON.parse(row.definition)) : null;
+        },
+
+        async saveSurvey(survey) {
+            try {
+                statements.saveSurvey.run(surveyRow(survey));
+                return true;
+            } catch (err) {
+                console.error('❌ Error writing survey:', err.message);
+                return false;
+            }
+        },
+
+        async updateSurvey(id, update) {
+            return updateSurvey(id, update);
+        },
+
+        async listResponses(surveyId) {
+            return statements.listResponses.all(surveyId).map(rowToResponse);
+        },
+
+        async countResponses() {
+            const counts = {};
+            statements.countResponses.all().forEach(row => {
+                counts[row.survey_id] = row.count;
+            });
+            return counts;
+        },
+
+        async hasEmployeeResponse(surveyId, employeeId) {
+            return statements.hasEmployeeResponse.get(surveyId, employeeId) !== undefined;
+        },
+
+        async findResponseByIdempotencyKey(surveyId, key) {
+            return findResponseByIdempotencyKey(surveyId, key);
+        },
+
+        async addResponse(response, accept = () => true) {
+            return addResponse(response, accept);
+        },
+
+        async deleteResponses(surveyId, ids) {
+            return deleteResponses(surveyId, ids);
+        },
+
+        async updateResponses(surveyId, update) {
+            return updateResponses(surveyId, update);
+        },
+
+        async listInvitations(surveyId) {
+            return statements.listInvitations.all(surveyId).map(rowToInvitation);
+        },
+
+        async getInvitation(token) {
+            const row = statements.getInvitation.get(token);
+            return row ? rowToInvitation(row) : null;
+        },
+
+        async addInvitations(invitations) {
+            return addInvitations(invitations);
+        },
+
+        async updateInvitation(token, update) {
+            return updateInvitation(token, update);
+        },
+
+        async deleteInvitation(surveyId, id) {
+            return statements.deleteInvitation.run(surveyId, id).changes > 0;
+        },
+
+        async listDrafts(surveyId) {
+            return statements.listDrafts.all(surveyId).map(row => JSON.parse(row.data));
+        },
+
+        async getDraft(key) {
+            const row = statements.getDraft.get(key);
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        async saveDraft(draft) {
+            return saveDraft(draft);
+        },
+
+        async deleteDraft(key) {
+            return statements.deleteDraft.run(key).changes > 0;
+        },
+
+        async deleteDraftsBefore(updatedBefore) {
+            return statements.deleteDraftsBefore.run(updatedBefore).changes;
+        },
+
+        async listWebhooks() {
+            return statements.listWebhooks.all().map(rowToItem);
+        },
+
+        async addWebhook(webhook) {
+            return insertWebhook(webhook);
+        },
+
+        async saveWebhook(webhook) {
+            const { id, ...rest } = webhook;
+            statements.updateWebhook.run(JSON.stringify(rest), id);
+            return webhook;
+        },
+
+        async deleteWebhook(id) {
+            return statements.deleteWebhook.run(id).changes > 0;
+        },
+
+        async listDeliveries({ webhookId, status, limit } = {}) {
+            return statements.listDeliveries.all({
+                webhookId: webhookId === undefined ? null : webhookId,
+                status: status || null,
+                limit: limit || -1
+            }).map(rowToItem);
+        },
+
+        async getDelivery(id) {
+            const row = statements.getDelivery.get(id);
+            return row ? rowToItem(row) : null;
+        },
+
+        async addDeliveries(deliveries) {
+            return addDeliveries(deliveries);
+        },
+
+        async saveDelivery(delivery) {
+            const { id, ...rest } = delivery;
+            statements.updateDelivery.run({
+                id,
+                status: delivery.status,
+                nextAttemptAt: delivery.nextAttemptAt || null,
+                data: JSON.stringify(rest)
+            });
+            return delivery;
+        },
+
+        async listDueDeliveries(now) {
+            return statements.listDueDeliveries.all(now).map(rowToItem);
+        },
+
+        async nextDeliveryAt() {
+            return statements.nextDeliveryAt.get().next || null;
+        },
+
+        async deleteDeliveriesBefore(createdBefore) {
+            return statements.deleteDeliveriesBefore.run(createdBefore).changes;
+        },
+
+        async addAuditEntry(entry) {
+            return insertAuditEntry(entry);
+        },
+
+        async listAuditEntries({ surveyId, actor, action, from, to, before, limit } = {}) {
+            return statements.listAuditEntries.all({
+                surveyId: surveyId === undefined ? null : surveyId,
+                actor: actor || null,
+                action: action || null,
+                from: from || null,
+                to: to || null,
+                before: before || null,
+                limit: limit || -1
+            }).map(rowToItem);
+        },
+
+        async updateAuditEntries(update) {
+            return updateAuditEntries(update);
+        },
+
+        async listTrash(surveyId) {
+            return statements.listTrash.all(surveyId).map(rowToItem);
+        },
+
+        async addTrash(entries) {
+            return addTrash(entries);
+        },
+
+        async trashResponses(surveyId, ids, deletion) {
+            return trashResponses(surveyId, ids, deletion);
+        },
+
+        async restoreResponses(surveyId, trashIds) {
+            return restoreResponses(surveyId, trashIds);
+        },
+
+        async updateTrash(surveyId, update) {
+            return updateTrash(surveyId, update);
+        },
+
+        async deleteTrash(surveyId, ids) {
+            return deleteTrash(surveyId, ids);
+        },
+
+        async deleteTrashBefore(deletedBefore) {
+            return statements.deleteTrashBefore.run(deletedBefore).changes;
+        },
+
+        // Used by `npm run migrate`: copy surveys, submissions, invitations, drafts, webhooks, their
+        // deliveries, the audit log and the trash in one transaction. Rows that already exist are
+        // left alone, so running it twice is safe.
+        importData: db.transaction((surveys, responses, invitations = [], drafts = [], webhooks = [], deliveries = [],
+            auditEntries = [], trash = []) => {
+            const existsInvitation = db.prepare('SELECT 1 FROM invitations WHERE id = ? OR token = ?');
+            const existsWebhook = db.prepare('SELECT 1 FROM webhooks WHERE id = ?');
+            let surveyCount = 0;
+            let responseCount = 0;
+            let invitationCount = 0;
+            let draftCount = 0;
+            let webhookCount = 0;
+            let deliveryCount = 0;
+            let auditCount = 0;
+            let trashCount = 0;
+
+            surveys.forEach(survey => {
+                if (statements.getSurvey.get(survey.id)) return;
+                statements.saveSurvey.run(surveyRow(survey));
+                surveyCount++;
+            });
+            responses.forEach(response => {
+                if (statements.existsResponse.get(response.id)) return;
+                insertResponse(response);
+                responseCount++;
+            });
+            invitations.forEach(invitation => {
+                if (existsInvitation.get(invitation.id, invitation.token)) return;
+                insertInvitation(invitation);
+                invitationCount++;
+            });
+            drafts.forEach(draft => {
+                if (statements.getDraft.get(draft.key)) return;
+                saveDraft(draft);
+                draftCount++;
+            });
+            webhooks.forEach(webhook => {
+                if (existsWebhook.get(webhook.id)) return;
+                insertWebhook(webhook);
+                webhookCount++;
+            });
+            deliveries.forEach(delivery => {
+                if (statements.getDelivery.get(delivery.id)) return;
+                insertDelivery(delivery);
+                deliveryCount++;
+            });
+            auditEntries.forEach(entry => {
+                if (statements.getAuditEntry.get(entry.id)) return;
+                insertAuditEntry(entry);
+                auditCount++;
+            });
+            trash.forEach(entry => {
+                if (statements.existsTrash.get(entry.id)) return;
+                insertTrash(entry);
+                trashCount++;
+            });
+
+            return { surveyCount, responseCount, invitationCount, draftCount, webhookCount, deliveryCount, auditCount, trashCount };
+        }),
+
+        async close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteStorage };
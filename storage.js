@@ -0,0 +1,179 @@
+// Storage for surveys, submissions, invitations, drafts, webhooks, the audit log and the trash
+// Pick the backend with STORAGE=json (default: data.json, responses.json, invitations.json,
+// drafts.json, webhooks.json, webhook-deliveries.json, audit-log.json and trash.json)
+// or STORAGE=sqlite (SQLITE_FILE, default survey.db).
+//
+// Every backend exposes the same async functions:
+//   listSurveys()                          all surveys in catalogue order
+//   getSurvey(id)                          survey or null
+//   saveSurvey(survey)                     insert or replace one survey, returns true/false
+//   updateSurvey(id, update)               runs update(survey) on the stored survey atomically;
+//                                          update changes it and returns true, or returns false
+//                                          to leave it alone. Resolves to the saved survey or null.
+//   listResponses(surveyId)                submissions of a survey, oldest first
+//   countResponses()                       { surveyId: count }
+//   hasEmployeeResponse(surveyId, employeeId)  employeeId is matched against responseEmployeeKey()
+//   addResponse(response, accept)          stores it with a new unique id and returns it. When a
+//                                          response with the same surveyId and idempotencyKey exists,
+//                                          nothing is stored and that one is returned instead,
+//                                          without calling accept. Otherwise the optional accept(responses) gets the survey's
+//                                          submissions in the same atomic step and returns false to
+//                                          store nothing; addResponse then resolves to null.
+//   findResponseByIdempotencyKey(surveyId, key)  response or null
+//   deleteResponses(surveyId, ids)         returns how many were deleted
+//   updateResponses(surveyId, update)      runs update(response) on each submission of the survey
+//                                          atomically; update changes it and returns true, or
+//                                          returns false to leave it alone. Returns the changed ones.
+//   listInvitations(surveyId)
+//   getInvitation(token)                   invitation or null
+//   addInvitations(invitations)            stores them with new unique ids and returns them
+//   updateInvitation(token, update)        runs update(invitation) atomically; update changes it and
+//                                          returns true, or returns false to leave it alone.
+//                                          Resolves to the saved invitation or null.
+//   deleteInvitation(surveyId, id)         returns true when it existed
+//   listDrafts(surveyId)
+//   getDraft(key)                          draft or null
+//   saveDraft(draft)                       insert or replace by draft.key, returns it
+//   deleteDraft(key)                       returns true when it existed
+//   deleteDraftsBefore(updatedBefore)      removes drafts last saved before the ISO time,
+//                                          returns how many
+//   listWebhooks()
+//   addWebhook(webhook)                    stores it with a new unique id and returns it
+//   saveWebhook(webhook)                   replace by webhook.id, returns it
+//   deleteWebhook(id)                      returns true when it existed
+//   listDeliveries({ webhookId, status, limit })  newest first; every filter is optional
+//   getDelivery(id)                        delivery or null
+//   addDeliveries(deliveries)              stores them with new unique ids and returns them
+//   saveDelivery(delivery)                 replace by delivery.id, returns it
+//   listDueDeliveries(now)                 pending deliveries with nextAttemptAt <= the ISO time
+//   nextDeliveryAt()                       earliest nextAttemptAt of a pending delivery, or null
+//   deleteDeliveriesBefore(createdBefore)  removes delivered/failed deliveries created before
+//                                          the ISO time, returns how many
+//   addAuditEntry(entry)                   appends it with a new unique id and returns it
+//   listAuditEntries({ surveyId, actor, action, from, to, before, limit })
+//                                          newest first; every filter is optional. from/to are ISO
+//                                          times (from inclusive, to exclusive), before an entry id.
+//   updateAuditEntries(update)             like updateResponses, over the whole log; only subject
+//                                          erasure uses it. Returns how many were changed.
+//   listTrash(surveyId)                    trash entries of a survey, newest first
+//   addTrash(entries)                      stores them with new unique ids and returns them
+//   trashResponses(surveyId, ids, { deletedAt, deletedBy })
+//                                          moves submissions into the trash atomically,
+//                                          returns the new trash entries
+//   restoreResponses(surveyId, trashIds)   moves trashed submissions back with their old ids,
+//                                          returns them
+//   updateTrash(surveyId, update)          like updateResponses, for the survey's trash entries
+//   deleteTrash(surveyId, ids)             returns how many were deleted
+//   deleteTrashBefore(deletedBefore)       removes entries deleted before the ISO time,
+//                                          returns how many
+//   close()
+const path = require('path');
+const Scoring = require('./scoring');
+const Invitations = require('./invitations');
+const I18n = require('./i18n');
+const Privacy = require('./privacy');
+const Schedule = require('./schedule');
+
+// Survey used by the legacy single-survey routes (/api/data, /api/questions, ...)
+const DEFAULT_SURVEY_ID = 'default';
+
+// Surveys saved before bands were configurable keep fixed "1-20" ... "81-100" result texts
+function normalizeSurvey(survey) {
+    if (!Array.isArray(survey.bands)) {
+        survey.bands = Scoring.bandsFromLegacyResponses(survey.responses);
+    }
+    delete survey.responses;
+    if (!Array.isArray(survey.dimensions)) {
+        survey.dimensions = [];
+    }
+    if (!Array.isArray(survey.intakeFields)) {
+        survey.intakeFields = [];
+    }
+    survey.responsePolicy = { ...Invitations.DEFAULT_RESPONSE_POLICY, ...survey.responsePolicy };
+    survey.privacyPolicy = { ...Privacy.DEFAULT_PRIVACY_POLICY, ...survey.privacyPolicy };
+    survey.schedule = { ...Schedule.DEFAULT_SCHEDULE, rounds: [], ...survey.schedule };
+    survey.defaultLocale = survey.defaultLocale || I18n.DEFAULT_LOCALE;
+    if (!survey.translations || typeof survey.translations !== 'object') {
+        survey.translations = {};
+    }
+    // Surveys saved before versioning: the questions respondents saw so far become version 1
+    if (!Array.isArray(survey.versions)) {
+        survey.versions = survey.questions && survey.questions.length > 0 ? [{
+            version: 1,
+            publishedAt: survey.updatedAt || survey.createdAt || new Date().toISOString(),
+            publishedBy: null,
+            note: 'Questions in use before versioning',
+            questions: JSON.parse(JSON.stringify(survey.questions))
+        }] : [];
+    }
+    return survey;
+}
+
+// Older data.json files hold a single survey at the top level
+function normalizeData(data) {
+    if (Array.isArray(data.surveys)) {
+        data.surveys.forEach(normalizeSurvey);
+        return data;
+    }
+    console.log('ℹ️  Converting single-survey data.json to survey catalogue');
+    return {
+        surveys: [normalizeSurvey({
+            id: DEFAULT_SURVEY_ID,
+            title: 'Interview Survey',
+            description: '',
+            status: 'active',
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            questions: data.questions || [],
+            responses: data.responses || {}
+        })]
+    };
+}
+
+// Submissions saved before surveys existed belong to the default survey
+function responseSurveyId(response) {
+    return response.surveyId || DEFAULT_SURVEY_ID;
+}
+
+// The employee ID a submission is filed under. Anonymized submissions only
+// keep its hash (see privacy.js).
+function responseEmployeeKey(response) {
+    return response.userData ? response.userData.employeeId : response.respondentHash;
+}
+
+// When the server received a submission. Older submissions only have the
+// time the client sent (`timestamp`).
+function responseReceivedAt(response) {
+    return response.receivedAt || response.timestamp;
+}
+
+function createStorage(type = process.env.STORAGE || 'json') {
+    if (type === 'json') {
+        return require('./storage-json').createJsonStorage({
+            dataFile: process.env.DATA_FILE || path.join(__dirname, 'data.json'),
+            responsesFile: process.env.RESPONSES_FILE || path.join(__dirname, 'responses.json'),
+            invitationsFile: process.env.INVITATIONS_FILE || path.join(__dirname, 'invitations.json'),
+            draftsFile: process.env.DRAFTS_FILE || path.join(__dirname, 'drafts.json'),
+            webhooksFile: process.env.WEBHOOKS_FILE || path.join(__dirname, 'webhooks.json'),
+            deliveriesFile: process.env.WEBHOOK_DELIVERIES_FILE || path.join(__dirname, 'webhook-deliveries.json'),
+            auditFile: process.env.AUDIT_FILE || path.join(__dirname, 'audit-log.json'),
+            trashFile: process.env.TRASH_FILE || path.join(__dirname, 'trash.json')
+        });
+    }
+    if (type === 'sqlite') {
+        return require('./storage-sqlite').createSqliteStorage({
+            file: process.env.SQLITE_FILE || path.join(__dirname, 'survey.db')
+        });
+    }
+    throw new Error(`Unknown storage backend: ${type}`);
+}
+
+module.exports = {
+    DEFAULT_SURVEY_ID,
+    normalizeSurvey,
+    normalizeData,
+    responseSurveyId,
+    responseEmployeeKey,
+    responseReceivedAt,
+    createStorage
+};
@@ -0,0 +1,198 @@
+// Offline queue for survey submissions (browser only)
+// A submission that can't reach the server is kept in IndexedDB and retried
+// with backoff until the server accepts or rejects it - also after the page is
+// closed and opened again. Every submission carries an Idempotency-Key, so a
+// retry of one that did arrive (but whose reply got lost) isn't saved twice.
+
+const SubmissionQueue = {
+    DB_NAME: 'survey-submissions',
+    STORE: 'queue',
+    REQUEST_TIMEOUT_MS: 10000,
+    FIRST_RETRY_MS: 5000,
+    MAX_RETRY_MS: 5 * 60 * 1000,
+
+    // Called with (entry, result) when a queued submission is saved,
+    // and with (entry, error) when the server refuses it
+    onSaved: null,
+    onRejected: null,
+
+    _db: null,
+    _timer: null,
+    _flushing: null,
+
+    generateKey: function() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    _open: function() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.STORE, { keyPath: 'key' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again, e.g. after private browsing blocked it
+            this._db.catch(() => { this._db = null; });
+        }
+        return this._db;
+    },
+
+    // Run one request against the object store and resolve with its result
+    _store: async function(mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const request = operation(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    list: function() {
+        return this._store('readonly', store => store.getAll());
+    },
+
+    _put: function(entry) {
+        return this._store('readwrite', store => store.put(entry));
+    },
+
+    _remove: function(key) {
+        return this._store('readwrite', store => store.delete(key));
+    },
+
+    // POST one entry. Resolves to { status: 'saved', result }, { status: 'rejected', error }
+    // or { status: 'failed' } when it should be tried again later.
+    _send: async function(entry) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT_MS);
+        try {
+            const response = await fetch(entry.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Idempotency-Key': entry.key },
+                body: JSON.stringify(entry.body),
+                signal: controller.signal
+            });
+            const result = await response.json().catch(() => ({}));
+            if (response.ok) {
+                return { status: 'saved', result };
+            }
+            // Timeouts and rate limits are worth retrying, other client errors are not
+            if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+                return { status: 'rejected', error: result.error || `Server error: ${response.status}` };
+            }
+            return { status: 'failed' };
+        } catch (err) {
+            console.error('Submission failed:', err);
+            return { status: 'failed' };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    },
+
+    // Send a submission now, or queue it when the server can't be reached.
+    // Resolves to the server's result, or { queued: true } when it was queued.
+    // Throws when the server rejects it, with error.rejected set, or when it
+    // can't be queued either.
+    submit: async function(url, body) {
+        const entry = {
+            key: this.generateKey(),
+            url,
+            body,
+            createdAt: new Date().toISOString(),
+            attempts: 1,
+            nextAttemptAt: Date.now() + this.FIRST_RETRY_MS
+        };
+
+        const sent = await this._send(entry);
+        if (sent.status === 'saved') {
+            return sent.result;
+        }
+        if (sent.status === 'rejected') {
+            const rejected = new Error(sent.error);
+            rejected.rejected = true;
+            throw rejected;
+        }
+
+        try {
+            await this._put(entry);
+        } catch (err) {
+            console.error('Could not queue submission:', err);
+            throw new Error('The server could not be reached and this browser cannot store the response for later');
+        }
+        this._schedule(this.FIRST_RETRY_MS);
+        return { queued: true, key: entry.key };
+    },
+
+    // Retry every queued submission that is due
+    flush: function() {
+        if (!this._flushing) {
+            this._flushing = this._flush().finally(() => { this._flushing = null; });
+        }
+        return this._flushing;
+    },
+
+    _flush: async function() {
+        let entries;
+        try {
+            entries = await this.list();
+        } catch (err) {
+            console.error('Could not read the submission queue:', err);
+            return;
+        }
+
+        const now = Date.now();
+        for (const entry of entries.filter(e => e.nextAttemptAt <= now)) {
+            const sent = await this._send(entry);
+            if (sent.status === 'failed') {
+                // 5s, 10s, 20s ... up to 5 minutes, with some jitter so clients don't retry in step
+                const delay = Math.min(this.MAX_RETRY_MS, this.FIRST_RETRY_MS * Math.pow(2, entry.attempts));
+                entry.attempts++;
+                entry.nextAttemptAt = Date.now() + delay * (0.8 + Math.random() * 0.4);
+                await this._put(entry);
+                continue;
+            }
+
+            await this._remove(entry.key);
+            if (sent.status === 'saved' && this.onSaved) {
+                this.onSaved(entry, sent.result);
+            } else if (sent.status === 'rejected') {
+                console.error('Queued submission was rejected:', sent.error);
+                if (this.onRejected) this.onRejected(entry, sent.error);
+            }
+        }
+
+        const remaining = await this.list();
+        if (remaining.length > 0) {
+            this._schedule(Math.max(0, Math.min(...remaining.map(e => e.nextAttemptAt)) - Date.now()));
+        }
+    },
+
+    _schedule: function(delay) {
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => this.flush(), delay);
+    },
+
+    // Send whatever is left from earlier visits, and retry as soon as the connection returns
+    start: function() {
+        if (!window.indexedDB) return;
+        window.addEventListener('online', () => {
+            // Coming back online: everything is due now
+            this.list()
+                .then(entries => Promise.all(entries.map(e => this._put({ ...e, nextAttemptAt: 0 }))))
+                .then(() => this.flush())
+                .catch(err => console.error('Could not retry queued submissions:', err));
+        });
+        this.flush();
+    }
+};
+
+// Make SubmissionQueue available in the browser
+if (typeof window !== 'undefined') {
+    window.SubmissionQueue = SubmissionQueue;
+}
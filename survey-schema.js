@@ -0,0 +1,316 @@
+// The schema of a survey definition: its title and description, draft
+// questions, result bands, dimensions, intake fields, response and privacy
+// policies, schedule and translations.
+// Published versions, status and timestamps aren't part of it.
+// Every route that writes survey data checks the result against it, and
+// imports are checked before anything is replaced.
+//
+// Problems are reported per field as { path, message }: path locates the
+// field in the definition (e.g. "questions[2].options[1].score") and message
+// says what is wrong in words an admin can act on.
+const QuestionTypes = require('./question-types');
+const Branching = require('./branching');
+const Scoring = require('./scoring');
+const I18n = require('./i18n');
+const Invitations = require('./invitations');
+const Privacy = require('./privacy');
+const Intake = require('./intake');
+const Schedule = require('./schedule');
+
+// Version of the exported definition format (see survey-transfer.js)
+const SCHEMA_VERSION = 1;
+
+// Fields of a survey that make up its definition, in export order
+const DEFINITION_FIELDS = ['title', 'description', 'defaultLocale', 'questions', 'bands', 'dimensions', 'intakeFields', 'responsePolicy', 'privacyPolicy', 'schedule', 'translations'];
+
+const MAX_ID_LENGTH = 100;
+const MAX_LABEL_LENGTH = 200;
+const MAX_BLOCK_LENGTH = 100;
+
+const NUMBER_FIELDS = ['minSelections', 'maxSelections', 'min', 'max', 'step', 'maxLength'];
+const BOOLEAN_FIELDS = ['required', 'reverseScored', 'scored'];
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkText(errors, path, value, label, { required = false, max = I18n.MAX_TEXT_LENGTH } = {}) {
+    if (value === undefined && !required) return;
+    if (value === undefined || value === null) {
+        errors.push({ path, message: `${label} is required` });
+    } else if (typeof value !== 'string') {
+        errors.push({ path, message: `${label} must be text` });
+    } else if (required && !value.trim()) {
+        errors.push({ path, message: `${label} is required` });
+    } else if (value.length > max) {
+        errors.push({ path, message: `${label} must be at most ${max} characters` });
+    }
+}
+
+// label: how messages name the list, e.g. "Result bands" or "Dimension Focus bands"
+function checkBands(errors, path, bands, label) {
+    if (!Array.isArray(bands)) {
+        errors.push({ path, message: `${label} must be a list` });
+        return;
+    }
+
+    const before = errors.length;
+    bands.forEach((band, i) => {
+        const at = `${path}[${i}]`;
+        const name = `${label}, band ${i + 1}`;
+        if (!isObject(band)) {
+            errors.push({ path: at, message: `${name} must be an object` });
+            return;
+        }
+        checkText(errors, `${at}.id`, band.id, `${name}: id`, { required: true, max: MAX_ID_LENGTH });
+        checkText(errors, `${at}.label`, band.label, `${name}: label`, { required: true, max: MAX_LABEL_LENGTH });
+        if (!Number.isInteger(band.min) || band.min < 0 || band.min > 100) {
+            errors.push({ path: `${at}.min`, message: `${name} must start at a whole percentage between 0 and 100` });
+        }
+        if (band.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(band.color)) {
+            errors.push({ path: `${at}.color`, message: `${name}: colour must look like #1a2b3c` });
+        }
+        checkText(errors, `${at}.text`, band.text, `${name}: text`);
+        checkText(errors, `${at}.recommendations`, band.recommendations, `${name}: recommendations`);
+    });
+
+    // Rules across bands, once each band is well-formed
+    if (errors.length === before) {
+        const bandError = Scoring.validateBands(bands);
+        if (bandError) {
+            errors.push({ path, message: `${label}: ${bandError}` });
+        }
+    }
+}
+
+function checkDimensions(errors, dimensions) {
+    if (!Array.isArray(dimensions)) {
+        errors.push({ path: 'dimensions', message: 'Dimensions must be a list' });
+        return;
+    }
+
+    const before = errors.length;
+    dimensions.forEach((dimension, i) => {
+        const at = `dimensions[${i}]`;
+        if (!isObject(dimension)) {
+            errors.push({ path: at, message: `Dimension ${i + 1} must be an object` });
+            return;
+        }
+        checkText(errors, `${at}.id`, dimension.id, `Dimension ${i + 1}: id`, { required: true, max: MAX_ID_LENGTH });
+        checkText(errors, `${at}.name`, dimension.name, `Dimension ${i + 1}: name`, { required: true, max: MAX_LABEL_LENGTH });
+        checkText(errors, `${at}.description`, dimension.description, `Dimension ${i + 1}: description`);
+        checkBands(errors, `${at}.bands`, dimension.bands, `Dimension ${i + 1} bands`);
+    });
+
+    if (errors.length === before) {
+        const dimensionError = Scoring.validateDimensions(dimensions);
+        if (dimensionError) {
+            errors.push({ path: 'dimensions', message: dimensionError });
+        }
+    }
+}
+
+// Fields of one question. Returns true when it is well-formed.
+function checkQuestion(errors, question, index, dimensionIds) {
+    const at = `questions[${index}]`;
+    const name = `Question ${index + 1}`;
+    if (!isObject(question)) {
+        errors.push({ path: at, message: `${name} must be an object` });
+        return false;
+    }
+
+    const before = errors.length;
+    if (!Number.isSafeInteger(question.id) || question.id < 1) {
+        errors.push({ path: `${at}.id`, message: `${name}: id must be a positive whole number` });
+    }
+    const type = QuestionTypes.getType(question);
+    if (!QuestionTypes.TYPES[type]) {
+        errors.push({ path: `${at}.type`, message: `${name}: unknown question type "${type}"` });
+        return false;
+    }
+    checkText(errors, `${at}.text`, question.text, `${name}: text`, { required: true });
+
+    BOOLEAN_FIELDS.forEach(field => {
+        if (question[field] !== undefined && typeof question[field] !== 'boolean') {
+            errors.push({ path: `${at}.${field}`, message: `${name}: ${field} must be true or false` });
+        }
+    });
+    NUMBER_FIELDS.forEach(field => {
+        if (question[field] !== undefined && !Number.isFinite(question[field])) {
+            errors.push({ path: `${at}.${field}`, message: `${name}: ${field} must be a number` });
+        }
+    });
+    checkText(errors, `${at}.minLabel`, question.minLabel, `${name}: label of the minimum`, { max: MAX_LABEL_LENGTH });
+    checkText(errors, `${at}.maxLabel`, question.maxLabel, `${name}: label of the maximum`, { max: MAX_LABEL_LENGTH });
+    checkText(errors, `${at}.block`, question.block, `${name}: block name`, { required: question.block !== undefined, max: MAX_BLOCK_LENGTH });
+
+    if (QuestionTypes.TYPES[type].hasOptions) {
+        if (!Array.isArray(question.options)) {
+            errors.push({ path: `${at}.options`, message: `${name}: options must be a list` });
+        } else {
+            question.options.forEach((option, i) => {
+                const optionAt = `${at}.options[${i}]`;
+                if (!isObject(option)) {
+                    errors.push({ path: optionAt, message: `${name}, option ${i + 1} must be an object with text` });
+                    return;
+                }
+                checkText(errors, `${optionAt}.text`, option.text, `${name}, option ${i + 1}: text`, { required: true });
+                if (type === 'single' && !Number.isFinite(option.score)) {
+                    errors.push({ path: `${optionAt}.score`, message: `${name}, option ${i + 1}: score must be a number` });
+                }
+            });
+        }
+    }
+
+    if (question.dimensions !== undefined) {
+        if (!Array.isArray(question.dimensions)) {
+            errors.push({ path: `${at}.dimensions`, message: `${name}: dimensions must be a list of dimension ids` });
+        } else {
+            question.dimensions.forEach((id, i) => {
+                if (!dimensionIds.includes(id)) {
+                    errors.push({ path: `${at}.dimensions[${i}]`, message: `${name}: unknown dimension "${id}"` });
+                }
+            });
+        }
+    }
+
+    ['showIf', 'endIf'].forEach(field => {
+        if (question[field] !== undefined && !isObject(question[field])) {
+            errors.push({ path: `${at}.${field}`, message: `${name}: ${field} must be a rule object` });
+        }
+    });
+
+    // Rules across fields (scale range, selection limits, ...)
+    if (errors.length === before) {
+        const questionError = QuestionTypes.validateQuestion(question);
+        if (questionError) {
+            errors.push({ path: at, message: `${name}: ${questionError}` });
+        }
+    }
+    return errors.length === before;
+}
+
+function checkQuestions(errors, questions, dimensionIds) {
+    if (!Array.isArray(questions)) {
+        errors.push({ path: 'questions', message: 'Questions must be a list' });
+        return;
+    }
+
+    const wellFormed = questions.map((question, i) => checkQuestion(errors, question, i, dimensionIds));
+
+    const seen = new Set();
+    questions.forEach((question, i) => {
+        if (!wellFormed[i]) return;
+        if (seen.has(question.id)) {
+            errors.push({ path: `questions[${i}].id`, message: `Question ${i + 1}: id ${question.id} is used by an earlier question` });
+        }
+        seen.add(question.id);
+    });
+
+    // Display rules refer to other questions' options, so they are only
+    // checked when every question is well-formed
+    if (wellFormed.every(Boolean)) {
+        questions.forEach((question, i) => {
+            const showError = question.showIf && Branching.validateRule(question.showIf, questions.slice(0, i));
+            if (showError) {
+                errors.push({ path: `questions[${i}].showIf`, message: `Question ${i + 1}: display rule - ${showError}` });
+            }
+            const endError = question.endIf && Branching.validateRule(question.endIf, questions.slice(0, i + 1));
+            if (endError) {
+                errors.push({ path: `questions[${i}].endIf`, message: `Question ${i + 1}: end survey rule - ${endError}` });
+            }
+        });
+    }
+}
+
+function checkTranslations(errors, translations, defaultLocale) {
+    if (!isObject(translations)) {
+        errors.push({ path: 'translations', message: 'Translations must be an object of languages' });
+        return;
+    }
+
+    Object.entries(translations).forEach(([locale, strings]) => {
+        const at = `translations.${locale}`;
+        if (!I18n.isLocale(locale)) {
+            errors.push({ path: at, message: `"${locale}" is not a language code such as "fr" or "pt-BR"` });
+        } else if (locale === defaultLocale) {
+            errors.push({ path: at, message: `The survey is written in ${locale} already` });
+        }
+        if (!isObject(strings)) {
+            errors.push({ path: at, message: `The ${locale} translations must be an object of translated texts` });
+            return;
+        }
+        Object.entries(strings).forEach(([key, text]) => {
+            checkText(errors, `${at}.${key}`, text, `The ${locale} translation of ${key}`);
+        });
+    });
+}
+
+// Every problem with a survey definition, or [] when it can be saved
+function validateDefinition(definition) {
+    if (!isObject(definition)) {
+        return [{ path: '', message: 'A survey definition must be a JSON object' }];
+    }
+
+    const errors = [];
+    checkText(errors, 'title', definition.title, 'Survey title', { required: true });
+    checkText(errors, 'description', definition.description, 'Survey description');
+    if (!I18n.isLocale(definition.defaultLocale)) {
+        errors.push({ path: 'defaultLocale', message: 'Language must be a code such as "en" or "pt-BR"' });
+    }
+
+    checkDimensions(errors, definition.dimensions);
+    const dimensionIds = Array.isArray(definition.dimensions) ?
+        definition.dimensions.filter(isObject).map(d => d.id) :
+        [];
+    checkQuestions(errors, definition.questions, dimensionIds);
+    checkBands(errors, 'bands', definition.bands, 'Result bands');
+    const intakeError = Intake.validateFields(definition.intakeFields);
+    if (intakeError) {
+        errors.push({ path: 'intakeFields', message: intakeError });
+    }
+
+    const policyError = Invitations.validateResponsePolicy(definition.responsePolicy);
+    if (policyError) {
+        errors.push({ path: 'responsePolicy', message: policyError });
+    }
+    const privacyError = Privacy.validatePrivacyPolicy(definition.privacyPolicy);
+    if (privacyError) {
+        errors.push({ path: 'privacyPolicy', message: privacyError });
+    }
+    const scheduleError = Schedule.validateSchedule(definition.schedule);
+    if (scheduleError) {
+        errors.push({ path: 'schedule', message: scheduleError });
+    }
+    checkTranslations(errors, definition.translations, definition.defaultLocale);
+
+    return errors;
+}
+
+// A stored question from editor or import input. Input that isn't an object
+// is returned as it is, for validateDefinition() to report.
+function prepareQuestion(input) {
+    return isObject(input) ? QuestionTypes.normalizeQuestion(input) : input;
+}
+
+// One line for logs and for the `error` field of a 400 response
+function describeErrors(errors) {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more problem${errors.length > 2 ? 's' : ''})` : '';
+    return `${errors[0].message}${more}`;
+}
+
+// The definition fields of a survey
+function pickDefinition(survey) {
+    const definition = {};
+    DEFINITION_FIELDS.forEach(field => { definition[field] = survey[field]; });
+    return definition;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    DEFINITION_FIELDS,
+    validateDefinition,
+    prepareQuestion,
+    describeErrors,
+    pickDefinition
+};
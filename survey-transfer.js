@@ -0,0 +1,259 @@
+// Moving survey definitions between environments
+// A full definition is exported as JSON:
+//   { schemaVersion, exportedAt, source: { surveyId, title }, survey: { title, ... } }
+// and questions alone as CSV, one row per question (see CSV_COLUMNS). Imports
+// are checked against survey-schema.js, and diffDefinitions() describes what
+// an import would change so the admin panel can show it before applying it.
+const QuestionTypes = require('./question-types');
+const Scoring = require('./scoring');
+const I18n = require('./i18n');
+const Invitations = require('./invitations');
+const Privacy = require('./privacy');
+const Intake = require('./intake');
+const Schedule = require('./schedule');
+const SurveySchema = require('./survey-schema');
+
+// Columns of the questions CSV. Only "text" is required when importing.
+// options, scores and dimensions hold one entry per line of the cell.
+const CSV_COLUMNS = [
+    'id', 'type', 'text', 'required', 'options', 'scores', 'dimensions', 'block',
+    'reverseScored', 'scored', 'min', 'max', 'step', 'minLabel', 'maxLabel',
+    'minSelections', 'maxSelections', 'maxLength'
+];
+const CSV_LIST_COLUMNS = ['options', 'scores', 'dimensions'];
+const CSV_BOOLEAN_COLUMNS = ['required', 'reverseScored', 'scored'];
+const CSV_NUMBER_COLUMNS = ['min', 'max', 'step', 'minSelections', 'maxSelections', 'maxLength'];
+
+// Settings compared field by field in a diff
+const SETTING_FIELDS = ['title', 'description', 'defaultLocale', 'responsePolicy', 'privacyPolicy', 'schedule'];
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function exportDefinition(survey) {
+    return {
+        schemaVersion: SurveySchema.SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        source: { surveyId: survey.id, title: survey.title },
+        survey: SurveySchema.pickDefinition(survey)
+    };
+}
+
+// Read an exported file. Returns { definition } ready to store, or { errors }.
+// Optional parts missing from the file get the values a new survey starts with.
+function readDefinition(file) {
+    if (!isObject(file) || !isObject(file.survey)) {
+        return { errors: [{ path: '', message: 'Choose a survey definition exported from the admin panel (a JSON object with a "survey" field)' }] };
+    }
+    if (file.schemaVersion !== SurveySchema.SCHEMA_VERSION) {
+        return { errors: [{ path: 'schemaVersion', message: `This file uses definition format ${file.schemaVersion}; this server reads format ${SurveySchema.SCHEMA_VERSION}` }] };
+    }
+
+    const input = file.survey;
+    const optional = (field, fallback) => (input[field] === undefined ? fallback : input[field]);
+    const definition = {
+        title: typeof input.title === 'string' ? input.title.trim() : input.title,
+        description: optional('description', ''),
+        defaultLocale: optional('defaultLocale', I18n.DEFAULT_LOCALE),
+        questions: Array.isArray(input.questions) ? input.questions.map(SurveySchema.prepareQuestion) : input.questions,
+        bands: input.bands,
+        dimensions: optional('dimensions', []),
+        intakeFields: optional('intakeFields', []),
+        responsePolicy: optional('responsePolicy', { ...Invitations.DEFAULT_RESPONSE_POLICY }),
+        privacyPolicy: optional('privacyPolicy', { ...Privacy.DEFAULT_PRIVACY_POLICY }),
+        schedule: Schedule.normalizeSchedule(optional('schedule', { ...Schedule.DEFAULT_SCHEDULE, rounds: [] })),
+        translations: optional('translations', {})
+    };
+
+    const errors = SurveySchema.validateDefinition(definition);
+    if (errors.length > 0) {
+        return { errors };
+    }
+    return { definition: normalizeDefinition(definition) };
+}
+
+// A valid definition in the form the editors save it, so a stored survey and
+// an import of its own export compare equal
+function normalizeDefinition(definition) {
+    return {
+        ...definition,
+        questions: definition.questions.map(QuestionTypes.normalizeQuestion),
+        bands: Scoring.normalizeBands(definition.bands),
+        dimensions: definition.dimensions.map(Scoring.normalizeDimension),
+        intakeFields: definition.intakeFields.map(Intake.normalizeField),
+        schedule: Schedule.normalizeSchedule(definition.schedule)
+    };
+}
+
+function yesNo(value) {
+    return value ? 'yes' : 'no';
+}
+
+// Header and rows of the questions CSV, for Exporter.writeCsvTable
+function questionsTable(questions) {
+    const rows = questions.map(question => {
+        const type = QuestionTypes.getType(question);
+        const options = question.options || [];
+        return CSV_COLUMNS.map(column => {
+            if (column === 'type') return type;
+            if (column === 'required') return yesNo(question.required !== false);
+            if (column === 'options') return options.map(o => o.text).join('\n');
+            if (column === 'scores') return type === 'single' ? options.map(o => o.score).join('\n') : '';
+            if (column === 'dimensions') return (question.dimensions || []).join('\n');
+            if (CSV_BOOLEAN_COLUMNS.includes(column)) {
+                return question[column] === undefined ? '' : yesNo(question[column]);
+            }
+            return question[column];
+        });
+    });
+    return { headers: CSV_COLUMNS, rows };
+}
+
+// The CSV export guards cells that spreadsheets would run as formulas with a
+// leading apostrophe; take it off again
+function csvCell(value) {
+    const text = (value || '').trim();
+    return /^'[=+\-@]/.test(text) ? text.substring(1) : text;
+}
+
+function csvFlag(value) {
+    if (value === '') return undefined;
+    if (['yes', 'true', '1'].includes(value.toLowerCase())) return true;
+    if (['no', 'false', '0'].includes(value.toLowerCase())) return false;
+    return value;
+}
+
+function csvList(value) {
+    return value.split(/\r?\n/).map(entry => entry.trim()).filter(Boolean);
+}
+
+// Read a questions CSV as the survey's new list of draft questions, in the
+// order of the rows. Rows with the id of a current question keep its display
+// rules, which the CSV doesn't hold; rows without an id become new questions.
+// Returns { questions }, or { errors } where each error also names its `row`.
+function readQuestionsCsv(csv, survey) {
+    const rows = Invitations.parseCsv(String(csv || ''));
+    if (rows.length < 2) {
+        return { errors: [{ path: '', message: 'The CSV needs a header row and at least one question' }] };
+    }
+
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const unknown = header.filter(h => h && !CSV_COLUMNS.some(c => c.toLowerCase() === h));
+    if (unknown.length > 0) {
+        return { errors: [{ path: '', message: `Unknown column${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}` }] };
+    }
+    const columnIndex = {};
+    CSV_COLUMNS.forEach(column => { columnIndex[column] = header.indexOf(column.toLowerCase()); });
+    if (columnIndex.text === -1) {
+        return { errors: [{ path: '', message: 'The header row must include a "text" column' }] };
+    }
+
+    const current = new Map(survey.questions.map(q => [q.id, q]));
+    let nextId = Math.max(Date.now(), ...survey.questions.map(q => q.id + 1));
+
+    const questions = rows.slice(1).map(row => {
+        const cell = column => (columnIndex[column] === -1 ? '' : csvCell(row[columnIndex[column]]));
+        const input = { text: cell('text') };
+
+        input.id = cell('id') === '' ? nextId++ : Number(cell('id'));
+        if (cell('type') !== '') input.type = cell('type');
+        if (cell('block') !== '') input.block = cell('block');
+        ['minLabel', 'maxLabel'].forEach(column => { input[column] = cell(column); });
+        CSV_BOOLEAN_COLUMNS.forEach(column => { input[column] = csvFlag(cell(column)); });
+        CSV_NUMBER_COLUMNS.forEach(column => {
+            if (cell(column) !== '') input[column] = Number(cell(column));
+        });
+
+        const optionTexts = csvList(cell('options'));
+        const scores = csvList(cell('scores'));
+        if (optionTexts.length > 0) {
+            input.options = optionTexts.map((text, i) => ({ text, score: scores[i] === undefined ? NaN : Number(scores[i]) }));
+        }
+        if (cell('dimensions') !== '') {
+            input.dimensions = csvList(cell('dimensions'));
+        }
+
+        const existing = current.get(input.id);
+        if (existing) {
+            input.showIf = existing.showIf;
+            input.endIf = existing.endIf;
+        }
+        return QuestionTypes.normalizeQuestion(input);
+    });
+
+    const errors = SurveySchema.validateDefinition({ ...SurveySchema.pickDefinition(survey), questions });
+    if (errors.length > 0) {
+        return {
+            errors: errors.map(error => {
+                const match = error.path.match(/^questions\[(\d+)\]/);
+                return match ? { ...error, row: Number(match[1]) + 2 } : error;
+            })
+        };
+    }
+    return { questions };
+}
+
+function changedFields(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields].filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// Items of two lists matched by id. label(item) names an item in the diff.
+function diffList(before, after, label) {
+    const beforeById = new Map(before.map(item => [item.id, item]));
+    const afterIds = new Set(after.map(item => item.id));
+    const kept = after.filter(item => beforeById.has(item.id));
+    const changed = kept
+        .map(item => ({ id: item.id, label: label(item), fields: changedFields(beforeById.get(item.id), item) }))
+        .filter(change => change.fields.length > 0);
+    const keptOrder = before.filter(item => afterIds.has(item.id)).map(item => item.id);
+
+    return {
+        added: after.filter(item => !beforeById.has(item.id)).map(item => ({ id: item.id, label: label(item) })),
+        removed: before.filter(item => !afterIds.has(item.id)).map(item => ({ id: item.id, label: label(item) })),
+        changed,
+        unchanged: kept.length - changed.length,
+        reordered: kept.some((item, i) => item.id !== keptOrder[i])
+    };
+}
+
+// What replacing definition `before` with `after` changes. Both are compared
+// normalized, so fields the stored survey leaves out don't show as changes.
+function diffDefinitions(before, after) {
+    before = normalizeDefinition(before);
+    after = normalizeDefinition(after);
+    const settings = SETTING_FIELDS
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, from: before[field], to: after[field] }));
+
+    const locales = [...new Set([...Object.keys(before.translations), ...Object.keys(after.translations)])];
+    const translations = {
+        added: locales.filter(l => !before.translations[l]),
+        removed: locales.filter(l => !after.translations[l]),
+        changed: locales.filter(l => before.translations[l] && after.translations[l] &&
+            JSON.stringify(before.translations[l]) !== JSON.stringify(after.translations[l]))
+    };
+
+    const diff = {
+        settings,
+        questions: diffList(before.questions, after.questions, q => q.text),
+        bands: diffList(before.bands, after.bands, b => b.label),
+        dimensions: diffList(before.dimensions, after.dimensions, d => d.name),
+        intakeFields: diffList(before.intakeFields, after.intakeFields, f => f.label),
+        translations
+    };
+    const listChanged = list => list.added.length + list.removed.length + list.changed.length > 0 || !!list.reordered;
+    diff.hasChanges = settings.length > 0 ||
+        [diff.questions, diff.bands, diff.dimensions, diff.intakeFields, translations].some(listChanged);
+    return diff;
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    exportDefinition,
+    readDefinition,
+    questionsTable,
+    readQuestionsCsv,
+    diffDefinitions
+};
@@ -0,0 +1,117 @@
+// Analytics: filters, trends, reliability and cohorts
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Analytics = require('../analytics');
+const QuestionTypes = require('../question-types');
+
+const response = (id, timestamp, percentage = 50) => ({ id, timestamp, percentage, answers: [], locale: 'en', surveyVersion: 1 });
+
+test('submissions without a usable time are left out of date filters and trends', () => {
+    const responses = [
+        response(1, '2024-05-01T10:00:00.000Z', 40),
+        response(2, { a: 1 }),
+        response(3, 12345),
+        response(4, undefined),
+        response(5, '2024-05-03T10:00:00.000Z', 80)
+    ];
+
+    assert.deepEqual(Analytics.filterResponses(responses, {}).map(r => r.id), [1, 2, 3, 4, 5]);
+    assert.deepEqual(Analytics.filterResponses(responses, { from: '2024-05-02' }).map(r => r.id), [5]);
+    assert.deepEqual(Analytics.filterResponses(responses, { to: '2024-05-02' }).map(r => r.id), [1]);
+
+    const { trend } = Analytics.buildAnalytics({ questions: [], bands: [], responses });
+    assert.deepEqual(trend, [
+        { date: '2024-05-01', count: 1, meanPercentage: 40 },
+        { date: '2024-05-03', count: 1, meanPercentage: 80 }
+    ]);
+});
+
+test('date filters must be days that exist', () => {
+    assert.equal(Analytics.dateRangeError('2024-02-29', '2024-12-31'), null);
+    assert.equal(Analytics.dateRangeError(undefined, ''), null);
+    assert.match(Analytics.dateRangeError('2020-13-45', undefined), /2020-13-45 is not one/);
+    assert.match(Analytics.dateRangeError(undefined, '2023-02-29'), /2023-02-29 is not one/);
+    assert.match(Analytics.dateRangeError('31/05/2024', undefined), /YYYY-MM-DD/);
+    assert.match(Analytics.dateRangeError(['2024-01-01'], undefined), /YYYY-MM-DD/);
+});
+
+const question = id => QuestionTypes.normalizeQuestion({ id, text: `Question ${id}` });
+const scored = (id, scores) => ({ ...response(id, '2024-05-01T10:00:00.000Z'), answers: scores.map((score, i) => ({ questionId: i + 1, score })) });
+
+test("Cronbach's alpha over complete submissions", () => {
+    const questions = [question(1), question(2), question(3)];
+    const responses = [
+        scored(1, [1, 2, 2]),
+        scored(2, [2, 3, 3]),
+        scored(3, [3, 3, 4]),
+        scored(4, [4, 5, 5]),
+        scored(5, [5, null, 1])
+    ];
+
+    const { reliability } = Analytics.buildAnalytics({ questions, bands: [], responses });
+    assert.equal(reliability.itemCount, 3);
+    assert.equal(reliability.completeResponses, 4);
+    // k/(k-1) * (1 - sum of item variances / variance of totals) = 1.5 * (1 - 4.9167 / 14.25)
+    assert.equal(reliability.alpha, 0.982);
+    assert.equal(reliability.items.length, 3);
+    assert.ok(reliability.items.every(item => item.itemTotalCorrelation > 0.9));
+});
+
+test('a question that runs against the others lowers alpha', () => {
+    const questions = [question(1), question(2), question(3)];
+    const responses = [
+        scored(1, [1, 1, 5]),
+        scored(2, [2, 2, 4]),
+        scored(3, [4, 3, 2]),
+        scored(4, [5, 5, 1])
+    ];
+
+    const { reliability } = Analytics.buildAnalytics({ questions, bands: [], responses });
+    const [first, , last] = reliability.items;
+    assert.ok(last.itemTotalCorrelation < 0);
+    assert.ok(last.alphaIfDeleted > reliability.alpha);
+    assert.ok(first.alphaIfDeleted < last.alphaIfDeleted);
+});
+
+test('alpha needs two scored questions and two complete submissions', () => {
+    const text = QuestionTypes.normalizeQuestion({ id: 2, type: 'text', text: 'Comments' });
+    const one = Analytics.buildAnalytics({ questions: [question(1), text], bands: [], responses: [scored(1, [3]), scored(2, [4])] });
+    assert.equal(one.reliability.itemCount, 1);
+    assert.equal(one.reliability.alpha, null);
+
+    const few = Analytics.buildAnalytics({ questions: [question(1), question(2)], bands: [], responses: [scored(1, [3, 4])] });
+    assert.equal(few.reliability.completeResponses, 1);
+    assert.equal(few.reliability.alpha, null);
+    assert.deepEqual(few.reliability.items.map(item => item.itemTotalCorrelation), [null, null]);
+});
+
+test('identical totals leave alpha undefined', () => {
+    const responses = [scored(1, [2, 2]), scored(2, [2, 2]), scored(3, [2, 2])];
+    const { reliability } = Analytics.buildAnalytics({ questions: [question(1), question(2)], bands: [], responses });
+    assert.equal(reliability.alpha, null);
+});
+
+test('round history orders attempts by when the server received them', () => {
+    const rounds = [{ id: 'r1', name: 'Spring' }, { id: 'r2', name: 'Autumn' }];
+    const attempt = (id, round, receivedAt, timestamp, percentage) =>
+        ({ ...response(id, timestamp, percentage), round, receivedAt, userData: { name: 'Ann', employeeId: 'E1' } });
+    const responses = [
+        attempt(1, 'r1', '2024-03-01T10:00:00.000Z', '2024-03-01T10:00:00.000Z', 40),
+        // The client claimed an earlier time than the first attempt
+        attempt(2, 'r2', '2024-09-01T10:00:00.000Z', '2020-01-01T00:00:00.000Z', 70)
+    ];
+
+    const progress = Analytics.roundProgress({
+        rounds,
+        responses,
+        respondentKey: r => r.userData.employeeId,
+        respondentName: r => r.userData.name,
+        receivedAt: r => r.receivedAt
+    });
+    assert.deepEqual(progress.respondents[0].attempts.map(a => [a.id, a.timestamp]), [
+        [1, '2024-03-01T10:00:00.000Z'],
+        [2, '2024-09-01T10:00:00.000Z']
+    ]);
+    assert.equal(progress.respondents[0].change, 30);
+    assert.equal(progress.changes[0].meanChange, 30);
+});
@@ -0,0 +1,87 @@
+// Intake fields: field and answer validation, cohorts and small-cohort suppression
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Intake = require('../intake');
+const Analytics = require('../analytics');
+
+const department = { id: 'dept', label: 'Department', type: 'select', required: true, options: ['Sales', 'Support', 'Legal'] };
+const team = { id: 'team', label: 'Team', type: 'text', required: false, maxLength: 10 };
+const started = { id: 'started', label: 'Start date', type: 'date', required: false, min: '2000-01-01', max: '2030-12-31' };
+
+test('usable fields pass and each kind of problem is named', () => {
+    assert.equal(Intake.validateFields([department, team, started]), null);
+    assert.equal(Intake.validateFields('dept'), 'Intake fields must be a list');
+
+    const problems = [
+        [{ ...department, id: 'has space' }, /needs an id/],
+        [{ ...department, label: ' ' }, /needs a label/],
+        [{ ...department, type: 'radio' }, /type must be one of select, text, date/],
+        [{ ...department, required: 'yes' }, /required must be true or false/],
+        [{ ...department, options: ['Sales'] }, /needs 2 to 100 choices/],
+        [{ ...department, options: ['Sales', 'Sales'] }, /must be different/],
+        [{ ...department, options: ['Sales', Intake.NOT_ANSWERED] }, /must be different/],
+        [{ ...team, maxLength: 0 }, /maximum length/],
+        [{ ...started, min: '2024-02-30' }, /earliest date must look like/],
+        [{ ...started, min: '2025-01-01', max: '2024-01-01' }, /earliest date is after the latest/]
+    ];
+    problems.forEach(([field, message]) => assert.match(Intake.validateFields([field]), message));
+    assert.match(Intake.validateFields([department, { ...team, id: 'dept' }]), /Duplicate intake field id: dept/);
+});
+
+test('answers are checked against their field', () => {
+    const fields = [department, team, started];
+    assert.equal(Intake.validateValues(fields, { dept: 'Sales', team: 'Blue', started: '2024-05-31' }), null);
+    assert.equal(Intake.validateValues(fields, { dept: 'Sales' }), null);
+    assert.equal(Intake.validateValues(fields, {}), 'Department is required');
+    assert.equal(Intake.validateValues([department, { ...team, required: true }], { dept: 'Sales', team: '   ' }), 'Team is required');
+    assert.equal(Intake.validateValues(fields, { dept: ' Sales ', team: ' Blue team ' }), null);
+    assert.equal(Intake.validateValues(fields, ['Sales']), 'Intake answers must be an object keyed by field id');
+    assert.equal(Intake.validateValues(fields, { dept: 'Marketing' }), 'Department must be one of: Sales, Support, Legal');
+    assert.equal(Intake.validateValues(fields, { dept: 'Sales', team: 'A much too long team' }), 'Team must be at most 10 characters');
+    assert.equal(Intake.validateValues(fields, { dept: 'Sales', started: '1999-12-31' }), 'Start date must be a date from 2000-01-01 up to 2030-12-31');
+    assert.equal(Intake.validateValues(fields, { dept: 'Sales', started: '2024-02-30' }), 'Start date must be a date from 2000-01-01 up to 2030-12-31');
+    assert.equal(Intake.validateValues(fields, { dept: { name: 'Sales' } }), 'Department must be one of: Sales, Support, Legal');
+});
+
+test('stored answers are trimmed and limited to the survey\'s fields', () => {
+    assert.deepEqual(Intake.cleanValues([department, team], { dept: 'Sales', team: '  Blue ', other: 'x' }), { dept: 'Sales', team: 'Blue' });
+    assert.deepEqual(Intake.cleanValues([department, team], { dept: 'Sales', team: '   ' }), { dept: 'Sales' });
+    assert.deepEqual(Intake.cleanValues([department], undefined), {});
+});
+
+test('dates form cohorts by year and empty answers a cohort of their own', () => {
+    assert.equal(Intake.cohortOf(started, { intake: { started: '2021-06-01' } }), '2021');
+    assert.equal(Intake.cohortOf(team, { intake: {} }), Intake.NOT_ANSWERED);
+    assert.equal(Intake.cohortOf(team, {}), Intake.NOT_ANSWERED);
+});
+
+test('small cohorts are suppressed, and a second one when only one would be', () => {
+    const responses = [
+        ...Array.from({ length: 6 }, (_, i) => ({ id: i, percentage: 50, intake: { dept: 'Sales' } })),
+        ...Array.from({ length: 7 }, (_, i) => ({ id: 10 + i, percentage: 70, intake: { dept: 'Support' } })),
+        { id: 20, percentage: 90, intake: { dept: 'Legal' } }
+    ];
+    const { cohorts, overall } = Analytics.compareCohorts({ field: department, responses, bands: [], dimensions: [], minSize: 5 });
+    assert.equal(overall.count, 14);
+    assert.deepEqual(cohorts.map(c => [c.value, c.suppressed, c.count]), [
+        ['Sales', true, null],
+        ['Support', false, 7],
+        ['Legal', true, null]
+    ]);
+});
+
+test('a search that picks a small cohort through intake answers is suppressed', () => {
+    const responses = [
+        ...Array.from({ length: 6 }, (_, i) => ({ id: i, userData: { name: `Sam ${i}` }, intake: { dept: 'Sales' } })),
+        { id: 20, userData: { name: 'Alex' }, intake: { dept: 'Legal' } }
+    ];
+    const legal = Analytics.filterResponses(responses, { search: 'legal' });
+    assert.deepEqual(legal.map(r => r.id), [20]);
+    assert.equal(Analytics.isSmallSegment(legal, { search: 'legal' }), true);
+
+    // Names are no intake answer, and a large cohort can be reported on
+    const alex = Analytics.filterResponses(responses, { search: 'alex' });
+    assert.equal(Analytics.isSmallSegment(alex, { search: 'alex' }), false);
+    const sales = Analytics.filterResponses(responses, { search: 'sales' });
+    assert.equal(Analytics.isSmallSegment(sales, { search: 'sales' }), false);
+});
@@ -0,0 +1,60 @@
+// Privacy: matching respondents across plain and anonymized submissions
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Privacy = require('../privacy');
+const Invitations = require('../invitations');
+
+const submission = employeeId => ({ userData: { name: 'Ann', email: 'ann@example.com', employeeId } });
+
+test('respondents match by trimmed employee ID, anonymized or not', () => {
+    assert.equal(Privacy.sameRespondent(submission('E1'), 'default', ' E1 '), true);
+    assert.equal(Privacy.sameRespondent(submission(' E1'), 'default', 'E1'), true);
+    assert.equal(Privacy.sameRespondent(submission('E2'), 'default', 'E1'), false);
+
+    const anonymized = Privacy.anonymizeResponse(submission(' E1 '), 'default');
+    assert.equal(anonymized.userData, undefined);
+    assert.equal(Privacy.sameRespondent(anonymized, 'default', 'E1'), true);
+    assert.equal(Privacy.sameRespondent(anonymized, 'other', 'E1'), false);
+});
+
+test('a missing employee ID matches nobody', () => {
+    for (const employeeId of [undefined, null, '', '   ', 42, { id: 'E1' }]) {
+        assert.equal(Privacy.sameRespondent(submission(undefined), 'default', employeeId), false);
+        assert.equal(Privacy.sameRespondent(submission(''), 'default', employeeId), false);
+        assert.equal(Privacy.sameRespondent(Privacy.anonymizeResponse(submission(''), 'default'), 'default', employeeId), false);
+    }
+    assert.equal(Privacy.sameRespondent({ userData: 'Ann' }, 'default', 'E1'), false);
+});
+
+test('two submissions match whichever of them is anonymized', () => {
+    const plain = submission(' E1');
+    const anonymized = Privacy.anonymizeResponse(submission('E1 '), 'default');
+    assert.equal(Privacy.sameRespondentAs(plain, anonymized, 'default'), true);
+    assert.equal(Privacy.sameRespondentAs(anonymized, plain, 'default'), true);
+    assert.equal(Privacy.sameRespondentAs(anonymized, Privacy.anonymizeResponse(submission('E1'), 'default'), 'default'), true);
+    assert.equal(Privacy.sameRespondentAs(submission('E2'), anonymized, 'default'), false);
+    assert.equal(Privacy.sameRespondentAs(submission(''), Privacy.anonymizeResponse(submission(''), 'default'), 'default'), false);
+});
+
+test('anonymous mode needs a configured salt', () => {
+    const configured = process.env.PRIVACY_SALT;
+    try {
+        delete process.env.PRIVACY_SALT;
+        assert.match(Privacy.saltError(), /PRIVACY_SALT/);
+        process.env.PRIVACY_SALT = 'test-salt';
+        assert.equal(Privacy.saltError(), null);
+    } finally {
+        if (configured === undefined) delete process.env.PRIVACY_SALT;
+        else process.env.PRIVACY_SALT = configured;
+    }
+});
+
+test('used invitations to anonymous surveys forget who redeemed them and when', () => {
+    const invitation = { id: 1, surveyId: 'default', name: 'Ann', email: 'ann@example.com', employeeId: 'E1', uses: 1, completedAt: '2024-05-01T10:00:00.000Z' };
+    Privacy.anonymizeInvitation(invitation);
+    assert.equal(invitation.name, null);
+    assert.equal(invitation.email, null);
+    assert.equal(invitation.completedAt, null);
+    assert.equal(invitation.employeeId, 'E1');
+    assert.equal(Invitations.invitationStatus(invitation), 'completed');
+});
@@ -0,0 +1,31 @@
+// Personal reports: admin-written texts keep their formatting tags but can't add script
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Reports = require('../reports');
+const { normalizeSurvey } = require('../storage');
+
+test('band texts keep formatting tags and show anything else as text', () => {
+    const question = { id: 1, text: 'Do you <b>listen</b>?<img src=x onerror=alert(1)>', options: [{ text: 'Yes', score: 1 }, { text: 'No', score: 0 }] };
+    const survey = normalizeSurvey({
+        id: 'team',
+        title: 'Team',
+        questions: [question],
+        bands: [{
+            id: 'all',
+            label: 'All <i>x</i>',
+            min: 0,
+            color: '#123456',
+            text: 'Well <strong>done</strong><script>alert(1)</script>',
+            recommendations: '<p onclick="alert(1)">Read</p><ul><li>More</li></ul>'
+        }]
+    });
+    const response = { id: 7, answers: [{ questionId: 1, selectedOptionIndex: 0, score: 1 }], totalScore: 1, maxScore: 1, percentage: 100, timestamp: '2024-05-31T09:30:00.000Z' };
+
+    const html = Reports.renderHtml(Reports.buildReport(survey, survey.questions, response, 'en'), null);
+    assert.match(html, /Well <strong>done<\/strong>&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(html, /&lt;p onclick=&quot;alert\(1\)&quot;&gt;Read<\/p><ul><li>More<\/li><\/ul>/);
+    assert.match(html, /All &lt;i&gt;x&lt;\/i&gt;/);
+    assert.match(html, /Do you <b>listen<\/b>\?&lt;img src=x onerror=alert\(1\)&gt;/);
+    assert.doesNotMatch(html, /<script|<img|onclick="/);
+    assert.match(Reports.CONTENT_SECURITY_POLICY, /default-src 'none'/);
+});
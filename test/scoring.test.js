@@ -0,0 +1,92 @@
+// Scoring: reverse-scored questions, scales, dimensions and result bands
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Scoring = require('../scoring');
+const QuestionTypes = require('../question-types');
+
+const single = (id, fields = {}) => QuestionTypes.normalizeQuestion({ id, text: `Question ${id}`, ...fields });
+const scale = (id, fields = {}) => QuestionTypes.normalizeQuestion({ id, type: 'scale', text: `Scale ${id}`, min: 0, max: 10, scored: true, ...fields });
+
+test('single choice answers score their option', () => {
+    const result = Scoring.scoreAnswers([single(1), single(2)], [
+        { questionId: 1, selectedOptionIndex: 0 },
+        { questionId: 2, selectedOptionIndex: 4 }
+    ]);
+    assert.equal(result.totalScore, 6);
+    assert.equal(result.maxScore, 10);
+    assert.equal(result.percentage, 60);
+    assert.deepEqual(result.answers.map(a => a.score), [1, 5]);
+});
+
+test('reverse-scored questions mirror the score', () => {
+    const question = single(1, { reverseScored: true });
+    const score = index => Scoring.scoreAnswers([question], [{ questionId: 1, selectedOptionIndex: index }]).totalScore;
+    assert.deepEqual([0, 1, 2, 3, 4].map(score), [5, 4, 3, 2, 1]);
+    assert.equal(Scoring.scoreAnswers([question], [{ questionId: 1, selectedOptionIndex: 0 }]).answers[0].reverseScored, true);
+
+    const reversedScale = scale(2, { reverseScored: true });
+    assert.equal(Scoring.scoreAnswers([reversedScale], [{ questionId: 2, value: 3 }]).totalScore, 7);
+});
+
+test('unscored questions do not count towards the total', () => {
+    const questions = [single(1), scale(2, { scored: false }), QuestionTypes.normalizeQuestion({ id: 3, type: 'text', text: 'Why?' })];
+    const result = Scoring.scoreAnswers(questions, [
+        { questionId: 1, selectedOptionIndex: 2 },
+        { questionId: 2, value: 8 },
+        { questionId: 3, value: 'Because' }
+    ]);
+    assert.equal(result.totalScore, 3);
+    assert.equal(result.maxScore, 5);
+    assert.equal(result.answers.length, 3);
+});
+
+test('answers that do not fit the questions are refused', () => {
+    const questions = [single(1), single(2, { required: false })];
+    assert.match(Scoring.scoreAnswers(questions, 'all of them').error, /must be an array/);
+    assert.match(Scoring.scoreAnswers(questions, [{ questionId: 9, selectedOptionIndex: 0 }]).error, /Unknown question: 9/);
+    assert.match(Scoring.scoreAnswers(questions, [
+        { questionId: 1, selectedOptionIndex: 0 },
+        { questionId: 1, selectedOptionIndex: 1 }
+    ]).error, /more than once/);
+    assert.match(Scoring.scoreAnswers(questions, []).error, /Question 1 was not answered/);
+    assert.ok(Scoring.scoreAnswers(questions, [{ questionId: 1, selectedOptionIndex: 7 }]).error);
+
+    // Optional questions may be left out
+    assert.equal(Scoring.scoreAnswers(questions, [{ questionId: 1, selectedOptionIndex: 0 }]).maxScore, 5);
+});
+
+test('dimensions get subscores from their questions', () => {
+    const dimensions = [
+        { id: 'trust', name: 'Trust', bands: [{ id: 'low', label: 'Low', min: 0 }] },
+        { id: 'unused', name: 'Unused', bands: [{ id: 'low', label: 'Low', min: 0 }] }
+    ];
+    const questions = [single(1, { dimensions: ['trust'] }), single(2, { dimensions: ['trust'] }), single(3)];
+    const result = Scoring.scoreAnswers(questions, [
+        { questionId: 1, selectedOptionIndex: 4 },
+        { questionId: 2, selectedOptionIndex: 0 },
+        { questionId: 3, selectedOptionIndex: 0 }
+    ], dimensions);
+    assert.deepEqual(result.dimensionScores, [
+        { dimensionId: 'trust', totalScore: 6, maxScore: 10, percentage: 60 },
+        { dimensionId: 'unused', totalScore: 0, maxScore: 0, percentage: null }
+    ]);
+});
+
+test('a percentage falls in the band that starts at or below it', () => {
+    const bands = Scoring.bandsFromLegacyResponses({});
+    assert.equal(Scoring.findBand(bands, 0).id, '1-20');
+    assert.equal(Scoring.findBand(bands, 20).id, '1-20');
+    assert.equal(Scoring.findBand(bands, 21).id, '21-40');
+    assert.equal(Scoring.findBand(bands, 100).id, '81-100');
+    assert.equal(Scoring.findBand([], 50), null);
+    assert.equal(Scoring.describeBandRange(bands, bands[1]), '21-40%');
+});
+
+test('bands must cover 0-100 without duplicates', () => {
+    assert.equal(Scoring.validateBands(Scoring.bandsFromLegacyResponses({})), null);
+    assert.match(Scoring.validateBands([]), /At least one band/);
+    assert.match(Scoring.validateBands([{ id: 'a', label: 'A', min: 10 }]), /must start at 0%/);
+    assert.match(Scoring.validateBands([{ id: 'a', label: 'A', min: 0 }, { id: 'b', label: 'B', min: 0 }]), /Two bands start at 0%/);
+    assert.match(Scoring.validateBands([{ id: 'a', label: 'A', min: 0 }, { id: 'a', label: 'B', min: 50 }]), /Duplicate band id/);
+    assert.match(Scoring.validateBands([{ id: 'a', label: 'A', min: 0, color: 'red' }]), /invalid colour/);
+});
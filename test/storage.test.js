@@ -0,0 +1,92 @@
+// Survey updates and submissions in both storage backends: concurrent edits of
+// one survey each see the other's changes, and a submission's precondition sees
+// the submissions saved before it
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeSurvey } = require('../storage');
+const { createJsonStorage } = require('../storage-json');
+const { createSqliteStorage } = require('../storage-sqlite');
+
+function jsonStorage(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'survey-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = name => path.join(dir, `${name}.json`);
+    return createJsonStorage({
+        dataFile: file('data'),
+        responsesFile: file('responses'),
+        invitationsFile: file('invitations'),
+        draftsFile: file('drafts'),
+        webhooksFile: file('webhooks'),
+        deliveriesFile: file('webhook-deliveries'),
+        auditFile: file('audit-log'),
+        trashFile: file('trash')
+    });
+}
+
+const backends = {
+    json: jsonStorage,
+    sqlite: () => createSqliteStorage({ file: ':memory:' })
+};
+
+for (const [name, create] of Object.entries(backends)) {
+    test(`${name}: concurrent updates of one survey are all kept`, async t => {
+        const storage = create(t);
+        await storage.saveSurvey(normalizeSurvey({ id: 'team', title: 'Team', questions: [] }));
+
+        await Promise.all([
+            storage.updateSurvey('team', survey => {
+                survey.title = 'Team health';
+                return true;
+            }),
+            storage.updateSurvey('team', survey => {
+                survey.questions.push({ id: 1, text: 'First' });
+                return true;
+            }),
+            storage.updateSurvey('team', survey => {
+                survey.questions.push({ id: 2, text: 'Second' });
+                return true;
+            })
+        ]);
+
+        const survey = await storage.getSurvey('team');
+        assert.equal(survey.title, 'Team health');
+        assert.deepEqual(survey.questions.map(q => q.id), [1, 2]);
+    });
+
+    test(`${name}: a refused update saves nothing`, async t => {
+        const storage = create(t);
+        await storage.saveSurvey(normalizeSurvey({ id: 'team', title: 'Team', questions: [] }));
+
+        const refused = await storage.updateSurvey('team', survey => {
+            survey.title = 'Changed';
+            return false;
+        });
+        assert.equal(refused, null);
+        assert.equal((await storage.getSurvey('team')).title, 'Team');
+        assert.equal(await storage.updateSurvey('missing', () => true), null);
+    });
+
+    test(`${name}: concurrent submissions each see the ones saved before them`, async t => {
+        const storage = create(t);
+        const onlyOnce = responses => !responses.some(r => r.userData.employeeId === 'E1');
+        const submission = { surveyId: 'team', userData: { employeeId: 'E1' }, answers: [] };
+
+        const saved = await Promise.all(Array.from({ length: 5 }, () => storage.addResponse({ ...submission }, onlyOnce)));
+
+        assert.equal(saved.filter(Boolean).length, 1);
+        assert.equal((await storage.listResponses('team')).length, 1);
+    });
+
+    test(`${name}: a retried submission is returned again without asking the precondition`, async t => {
+        const storage = create(t);
+        const first = await storage.addResponse({ surveyId: 'team', idempotencyKey: 'retry-key-1', answers: [] });
+        const again = await storage.addResponse({ surveyId: 'team', idempotencyKey: 'retry-key-1', answers: [] }, () => {
+            throw new Error('not asked for a duplicate');
+        });
+        assert.equal(again.id, first.id);
+        assert.equal((await storage.listResponses('team')).length, 1);
+    });
+}
@@ -0,0 +1,96 @@
+// Survey definitions: schema validation, export/import and the import diff
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SurveySchema = require('../survey-schema');
+const SurveyTransfer = require('../survey-transfer');
+const { normalizeData } = require('../storage');
+
+// The repository's own survey, as the storage loads it: questions saved
+// before types, dimensions and display rules existed
+function storedSurvey() {
+    const data = normalizeData(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data.json'), 'utf8')));
+    return data.surveys[0];
+}
+
+// An export as the browser uploads it again
+function reimport(survey) {
+    return SurveyTransfer.readDefinition(JSON.parse(JSON.stringify(SurveyTransfer.exportDefinition(survey))));
+}
+
+test('a survey imported from its own export changes nothing', () => {
+    const survey = storedSurvey();
+    const { definition, errors } = reimport(survey);
+    assert.equal(errors, undefined);
+
+    const diff = SurveyTransfer.diffDefinitions(SurveySchema.pickDefinition(survey), definition);
+    assert.equal(diff.hasChanges, false);
+    assert.deepEqual(diff.settings, []);
+    assert.deepEqual(diff.questions.changed, []);
+    assert.deepEqual(diff.bands.changed, []);
+    assert.equal(diff.questions.unchanged, survey.questions.length);
+});
+
+test('the round trip keeps dimensions, intake fields, rounds, rules and translations', () => {
+    const survey = storedSurvey();
+    const [first, second] = survey.questions;
+    survey.dimensions = [{ id: 'focus', name: 'Focus ', bands: [{ id: 'all', label: 'All', min: 0 }] }];
+    first.dimensions = ['focus'];
+    second.showIf = { match: 'all', conditions: [{ source: 'answer', questionId: first.id, operator: 'equals', value: 0 }] };
+    survey.intakeFields = [{ id: 'dept', label: 'Department', type: 'select', required: true, options: ['Sales', 'Support'] }];
+    survey.schedule.rounds = [{ id: 'base', name: 'Baseline', opensAt: '2024-01-01T00:00:00Z', closesAt: '2024-02-01T00:00:00Z' }];
+    survey.translations = { fr: { title: 'Enquête' } };
+
+    const { definition, errors } = reimport(survey);
+    assert.equal(errors, undefined);
+    assert.equal(SurveyTransfer.diffDefinitions(SurveySchema.pickDefinition(survey), definition).hasChanges, false);
+    assert.deepEqual(definition.questions[1].showIf, second.showIf);
+    assert.equal(definition.dimensions[0].name, 'Focus');
+});
+
+test('the diff names what an import changes', () => {
+    const survey = storedSurvey();
+    const file = JSON.parse(JSON.stringify(SurveyTransfer.exportDefinition(survey)));
+    file.survey.title = 'Interviewing habits';
+    file.survey.questions[0].text = 'Reworded';
+    file.survey.questions.splice(1, 1);
+    file.survey.bands[0].recommendations = 'Read the guide';
+
+    const { definition } = SurveyTransfer.readDefinition(file);
+    const diff = SurveyTransfer.diffDefinitions(SurveySchema.pickDefinition(survey), definition);
+    assert.equal(diff.hasChanges, true);
+    assert.deepEqual(diff.settings.map(s => s.field), ['title']);
+    assert.deepEqual(diff.questions.changed, [{ id: survey.questions[0].id, label: 'Reworded', fields: ['text'] }]);
+    assert.deepEqual(diff.questions.removed.map(q => q.id), [survey.questions[1].id]);
+    assert.deepEqual(diff.bands.changed.map(b => b.fields), [['recommendations']]);
+});
+
+test('schema problems are reported with the path of the field', () => {
+    const definition = SurveySchema.pickDefinition(storedSurvey());
+    definition.title = ' ';
+    definition.questions = [
+        { id: 1, text: 'First', options: [{ text: 'Yes', score: 'high' }] },
+        { id: 2, type: 'bogus', text: 'Second' },
+        { id: 3, text: 'Third', options: [{ text: 'Yes', score: 1 }], dimensions: ['missing'] },
+        { id: 4, type: 'text', text: 'Fourth', maxLength: 200 },
+        { id: 4, type: 'text', text: 'Fifth', maxLength: 200 }
+    ];
+    definition.bands = [{ id: 'low', label: 'Low', min: 0, color: 'red' }];
+
+    const paths = SurveySchema.validateDefinition(definition).map(error => error.path);
+    assert.ok(paths.includes('title'));
+    assert.ok(paths.includes('questions[0].options[0].score'));
+    assert.ok(paths.includes('questions[1].type'));
+    assert.ok(paths.includes('questions[2].dimensions[0]'));
+    assert.ok(paths.includes('questions[4].id'));
+    assert.ok(!paths.includes('questions[3].id'));
+    assert.ok(paths.includes('bands[0].color'));
+});
+
+test('imports are refused in another format or without a survey', () => {
+    const file = SurveyTransfer.exportDefinition(storedSurvey());
+    assert.deepEqual(SurveyTransfer.readDefinition({ ...file, schemaVersion: 99 }).errors.map(e => e.path), ['schemaVersion']);
+    assert.deepEqual(SurveyTransfer.readDefinition({ schemaVersion: 1 }).errors.map(e => e.path), ['']);
+    assert.deepEqual(SurveySchema.validateDefinition(null), [{ path: '', message: 'A survey definition must be a JSON object' }]);
+});
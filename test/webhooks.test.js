@@ -0,0 +1,148 @@
+// Webhook deliveries against a receiver on this machine: signatures, retries
+// and giving up
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const Webhooks = require('../webhooks');
+const { createSqliteStorage } = require('../storage-sqlite');
+
+let server;
+let url;
+let received = [];
+// Status codes the receiver answers with, in order; 200 once they run out
+let replies = [];
+
+before(async () => {
+    // The dispatcher logs every attempt; Node 20's test runner can't always
+    // read emoji split across its output chunks
+    mock.method(console, 'log', () => {});
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = replies.length > 0 ? replies.shift() : 200;
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function setup(fields = {}) {
+    received = [];
+    replies = [];
+    const storage = createSqliteStorage({ file: ':memory:' });
+    const webhook = await storage.addWebhook({
+        url,
+        events: ['response.submitted'],
+        surveyId: null,
+        description: '',
+        active: true,
+        secret: Webhooks.generateSecret(),
+        createdAt: new Date().toISOString(),
+        ...fields
+    });
+    return { storage, webhook, dispatcher: Webhooks.createDispatcher(storage) };
+}
+
+test('deliveries are signed with the webhook secret', async () => {
+    const { storage, webhook, dispatcher } = await setup();
+    const [queued] = await dispatcher.sendTest(webhook, 'boss');
+    await dispatcher.deliverDue();
+
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    const expected = crypto.createHmac('sha256', webhook.secret)
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-webhook-event'], Webhooks.TEST_EVENT);
+    assert.equal(headers['x-webhook-id'], String(queued.id));
+    assert.equal(JSON.parse(body).actor, 'boss');
+
+    const delivery = await storage.getDelivery(queued.id);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.responseStatus, 200);
+    storage.close();
+});
+
+test('a signature made with another secret does not match', () => {
+    const body = JSON.stringify({ event: 'webhook.test' });
+    assert.notEqual(Webhooks.sign('whsec_a', 1700000000, body), Webhooks.sign('whsec_b', 1700000000, body));
+    assert.notEqual(Webhooks.sign('whsec_a', 1700000000, body), Webhooks.sign('whsec_a', 1700000001, body));
+});
+
+test('only subscribed events are queued', async () => {
+    const { storage, dispatcher } = await setup({ surveyId: 'other' });
+    dispatcher.emit('response.submitted', { id: 'sc', title: 'Survey' }, {}, 'boss');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await dispatcher.deliverDue();
+    assert.equal(received.length, 0);
+    assert.deepEqual(await storage.listDeliveries({}), []);
+    storage.close();
+});
+
+test('failed deliveries are retried from the stored queue', async () => {
+    const { storage, webhook, dispatcher } = await setup();
+    replies = [500];
+    const [queued] = await dispatcher.sendTest(webhook, 'boss');
+    await dispatcher.deliverDue();
+
+    let delivery = await storage.getDelivery(queued.id);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.responseStatus, 500);
+    assert.equal(delivery.lastError, 'Receiver answered 500');
+    assert.ok(delivery.nextAttemptAt > new Date().toISOString());
+
+    // Not due yet: nothing is sent
+    await dispatcher.deliverDue();
+    assert.equal(received.length, 1);
+
+    // A new dispatcher, as after a restart, picks it up once it is due
+    await storage.saveDelivery({ ...delivery, nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+    await Webhooks.createDispatcher(storage).deliverDue();
+    delivery = await storage.getDelivery(queued.id);
+    assert.equal(received.length, 2);
+    assert.equal(received[1].headers['x-webhook-id'], String(queued.id));
+    assert.equal(received[1].body, received[0].body);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 2);
+    storage.close();
+});
+
+test('deliveries are given up after the last attempt', async () => {
+    const { storage, webhook, dispatcher } = await setup();
+    replies = Array(Webhooks.MAX_ATTEMPTS).fill(503);
+    const [queued] = await dispatcher.sendTest(webhook, 'boss');
+    await dispatcher.deliverDue();
+    for (let i = 1; i < Webhooks.MAX_ATTEMPTS; i++) {
+        const delivery = await storage.getDelivery(queued.id);
+        await storage.saveDelivery({ ...delivery, nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+        await dispatcher.deliverDue();
+    }
+
+    const delivery = await storage.getDelivery(queued.id);
+    assert.equal(received.length, Webhooks.MAX_ATTEMPTS);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.nextAttemptAt, null);
+    storage.close();
+});
+
+test('deliveries of a deleted webhook fail without being sent', async () => {
+    const { storage, webhook, dispatcher } = await setup();
+    await storage.deleteWebhook(webhook.id);
+    const [queued] = await dispatcher.sendTest(webhook, 'boss');
+    await dispatcher.deliverDue();
+
+    const delivery = await storage.getDelivery(queued.id);
+    assert.equal(received.length, 0);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.lastError, 'The webhook was deleted');
+    storage.close();
+});
@@ -0,0 +1,74 @@
+// Trash for deleted questions and submissions
+// Deleting them - one by one, or as part of replacing a survey's questions -
+// moves them here instead, so they can be restored. After
+// TRASH_RETENTION_DAYS the hourly purge in server.js removes them for good.
+//
+// An entry: { id, type: 'question' | 'response', surveyId, itemId, item,
+//             position, deletedAt, deletedBy }
+// item is the question or submission as it was; position is where a question
+// stood in the survey's list, so a restore can put it back there.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const TYPES = ['question', 'response'];
+
+// Entries deleted before this time (ISO string) are purged
+function purgeCutoff(now = Date.now()) {
+    return new Date(now - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+function purgeAt(entry) {
+    return new Date(new Date(entry.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+// Entries for questions missing from `questions` that were in `previous`
+function questionEntries(surveyId, previous, questions, deletedBy) {
+    const kept = new Set(questions.map(q => q.id));
+    const deletedAt = new Date().toISOString();
+    return previous
+        .map((question, position) => ({ question, position }))
+        .filter(({ question }) => !kept.has(question.id))
+        .map(({ question, position }) => ({
+            type: 'question',
+            surveyId,
+            itemId: question.id,
+            item: question,
+            position,
+            deletedAt,
+            deletedBy
+        }));
+}
+
+// Put trashed questions back into `questions`, each at its old position as far
+// as the current list allows. Returns { questions } or { error }.
+function restoreQuestions(questions, entries) {
+    const restored = [...questions];
+    const sorted = [...entries].sort((a, b) => a.position - b.position);
+    for (const entry of sorted) {
+        if (restored.some(q => q.id === entry.itemId)) {
+            return { error: `The survey has a question with id ${entry.itemId} again - it can't be restored` };
+        }
+        restored.splice(Math.min(entry.position, restored.length), 0, entry.item);
+    }
+    return { questions: restored };
+}
+
+// What the admin panel lists: the item itself is only needed to restore it
+function publicTrashEntry(entry) {
+    const { item, ...rest } = entry;
+    const label = entry.type === 'question' ? item.text :
+        item.userData ? `${item.userData.name} (${item.userData.employeeId}), ${item.percentage}%` :
+        `Anonymous, ${item.percentage}%`;
+    return { ...rest, label, purgeAt: purgeAt(entry) };
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    TYPES,
+    purgeCutoff,
+    questionEntries,
+    restoreQuestions,
+    publicTrashEntry
+};
@@ -0,0 +1,271 @@
+// Outgoing webhooks
+// Owners subscribe URLs to events (a submission arriving, a question changing,
+// a new version being published, ...), for all surveys or for one. Every event
+// is stored as a delivery per matching webhook and POSTed as JSON; deliveries
+// that fail are retried with backoff from the stored queue, so a restart
+// doesn't lose them.
+//
+// Receivers can check a delivery came from us: the X-Webhook-Signature header
+// is "sha256=" + the hex HMAC-SHA256, keyed with the webhook's secret, of
+// X-Webhook-Timestamp + "." + the raw request body.
+const crypto = require('crypto');
+
+const EVENTS = {
+    'response.submitted': 'Response submitted',
+    'response.deleted': 'Response deleted',
+    'question.created': 'Question added',
+    'question.updated': 'Question changed',
+    'question.deleted': 'Question deleted',
+    'survey.published': 'Survey published',
+    'survey.archived': 'Survey archived',
+    'survey.unarchived': 'Survey reopened'
+};
+
+// Sent by "Send test" only, whatever the webhook subscribes to
+const TEST_EVENT = 'webhook.test';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Attempts before a delivery is given up: 30s, 1m, 2m ... apart, at most 6 hours
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const FIRST_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 6 * 60 * MINUTE_MS;
+const REQUEST_TIMEOUT_MS = 10000;
+// Finished deliveries are kept in the log this long
+const LOG_DAYS = Number(process.env.WEBHOOK_LOG_DAYS) || 30;
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Returns an error message, or null when the subscription is usable
+function validateWebhook({ url, events, surveyId, description, active }) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return 'Enter the full URL of the receiver, e.g. https://hr.example.com/hooks/survey';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'Webhook URLs must start with http:// or https://';
+    }
+    if (!Array.isArray(events) || events.length === 0) {
+        return 'Choose at least one event';
+    }
+    const unknown = events.filter(event => !EVENTS[event]);
+    if (unknown.length > 0) {
+        return `Unknown event: ${unknown.join(', ')}`;
+    }
+    if (surveyId !== null && typeof surveyId !== 'string') {
+        return 'surveyId must be a survey id, or null for every survey';
+    }
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+        return `Description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+    if (typeof active !== 'boolean') {
+        return 'active must be true or false';
+    }
+    return null;
+}
+
+// Subscription details that are safe to list - the secret is only shown when it's created
+function publicWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, secretHint: `…${secret.slice(-4)}` };
+}
+
+function subscribes(webhook, event, surveyId) {
+    return webhook.active && webhook.events.includes(event) &&
+        (webhook.surveyId === null || webhook.surveyId === surveyId);
+}
+
+// Backoff after `attempts` failed attempts, with jitter so receivers coming
+// back up aren't hit by every queued delivery at once
+function retryDelay(attempts) {
+    const delay = Math.min(MAX_RETRY_MS, FIRST_RETRY_MS * Math.pow(2, attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Finished deliveries created before this time (ISO string) leave the log
+function logCutoff(now = Date.now()) {
+    return new Date(now - LOG_DAYS * DAY_MS).toISOString();
+}
+
+// POST one delivery. Resolves to { ok, responseStatus, error }.
+async function send(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'survey-system-webhooks',
+                'X-Webhook-Id': String(delivery.id),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: controller.signal
+        });
+        // Receivers only need to acknowledge; their reply isn't used
+        await response.body?.cancel();
+        return response.ok ?
+            { ok: true, responseStatus: response.status } :
+            { ok: false, responseStatus: response.status, error: `Receiver answered ${response.status}` };
+    } catch (err) {
+        return { ok: false, responseStatus: null, error: err.name === 'AbortError' ? 'Timed out' : err.message };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Queues and sends deliveries through the storage's webhook functions
+function createDispatcher(storage) {
+    let processing = null;
+    let timer = null;
+
+    function schedule(delay) {
+        clearTimeout(timer);
+        timer = setTimeout(() => deliverDue(), delay);
+        timer.unref();
+    }
+
+    async function attempt(delivery, webhooks) {
+        const webhook = webhooks.find(w => w.id === delivery.webhookId);
+        const now = new Date().toISOString();
+        const result = webhook ?
+            await send(webhook, delivery) :
+            { ok: false, responseStatus: null, error: 'The webhook was deleted' };
+
+        delivery.attempts++;
+        delivery.lastAttemptAt = now;
+        delivery.responseStatus = result.responseStatus;
+        delivery.lastError = result.error || null;
+        if (result.ok) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = now;
+            delivery.nextAttemptAt = null;
+            console.log(`📬 Delivered ${delivery.event} to webhook ${delivery.webhookId}`);
+        } else if (!webhook || delivery.attempts >= MAX_ATTEMPTS) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            console.log(`❌ Gave up delivering ${delivery.event} to webhook ${delivery.webhookId}: ${result.error}`);
+        } else {
+            delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts)).toISOString();
+            console.log(`⚠️  Delivering ${delivery.event} to webhook ${delivery.webhookId} failed (${result.error}), retrying at ${delivery.nextAttemptAt}`);
+        }
+        await storage.saveDelivery(delivery);
+    }
+
+    // Send every delivery that is due, then wait for the next one
+    function deliverDue() {
+        if (!processing) {
+            processing = (async () => {
+                try {
+                    const due = await storage.listDueDeliveries(new Date().toISOString());
+                    if (due.length > 0) {
+                        const webhooks = await storage.listWebhooks();
+                        for (const delivery of due) {
+                            await attempt(delivery, webhooks);
+                        }
+                    }
+                    const next = await storage.nextDeliveryAt();
+                    if (next) {
+                        schedule(Math.max(0, new Date(next).getTime() - Date.now()));
+                    }
+                } catch (err) {
+                    console.error('❌ Webhook delivery failed:', err.message);
+                    schedule(FIRST_RETRY_MS);
+                }
+            })().finally(() => { processing = null; });
+        }
+        return processing;
+    }
+
+    // Queue an event for `webhooks`, or for every webhook subscribed to it
+    async function queue(event, survey, data, actor, webhooks) {
+        const targets = webhooks ||
+            (await storage.listWebhooks()).filter(w => subscribes(w, event, survey ? survey.id : null));
+        if (targets.length === 0) {
+            return [];
+        }
+
+        const createdAt = new Date().toISOString();
+        const payload = {
+            id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+            event,
+            createdAt,
+            survey: survey ? { id: survey.id, title: survey.title } : null,
+            actor: actor || null,
+            data
+        };
+        const deliveries = await storage.addDeliveries(targets.map(webhook => ({
+            webhookId: webhook.id,
+            event,
+            surveyId: survey ? survey.id : null,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            createdAt,
+            nextAttemptAt: createdAt
+        })));
+        deliverDue();
+        return deliveries;
+    }
+
+    return {
+        // Fire and forget: a broken webhook store must not fail the request that caused the event
+        emit(event, survey, data, actor) {
+            queue(event, survey, data, actor).catch(err => {
+                console.error(`❌ Could not queue ${event} webhooks:`, err.message);
+            });
+        },
+
+        sendTest(webhook, actor) {
+            return queue(TEST_EVENT, null, { message: 'Test delivery from the survey system' }, actor, [webhook]);
+        },
+
+        deliverDue,
+
+        // Deliver what is left from before a restart, and prune the log hourly
+        start() {
+            deliverDue();
+            const prune = async () => {
+                try {
+                    const deleted = await storage.deleteDeliveriesBefore(logCutoff());
+                    if (deleted > 0) {
+                        console.log(`🧹 Deleted ${deleted} old webhook deliveries`);
+                    }
+                } catch (err) {
+                    console.error('❌ Failed to delete old webhook deliveries:', err.message);
+                }
+            };
+            prune();
+            setInterval(prune, 60 * MINUTE_MS).unref();
+        }
+    };
+}
+
+module.exports = {
+    EVENTS,
+    TEST_EVENT,
+    MAX_ATTEMPTS,
+    LOG_DAYS,
+    generateSecret,
+    sign,
+    validateWebhook,
+    publicWebhook,
+    createDispatcher
+};